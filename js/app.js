@@ -146,7 +146,11 @@ function closeConfirmModal(result) {
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
+    // Open the save storage (IndexedDB when available) before loading the tower
+    await GameStorage.init();
+    GameStorage.onQuotaExceeded = showStorageFullWarning;
+
     game = new GameState();
     window.game = game; // Expose for console debugging
 
@@ -171,11 +175,28 @@ function init() {
     renderTowerScreen();
     updateGlobalStats();
 
+    // Save straight away when the app is backgrounded or closed - mobile browsers
+    // often kill hidden tabs without another chance to run the autosave
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            game.saveNow();
+        }
+    });
+    window.addEventListener('pagehide', () => game.saveNow());
+
+    // Resume a VIP escort that was in progress when the game was closed
+    if (game.activeElevatorRide) {
+        showVIPEscortUI(game.activeElevatorRide.vip);
+    }
+
+    // Warn if the existing save couldn't be loaded (it is left untouched)
+    if (game._saveLoadError) {
+        alert(`⚠️ ${game._saveLoadError.message}\n\nYour progress this session will not be saved.`);
+    }
+
     // Show offline earnings notification if any
     if (game._offlineEarningsMessage) {
-        const msg = game._offlineEarningsMessage;
-        const cappedText = msg.capped ? ' (capped at 3 hours)' : '';
-        alert(`💰 While you were away for ${msg.time}${cappedText}, you earned ${msg.stars} stars!`);
+        showWelcomeBackModal(game._offlineEarningsMessage);
         delete game._offlineEarningsMessage;
     }
 
@@ -194,8 +215,12 @@ function init() {
     }
 
     // Start game tick (every 1 second for responsive feel)
+    // Each tick is one game second, so a faster clock runs more ticks per interval
     setInterval(() => {
-        game.tick();
+        const ticks = game.clock.paused ? 0 : Math.max(1, Math.round(game.clock.speed));
+        for (let i = 0; i < ticks; i++) {
+            game.tick();
+        }
         updateGlobalStats();
         updateTowerScreen();
         renderMissionBanner();
@@ -295,7 +320,9 @@ function init() {
 
                             // Show brief notification then reload
                             showToast('Updating to new version...');
-                            setTimeout(() => window.location.reload(), 1000);
+                            GameStorage.flush().then(() => {
+                                setTimeout(() => window.location.reload(), 1000);
+                            });
                         }
                     });
                 });
@@ -339,7 +366,10 @@ function setupEventListeners() {
                 const result = game.deleteFloor(currentFloorId);
                 if (result && result.success) {
                     closeDetailModal();
-                    showToast(`Deleted ${result.floorName}! Refunded ${result.refund} ⭐`);
+                    const staffNote = result.unassignedStaff.length > 0
+                        ? ` ${result.unassignedStaff.length} staff now unassigned - see the Staff Directory.`
+                        : '';
+                    showToast(`Deleted ${result.floorName}! Refunded ${result.refund} ⭐${staffNote}`);
                 } else {
                     showToast((result && result.error) || 'Could not delete floor');
                 }
@@ -480,6 +510,32 @@ function setupEventListeners() {
         }
     });
 
+    // Floor links overlay
+    const linksBtn = document.getElementById('toggle-links-btn');
+    linksBtn.addEventListener('click', () => {
+        haptic('light');
+        if (!towerRenderer) return;
+        towerRenderer.showPlacementLinks = !towerRenderer.showPlacementLinks;
+        linksBtn.classList.toggle('active', towerRenderer.showPlacementLinks);
+        showToast(towerRenderer.showPlacementLinks ? '🔗 Showing floor links' : '🔗 Floor links hidden');
+    });
+
+    // Pause button - freezes the game clock, so every timer stops together
+    const pauseBtn = document.getElementById('toggle-pause-btn');
+    pauseBtn.addEventListener('click', () => {
+        haptic('light');
+        if (game.clock.paused) {
+            game.clock.resume();
+            showToast('▶️ Resumed');
+        } else {
+            game.clock.pause();
+            game.markDirty();
+            showToast('⏸️ Paused - timers are frozen');
+        }
+        pauseBtn.textContent = game.clock.paused ? '▶️' : '⏸️';
+        pauseBtn.title = game.clock.paused ? 'Resume Game' : 'Pause Game';
+    });
+
     // Restock All button
     const restockBtn = document.getElementById('restock-all-btn');
     const handleRestockAll = async () => {
@@ -597,7 +653,7 @@ function setupEventListeners() {
     document.getElementById('reset-game-btn').addEventListener('click', async () => {
         const confirmed = await showConfirm(
             'Restart Tower',
-            'This will delete ALL your progress and start fresh. Are you sure?'
+            'This will delete ALL progress in this tower and start fresh. Are you sure?'
         );
 
         if (confirmed) {
@@ -605,6 +661,7 @@ function setupEventListeners() {
             closeStatsModal();
             renderTowerScreen();
             updateGlobalStats();
+            await GameStorage.flush();
             window.location.reload();
         }
     });
@@ -612,9 +669,43 @@ function setupEventListeners() {
     // Save modal button
     document.getElementById('open-save-btn').addEventListener('click', () => {
         haptic('medium');
+        renderSaveSlots();
+        renderSaveBackups();
         document.getElementById('save-modal').classList.add('active');
     });
 
+    // Save modal - New tower slot
+    document.getElementById('save-slot-new-btn').addEventListener('click', () => {
+        haptic('light');
+        const name = prompt('Name your new tower:');
+        if (name === null) return;
+
+        const result = SaveSlots.create(name);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        renderSaveSlots();
+    });
+
+    // Save modal - Restore a backup
+    document.getElementById('save-backups-list').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-backup-id]');
+        if (btn) {
+            haptic('light');
+            restoreSaveBackup(btn.dataset.backupId);
+        }
+    });
+
+    // Save modal - Slot actions (play, rename, copy, delete)
+    document.getElementById('save-slots-list').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-slot-action]');
+        if (btn) {
+            haptic('light');
+            handleSaveSlotAction(btn.dataset.slotAction, btn.dataset.slotId);
+        }
+    });
+
     // Save modal close
     document.getElementById('close-save-modal').addEventListener('click', () => {
         haptic('light');
@@ -651,18 +742,85 @@ function setupEventListeners() {
         e.target.value = '';
     });
 
+    // Save modal - Share code / QR
+    document.getElementById('save-share-btn').addEventListener('click', () => {
+        haptic('medium');
+        document.getElementById('save-modal').classList.remove('active');
+        openShareModal('export');
+    });
+
+    // Save modal - Enter a share code
+    document.getElementById('save-enter-code-btn').addEventListener('click', () => {
+        haptic('medium');
+        document.getElementById('save-modal').classList.remove('active');
+        openShareModal('import');
+    });
+
+    // Share modal
+    document.getElementById('close-share-modal').addEventListener('click', () => {
+        haptic('light');
+        closeShareModal();
+    });
+    document.getElementById('share-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'share-modal') {
+            closeShareModal();
+        }
+    });
+    document.getElementById('share-copy-btn').addEventListener('click', () => {
+        haptic('light');
+        copyShareCode();
+    });
+    document.getElementById('share-import-btn').addEventListener('click', () => {
+        haptic('medium');
+        importShareCode();
+    });
+
+    // Welcome back modal
+    document.getElementById('close-welcome-back-modal').addEventListener('click', closeWelcomeBackModal);
+    document.getElementById('welcome-back-ok-btn').addEventListener('click', () => {
+        haptic('light');
+        closeWelcomeBackModal();
+    });
+
+    // Balance report - a developer tool, only offered with ?debug in the URL
+    if (new URLSearchParams(window.location.search).has('debug')) {
+        document.getElementById('open-balance-btn').style.display = '';
+    }
+    document.getElementById('open-balance-btn').addEventListener('click', () => {
+        closeStatsModal();
+        openBalanceModal();
+    });
+    document.getElementById('close-balance-modal').addEventListener('click', () => {
+        haptic('light');
+        closeBalanceModal();
+    });
+    document.getElementById('balance-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'balance-modal') {
+            closeBalanceModal();
+        }
+    });
+    document.getElementById('balance-table').addEventListener('click', (e) => {
+        const th = e.target.closest('th[data-sort]');
+        if (th) {
+            sortBalanceTable(th.dataset.sort);
+        }
+    });
+    document.getElementById('balance-readers-input').addEventListener('change', renderBalanceTable);
+    document.getElementById('balance-csv-btn').addEventListener('click', downloadBalanceCSV);
+
     // Save modal - Restart
     document.getElementById('save-restart-btn').addEventListener('click', async () => {
         document.getElementById('save-modal').classList.remove('active');
         const confirmed = await showConfirm(
             'Restart Tower',
-            'This will delete ALL your progress and start fresh. Are you sure?'
+            'This will delete ALL progress in this tower and start fresh. Are you sure?'
         );
 
         if (confirmed) {
             game.reset();
             renderTowerScreen();
             updateGlobalStats();
+            await GameStorage.flush();
             window.location.reload();
         }
     });
@@ -907,6 +1065,49 @@ function updateGlobalStats() {
         delete game._moodTip;
     }
 
+    // Check for staff skill ups
+    if (game._staffLevelUp) {
+        haptic('success');
+        showToast(`${game._staffLevelUp.emoji} ${game._staffLevelUp.name} reached skill ${game._staffLevelUp.skill} on ${game._staffLevelUp.floor}!`);
+        delete game._staffLevelUp;
+    }
+
+    // Check for a payday the tower couldn't cover
+    if (game._payrollMissed) {
+        haptic('error');
+        showToast(`💸 Couldn't pay ${game._payrollMissed.unpaid} staff today - ${game._payrollMissed.owed} ⭐ owed`);
+        delete game._payrollMissed;
+    }
+
+    // Check for staff morale changes
+    if (game._staffNotice) {
+        haptic('error');
+        showToast(`📝 ${game._staffNotice.emoji} ${game._staffNotice.name} handed in their notice - talk to them in the Staff Directory`);
+        delete game._staffNotice;
+    }
+    if (game._staffStayed) {
+        showToast(`${game._staffStayed.emoji} ${game._staffStayed.name} is feeling better and decided to stay`);
+        delete game._staffStayed;
+    }
+    if (game._staffResigned) {
+        haptic('error');
+        showToast(`👋 ${game._staffResigned.emoji} ${game._staffResigned.name} has left the library`);
+        delete game._staffResigned;
+    }
+    if (game._staffWalkedOut) {
+        haptic('error');
+        const names = members => members.map(member => `${member.emoji} ${member.name}`).join(', ');
+        const inLobby = game._staffWalkedOut.filter(member => member.inLobby);
+        const gone = game._staffWalkedOut.filter(member => !member.inLobby);
+        if (inLobby.length > 0) {
+            showToast(`💸 ${names(inLobby)} walked out after going unpaid - rehire them from the lobby`);
+        }
+        if (gone.length > 0) {
+            showToast(`💸 ${names(gone)} walked out after going unpaid and left for good - the lobby was full`);
+        }
+        delete game._staffWalkedOut;
+    }
+
     // Check for new synergies
     if (game._newSynergy) {
         haptic('success');
@@ -1129,7 +1330,7 @@ function createFloorCard(floor) {
     card.id = `floor-card-${floor.id}`;
 
     if (floor.status === 'building') {
-        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - Date.now()) / 1000));
+        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - game.clock.now()) / 1000));
         card.innerHTML = `
             <div class="floor-icon">${floor.emoji}</div>
             <div class="floor-info">
@@ -1180,7 +1381,7 @@ function updateFloorCard(floor) {
     if (!card) return;
 
     if (floor.status === 'building') {
-        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - Date.now()) / 1000));
+        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - game.clock.now()) / 1000));
         const statusEl = card.querySelector('.floor-status');
         if (statusEl) {
             statusEl.textContent = `🏗️ Building... ${remaining}s`;
@@ -1228,8 +1429,16 @@ function openFloorDetail(floorId) {
     // Update bonus description for utility rooms
     const bonusEl = document.getElementById('detail-bonus');
     const floorType = game.floorTypes.find(ft => ft.id === floor.typeId);
+    const bonusLines = [];
     if (floorType && floorType.bonus && floorType.bonus.description) {
-        bonusEl.textContent = floorType.bonus.description;
+        bonusLines.push(floorType.bonus.description);
+    }
+    // Effects from the floors above and below
+    game.getPlacementLinks()
+        .filter(l => l.toId === floor.id || (l.fromId === floor.id && l.type !== 'nearby_boost'))
+        .forEach(l => bonusLines.push(`${l.emoji} ${l.label}`));
+    if (bonusLines.length > 0) {
+        bonusEl.textContent = [...new Set(bonusLines)].join(' · ');
         bonusEl.style.display = 'block';
     } else {
         bonusEl.textContent = '';
@@ -1301,7 +1510,7 @@ function openFloorDetail(floorId) {
     // Update status
     const statusEl = document.getElementById('detail-status');
     if (floor.status === 'building') {
-        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - Date.now()) / 1000));
+        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - game.clock.now()) / 1000));
         statusEl.textContent = `🏗️ Building... ${remaining}s`;
         statusEl.className = 'floor-status building';
     } else {
@@ -1333,6 +1542,9 @@ function openFloorDetail(floorId) {
     // Render active readers
     renderActiveReaders(floor);
 
+    // Explain the last payout
+    renderLastCheckout(floor);
+
     // Show detail modal
     document.getElementById('detail-modal').classList.add('active');
 }
@@ -1344,7 +1556,7 @@ function updateFloorDetail(floor) {
     // Update status
     const statusEl = document.getElementById('detail-status');
     if (floor.status === 'building') {
-        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - Date.now()) / 1000));
+        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - game.clock.now()) / 1000));
         statusEl.textContent = `🏗️ Building... ${remaining}s`;
     } else if (floor.incidents && Object.keys(floor.incidents).length > 0) {
         // Show incident status
@@ -1385,6 +1597,9 @@ function updateFloorDetail(floor) {
 
     // Update active readers
     renderActiveReaders(floor);
+
+    // Update last checkout
+    renderLastCheckout(floor);
 }
 
 /**
@@ -1398,11 +1613,22 @@ function renderUpgradeSection(floor) {
         return;
     }
 
+    // Special rooms upgrade their bonus instead of stock
+    const specialEffect = game.getSpecialRoomEffect(floor);
+    if (specialEffect) {
+        renderSpecialRoomUpgrade(floor, specialEffect);
+        return;
+    }
+
     const level = floor.upgradeLevel || 1;
-    const upgradeCosts = [0, 200, 500];
-    const nextCost = upgradeCosts[level];
+    const maxLevel = game.getMaxUpgradeLevel(floor);
 
-    if (level >= 3) {
+    if (maxLevel === 1) {
+        container.innerHTML = '';
+        return;
+    }
+
+    if (level >= maxLevel) {
         container.innerHTML = `
             <div class="upgrade-maxed">
                 ⭐⭐⭐ Floor at Maximum Level! ⭐⭐⭐
@@ -1411,27 +1637,86 @@ function renderUpgradeSection(floor) {
         return;
     }
 
-    const multipliers = [1.0, 1.25, 1.5];
-    const nextMultiplier = multipliers[level];
-    const bonusText = level === 1 ? '+25%' : '+50%';
+    const tier = game.getUpgradeTier(floor);
+    const nextTier = game.getUpgradeTier(floor, level + 1);
+    const boostText = multiplier => `+${Math.round((multiplier - 1) * 100)}%`;
+    const nextUnlock = nextTier.unlock ? ` · ${nextTier.unlock.description}` : '';
 
     container.innerHTML = `
         <div class="upgrade-info">
             <div class="current-level">
-                <strong>Floor Level:</strong> ${level} / 3
-                ${level === 2 ? ' <span class="upgrade-badge">+25% Boosted</span>' : ''}
-                ${level === 3 ? ' <span class="upgrade-badge gold">+50% Boosted MAX</span>' : ''}
+                <strong>Floor Level:</strong> ${level} / ${maxLevel}
+                ${tier.multiplier > 1 ? ` <span class="upgrade-badge ${level >= 7 ? 'gold' : ''}">${boostText(tier.multiplier)} Boosted</span>` : ''}
             </div>
-            ${level < 3 ? `
+            <button class="upgrade-floor-btn" data-floor-id="${floor.id}">
+                ⬆️ Upgrade to Level ${level + 1} (${nextTier.cost} ⭐)
+                <br><span class="upgrade-bonus">${boostText(nextTier.multiplier)} capacity & earning rate${nextUnlock}</span>
+            </button>
+        </div>
+    `;
+
+    // Add event listener for upgrade button
+    const upgradeBtn = container.querySelector('.upgrade-floor-btn');
+    if (upgradeBtn) {
+        upgradeBtn.addEventListener('click', () => {
+            handleUpgradeFloor(floor.id);
+        });
+    }
+}
+
+/**
+ * Describe a special room effect, e.g. "2x stars · 1 floor up & down"
+ */
+function describeSpecialRoomEffect(effect) {
+    const radius = effect.range
+        ? `${effect.range} floor${effect.range === 1 ? '' : 's'} up & down`
+        : 'whole library';
+    return `${effect.multiplier}x ${effect.unit} · ${radius}`;
+}
+
+/**
+ * Upgrade section for special rooms: current effect, radius, affected floors and next level
+ */
+function renderSpecialRoomUpgrade(floor, effect) {
+    const container = document.getElementById('upgrade-section');
+    const level = effect.level;
+    const maxLevel = game.getMaxUpgradeLevel(floor);
+    const nextTier = level < maxLevel ? game.getUpgradeTier(floor, level + 1) : null;
+    const nextEffect = nextTier ? game.getSpecialRoomEffect(floor, level + 1) : null;
+    const nextUnlock = nextTier && nextTier.unlock ? ` · ${nextTier.unlock.description}` : '';
+
+    // Floors currently inside the radius
+    const affected = game.getPlacementLinks()
+        .filter(l => l.fromId === floor.id && l.type === effect.type)
+        .map(l => game.getFloor(l.toId))
+        .filter(f => f);
+    let affectedText = '';
+    if (effect.range) {
+        affectedText = affected.length > 0
+            ? `Boosting: ${affected.map(f => `${escapeHTML(f.emoji)} ${escapeHTML(f.name)}`).join(', ')}`
+            : 'No floors in range yet - move a floor next to this room';
+    }
+
+    container.innerHTML = `
+        <div class="upgrade-info">
+            <div class="current-level">
+                <strong>Room Level:</strong> ${level} / ${maxLevel}
+            </div>
+            <div class="special-room-effect">
+                <div><strong>Effect:</strong> ${describeSpecialRoomEffect(effect)}</div>
+                ${affectedText ? `<div class="special-room-affected">${affectedText}</div>` : ''}
+            </div>
+            ${nextEffect ? `
                 <button class="upgrade-floor-btn" data-floor-id="${floor.id}">
-                    ⬆️ Upgrade to Level ${level + 1} (${nextCost} ⭐)
-                    <br><span class="upgrade-bonus">${bonusText} capacity & earning rate</span>
+                    ⬆️ Upgrade to Level ${level + 1} (${nextTier.cost} ⭐)
+                    <br><span class="upgrade-bonus">${describeSpecialRoomEffect(nextEffect)}${nextUnlock}</span>
                 </button>
-            ` : ''}
+            ` : `
+                <div class="upgrade-maxed">⭐⭐⭐ Room at Maximum Level! ⭐⭐⭐</div>
+            `}
         </div>
     `;
 
-    // Add event listener for upgrade button
     const upgradeBtn = container.querySelector('.upgrade-floor-btn');
     if (upgradeBtn) {
         upgradeBtn.addEventListener('click', () => {
@@ -1447,12 +1732,12 @@ async function handleUpgradeFloor(floorId) {
     const floor = game.getFloor(floorId);
     if (!floor) return;
 
-    const upgradeCosts = [0, 200, 500];
-    const cost = upgradeCosts[floor.upgradeLevel];
+    const nextTier = game.getUpgradeTier(floor, floor.upgradeLevel + 1);
+    if (!nextTier) return;
 
     const confirmed = await showConfirm(
         'Upgrade Floor',
-        `Upgrade to Level ${floor.upgradeLevel + 1} for ${cost} ⭐?`
+        `Upgrade to Level ${floor.upgradeLevel + 1} for ${nextTier.cost} ⭐?`
     );
 
     if (!confirmed) return;
@@ -1460,6 +1745,9 @@ async function handleUpgradeFloor(floorId) {
     const result = game.upgradeFloor(floorId);
     if (result.success) {
         haptic('heavy');
+        if (result.unlock) {
+            showToast(`🎉 Level ${result.level}: ${result.unlock.description}`);
+        }
         renderUpgradeSection(floor);
         renderBookCategories(floor);
         updateGlobalStats();
@@ -1485,9 +1773,9 @@ function renderStaffSlots(floor) {
     const floorType = game.floorTypes.find(ft => ft.id === floor.typeId);
     const hasCustomStaff = floorType && floorType.staffSlots;
 
-    // Create 3 staff slots
-    for (let i = 0; i < 3; i++) {
-        const staff = floor.staff[i];
+    // One card per staff slot
+    for (let i = 0; i < game.getStaffSlotCount(floor); i++) {
+        const staff = game.getStaffInSlot(floor, i);
         const categoryName = floor.bookStock[i]?.name || '';
 
         const slot = document.createElement('div');
@@ -1496,32 +1784,19 @@ function renderStaffSlots(floor) {
         if (hasCustomStaff) {
             // Utility staff for bathroom/basement - now hired from lobby
             const customStaff = floorType.staffSlots[i];
-            const hiredStaff = floor.staff[i];
-            // Support both old string format and new object format
-            const isHired = hiredStaff === customStaff.name ||
-                (hiredStaff && typeof hiredStaff === 'object' && hiredStaff.typeId);
 
-            if (isHired && typeof hiredStaff === 'object') {
-                // New format: staff object with details
+            if (staff) {
+                const title = staff.name === staff.typeName ? staff.name : `${staff.name} (${staff.typeName})`;
                 slot.innerHTML = `
-                    <div class="staff-icon" style="background-color: ${hiredStaff.color}">${hiredStaff.emoji}</div>
+                    <div class="staff-icon" style="background-color: ${staff.color}">${staff.emoji}</div>
                     <div class="staff-info">
-                        <div class="staff-name">${hiredStaff.name} (${hiredStaff.typeName})</div>
-                        <div class="staff-unlock">✅ ${hiredStaff.effect || customStaff.effect}</div>
+                        <div class="staff-name">${title} <span class="staff-skill">🎓 ${staff.skill} · ${game.getShift(staff.shift).emoji}</span></div>
+                        <div class="staff-unlock">✅ ${staff.effect || customStaff.effect}</div>
                     </div>
-                    <button class="fire-staff-btn" data-floor-id="${floor.id}" data-staff-id="${hiredStaff.id}">
+                    <button class="fire-staff-btn" data-floor-id="${floor.id}" data-staff-id="${staff.id}">
                         Fire
                     </button>
                 `;
-            } else if (isHired) {
-                // Old format: just the name string (backwards compatibility)
-                slot.innerHTML = `
-                    <div class="staff-icon" style="background-color: ${customStaff.color}">${customStaff.emoji}</div>
-                    <div class="staff-info">
-                        <div class="staff-name">${customStaff.name}</div>
-                        <div class="staff-unlock">✅ ${customStaff.effect}</div>
-                    </div>
-                `;
             } else {
                 // Empty slot - prompt to check lobby for utility applicants
                 const utilityApplicants = game.lobbyApplicants ?
@@ -1542,13 +1817,13 @@ function renderStaffSlots(floor) {
 
             if (staff) {
                 // Filled slot - show dream match indicator if applicable
-                const isDreamMatch = staff.dreamGenre === floor.typeId;
+                const isDreamMatch = game.isDreamMatch(staff);
                 const dreamFloorType = game.floorTypes.find(ft => ft.id === staff.dreamGenre);
                 const dreamFloorName = dreamFloorType ? dreamFloorType.name : 'Unknown';
                 slot.innerHTML = `
                     <div class="staff-icon" style="background-color: ${staff.color}">${staff.emoji}</div>
                     <div class="staff-info">
-                        <div class="staff-name">${staff.name}</div>
+                        <div class="staff-name">${staff.name} <span class="staff-skill">🎓 ${staff.skill} · ${game.getShift(staff.shift).emoji}</span></div>
                         <div class="staff-unlock">✅ "${categoryName}" unlocked</div>
                         ${isDreamMatch ? '<div class="dream-match-badge">💫 Dream Job!</div>' : `<div class="dream-hint">Dreams of: ${dreamFloorName}</div>`}
                     </div>
@@ -1628,7 +1903,7 @@ async function handleHireStaff(floorId, staffIndex) {
         staffName = customStaff.name;
         staffCost = customStaff.cost;
     } else {
-        const staffType = game.staffTypes[floor.staff.length];
+        const staffType = game.staffTypes[game.getFloorStaff(floor).length];
         if (!staffType) return;
         staffName = staffType.name;
         staffCost = staffType.hireCost;
@@ -1659,10 +1934,7 @@ async function handleHireStaff(floorId, staffIndex) {
  * Handle firing staff from a floor
  */
 async function handleFireStaff(floorId, staffId) {
-    const floor = game.getFloor(floorId);
-    if (!floor) return;
-
-    const staff = floor.staff.find(s => s && s.id === staffId);
+    const staff = game.getStaffMember(staffId);
     if (!staff) return;
 
     const confirmed = await showConfirm(
@@ -1676,8 +1948,7 @@ async function handleFireStaff(floorId, staffId) {
     if (result.success) {
         haptic('medium');
         SoundManager.purchase();
-        renderStaffSlots(floor);
-        renderBookCategories(floor);
+        refreshStaffViews(floorId);
         updateGlobalStats();
     } else {
         haptic('error');
@@ -1686,18 +1957,30 @@ async function handleFireStaff(floorId, staffId) {
     }
 }
 
+/**
+ * Re-render the floor panel (if it shows this floor) and the staff directory (if open) after a staff change
+ */
+function refreshStaffViews(floorId) {
+    const floor = floorId ? game.getFloor(floorId) : null;
+    if (floor) {
+        renderStaffSlots(floor);
+        renderBookCategories(floor);
+    }
+    if (document.getElementById('staff-modal').classList.contains('active')) {
+        renderStaffDirectory();
+    }
+}
+
 /**
  * Show modal to reassign staff to a different floor
+ * fromFloorId is null for unassigned staff
  */
 function showReassignStaffModal(fromFloorId, staffId) {
-    const fromFloor = game.getFloor(fromFloorId);
-    if (!fromFloor) return;
-
-    const staff = fromFloor.staff.find(s => s && s.id === staffId);
+    const staff = game.getStaffMember(staffId);
     if (!staff) return;
 
-    // Get floors with empty slots (excluding current floor)
-    const availableFloors = game.getFloorsWithEmptySlots().filter(f => f.id !== fromFloorId);
+    // Floors this staff member fits on (excluding current floor)
+    const availableFloors = game.getAssignableFloors(staffId);
 
     if (availableFloors.length === 0) {
         alert('No other floors have empty staff slots!');
@@ -1725,8 +2008,8 @@ function showReassignStaffModal(fromFloorId, staffId) {
     modal.id = 'reassign-modal';
     modal.innerHTML = `
         <div class="modal-content">
-            <h3>Move ${staff.name}</h3>
-            <p>Current dream: <strong>${dreamFloorName}</strong></p>
+            <h3>${fromFloorId ? 'Move' : 'Assign'} ${staff.name}</h3>
+            ${staff.isUtilityStaff ? `<p>${staff.typeName}</p>` : `<p>Current dream: <strong>${dreamFloorName}</strong></p>`}
             <p>Select new floor:</p>
             <div class="floor-options">
                 ${floorOptions}
@@ -1754,11 +2037,7 @@ function showReassignStaffModal(fromFloorId, staffId) {
                 modal.remove();
 
                 // Refresh the floor modal
-                const currentFloor = game.getFloor(fromFloorId);
-                if (currentFloor) {
-                    renderStaffSlots(currentFloor);
-                    renderBookCategories(currentFloor);
-                }
+                refreshStaffViews(fromFloorId);
                 updateGlobalStats();
             } else {
                 haptic('error');
@@ -1787,21 +2066,21 @@ function renderBookCategories(floor) {
 
     floor.bookStock.forEach((category, index) => {
         const card = document.createElement('div');
-        const requiredStaff = index + 1;
-        const isLocked = floor.staff.length < requiredStaff;
+        const isLocked = !game.isCategoryUnlocked(floor, index);
 
         card.className = `book-category-card ${isLocked ? 'locked' : ''}`;
 
         if (isLocked) {
-            // Locked category
+            // Locked category (categories unlocked by upgrades need a full team)
             const staffType = game.staffTypes[index];
+            const lockedText = staffType ? `Hire a ${staffType.name} to unlock this category` : 'Fill every staff slot to open this category';
             card.innerHTML = `
                 <div class="category-header">
                     <h5>🔒 ${category.name}</h5>
                     <span class="earning-rate">+${category.earningRate} ⭐/book</span>
                 </div>
                 <div class="locked-message">
-                    <p>Hire a ${staffType.name} to unlock this category</p>
+                    <p>${lockedText}</p>
                 </div>
             `;
         } else {
@@ -1819,9 +2098,12 @@ function renderBookCategories(floor) {
             const actualCost = Math.ceil(booksNeeded * costPerBook);
 
             if (isRestocking) {
-                const remaining = Math.max(0, Math.ceil((category.restockEndTime - Date.now()) / 1000));
+                const remaining = Math.max(0, Math.ceil((category.restockEndTime - game.clock.now()) / 1000));
                 statusText = `📦 Restocking... ${remaining}s`;
                 actionButton = `<button class="rush-restock-btn" data-floor-id="${floor.id}" data-category="${index}">💎 Rush</button>`;
+            } else if (game.isRestockQueued(floor, index)) {
+                statusText = `🕒 Ordered - ${category.currentStock}/${category.maxStock} books`;
+                actionButton = `<button class="restock-btn disabled" disabled>In queue</button>`;
             } else if (isFull) {
                 statusText = '✅ Fully Stocked';
                 actionButton = `<button class="restock-btn disabled" disabled>Restock (0 ⭐)</button>`;
@@ -1848,6 +2130,8 @@ function renderBookCategories(floor) {
         container.appendChild(card);
     });
 
+    renderRestockQueue(floor);
+
     // Add event listeners for restock buttons
     container.querySelectorAll('.restock-btn:not(.disabled)').forEach(btn => {
         let handled = false;
@@ -1883,6 +2167,39 @@ function renderBookCategories(floor) {
     });
 }
 
+/**
+ * Show the floor's restock orders in the order staff will work through them
+ */
+function renderRestockQueue(floor) {
+    const container = document.getElementById('restock-queue');
+    const entries = floor.status === 'ready' ? game.getRestockQueueETA(floor) : [];
+
+    if (entries.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const speed = game.getRestockSpeed(floor);
+    const now = game.clock.now();
+    const rows = entries.map((entry, i) => {
+        const eta = Math.max(0, Math.ceil((entry.endsAt - now) / 1000));
+        return `
+            <div class="restock-queue-item${entry.active ? ' active' : ''}">
+                <span>${entry.active ? '📦' : `${i + 1}.`} ${escapeHTML(entry.name)}</span>
+                <span>${entry.active ? 'ready' : 'done'} in ${eta}s</span>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="restock-queue-header">
+            <span>Restock Queue</span>
+            <span>Staff speed ×${Math.round(speed * 100) / 100}</span>
+        </div>
+        ${rows}
+    `;
+}
+
 /**
  * Handle restocking a category
  */
@@ -1891,6 +2208,9 @@ function handleRestock(floorId, categoryIndex) {
     if (result.success) {
         haptic('medium');
         SoundManager.restock();
+        if (result.queued) {
+            showToast(`🕒 Restock ordered - #${result.position} in the queue`);
+        }
         const floor = game.getFloor(floorId);
         renderBookCategories(floor);
         updateGlobalStats();
@@ -1933,7 +2253,7 @@ function renderActiveReaders(floor) {
 
     container.innerHTML = '';
     readersOnFloor.forEach(reader => {
-        const remaining = Math.max(0, Math.ceil((reader.checkoutTime - Date.now()) / 1000));
+        const remaining = Math.max(0, Math.ceil((reader.checkoutTime - game.clock.now()) / 1000));
         const isVIP = reader.type === 'vip';
         const readerEl = document.createElement('div');
         readerEl.className = `reader-item${isVIP ? ' vip-reader' : ''}`;
@@ -1958,6 +2278,37 @@ function renderActiveReaders(floor) {
     });
 }
 
+/**
+ * Show the floor's most recent checkout and every multiplier that went into it
+ */
+function renderLastCheckout(floor) {
+    const container = document.getElementById('last-checkout');
+    const checkout = game.getLastCheckout(floor.id);
+
+    if (!checkout) {
+        container.innerHTML = '<p class="empty-state">No checkouts yet</p>';
+        return;
+    }
+
+    const steps = checkout.breakdown.map(step => {
+        const change = step.id === 'base' ? '' : `×${Math.round(step.multiplier * 100) / 100}`;
+        return `
+            <div class="checkout-step">
+                <span class="checkout-step-label">${escapeHTML(step.label)}</span>
+                <span class="checkout-step-change">${change}</span>
+                <span class="checkout-step-total">${Math.floor(step.total)} ⭐</span>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="checkout-summary">
+            ${checkout.readerEmoji} <strong>${escapeHTML(checkout.readerName)}</strong> earned <strong>+${checkout.amount} ⭐</strong>
+        </div>
+        ${steps}
+    `;
+}
+
 /**
  * Close floor detail modal
  */
@@ -1990,6 +2341,13 @@ function openBuildModal() {
         const existingCount = game.floors.filter(f => f.typeId === floorType.id).length;
         const ownedText = existingCount > 0 ? ` <span class="owned-count">(You have ${existingCount})</span>` : '';
 
+        // Synergies this floor would complete
+        const synergies = game.previewSynergies(floorType.id);
+        const synergyHTML = synergies.length > 0 ? `
+                <div class="floor-type-synergies">
+                    ${synergies.map(s => `<span title="${escapeHTML(s.description)}">✨ ${s.emoji} ${escapeHTML(s.name)}</span>`).join('')}
+                </div>` : '';
+
         const card = document.createElement('div');
         card.className = `floor-type-card ${floorType.color} ${!canAfford ? 'disabled' : ''}`;
         card.innerHTML = `
@@ -2000,7 +2358,7 @@ function openBuildModal() {
                 <div class="floor-type-meta">
                     <span>💰 ${floorType.buildCost} stars</span>
                     <span>⏱️ ${floorType.buildTime}s</span>
-                </div>
+                </div>${synergyHTML}
             </div>
         `;
 
@@ -2088,11 +2446,41 @@ function openStatsModal() {
     document.getElementById('stat-floors').textContent = stats.totalFloorsBuilt.toLocaleString();
     document.getElementById('stat-staff').textContent = stats.totalStaffHired.toLocaleString();
     document.getElementById('stat-time').textContent = `${hours}h ${minutes}m`;
+    document.getElementById('stat-payroll').textContent = `${game.getDailyPayroll().toLocaleString()} ⭐`;
+    renderLedger();
 
     // Show modal
     document.getElementById('stats-modal').classList.add('active');
 }
 
+/**
+ * Render the daily ledger: income, spending by category and net, newest day first
+ */
+function renderLedger() {
+    const table = document.getElementById('ledger-table');
+    const categories = game.ledgerCategories;
+    const signed = value => `${value > 0 ? '+' : ''}${Math.round(value).toLocaleString()}`;
+
+    const header = `
+        <tr>
+            <th>Day</th>
+            <th title="Stars earned">💰 Income</th>
+            ${categories.map(category => `<th title="${category.name}">${category.emoji} ${category.name}</th>`).join('')}
+            <th>Net</th>
+        </tr>
+    `;
+    const rows = game.getLedger().map((entry, index) => `
+        <tr class="${index === 0 ? 'today' : ''}">
+            <td>${index === 0 ? `Day ${entry.day} (today)` : `Day ${entry.day}`}</td>
+            <td class="income">${signed(entry.income)}</td>
+            ${categories.map(category => `<td class="expense">${entry.expenses[category.id] ? signed(-entry.expenses[category.id]) : '-'}</td>`).join('')}
+            <td class="${entry.net < 0 ? 'loss' : 'profit'}">${signed(entry.net)}</td>
+        </tr>
+    `).join('');
+
+    table.innerHTML = `<thead>${header}</thead><tbody>${rows}</tbody>`;
+}
+
 /**
  * Close stats modal
  */
@@ -2276,6 +2664,17 @@ function closeStaffModal() {
     document.getElementById('staff-modal').classList.remove('active');
 }
 
+// Staff member whose "talk" panel is open in the directory
+let talkingToStaffId = null;
+
+/**
+ * Game hours and minutes from a number of ticks (150 ticks to the game hour)
+ */
+function formatGameHours(ticks) {
+    const minutes = Math.max(0, Math.round(ticks / 150 * 60));
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
 /**
  * Render staff directory list
  */
@@ -2283,31 +2682,27 @@ function renderStaffDirectory() {
     const listEl = document.getElementById('staff-directory-list');
     const countEl = document.getElementById('staff-employed-count');
 
-    // Collect all staff from all floors
-    const allStaff = [];
-    game.floors.forEach(floor => {
-        if (floor.staff && floor.staff.length > 0) {
-            floor.staff.forEach(staff => {
-                if (staff && typeof staff === 'object') {
-                    const floorType = game.floorTypes.find(ft => ft.id === floor.typeId);
-                    const dreamFloorType = game.floorTypes.find(ft => ft.id === staff.dreamGenre);
-                    const isDreamMatch = staff.dreamGenre === floor.typeId;
-
-                    allStaff.push({
-                        staff: staff,
-                        floor: floor,
-                        floorName: floorType ? floorType.name : 'Unknown',
-                        floorNumber: floor.floorNumber,
-                        dreamFloorName: dreamFloorType ? dreamFloorType.name : 'Unknown',
-                        isDreamMatch: isDreamMatch
-                    });
-                }
-            });
-        }
+    // Everyone on the roster, with where they work
+    const allStaff = game.staff.map(staff => {
+        const floor = staff.floorId !== null ? game.getFloor(staff.floorId) : null;
+        const floorType = floor ? game.floorTypes.find(ft => ft.id === floor.typeId) : null;
+        const dreamFloorType = game.floorTypes.find(ft => ft.id === staff.dreamGenre);
+
+        return {
+            staff: staff,
+            floor: floor,
+            floorName: floorType ? floorType.name : 'Unknown',
+            floorNumber: floor ? floor.floorNumber : -1,
+            dreamFloorName: dreamFloorType ? dreamFloorType.name : 'Unknown',
+            isDreamMatch: game.isDreamMatch(staff)
+        };
     });
 
     // Update count
     countEl.textContent = allStaff.length;
+    document.getElementById('staff-payroll').textContent = game.getDailyPayroll().toLocaleString();
+
+    renderStaffSchedule();
 
     // Render staff cards
     if (allStaff.length === 0) {
@@ -2320,29 +2715,201 @@ function renderStaffDirectory() {
         return;
     }
 
-    // Sort: dream matches first, then by floor number
+    // Sort: unassigned staff first (they need a floor), then dream matches, then by floor number
     allStaff.sort((a, b) => {
+        if (!a.floor !== !b.floor) {
+            return a.floor ? 1 : -1;
+        }
         if (a.isDreamMatch !== b.isDreamMatch) {
             return b.isDreamMatch ? 1 : -1;
         }
         return a.floorNumber - b.floorNumber;
     });
 
+    const describeCareerEntry = entry => {
+        switch (entry.event) {
+            case 'hired': return entry.floorName ? `Hired on ${escapeHTML(entry.floorName)}` : 'Hired';
+            case 'moved': return `Moved to ${escapeHTML(entry.floorName)}`;
+            case 'unassigned': return `${escapeHTML(entry.floorName)} closed - unassigned`;
+            case 'skill_up': return `🎓 Reached skill ${entry.skill}`;
+            case 'shift': return `Moved to the ${escapeHTML(entry.shift)} shift`;
+            case 'unpaid': return `💸 Missed payday (${entry.wage} ⭐)`;
+            case 'notice': return '📝 Handed in their notice';
+            case 'stayed': return 'Decided to stay';
+            case 'referral': return `🤝 Recommended ${escapeHTML(entry.name)}`;
+            default: return entry.event;
+        }
+    };
+
+    const renderSkillProgress = staff => {
+        const needed = game.getStaffXPToNext(staff);
+        const percent = needed ? Math.floor(staff.xp / needed * 100) : 100;
+        return `
+            <div class="staff-skill-progress">
+                <span class="staff-skill-label">🎓 Skill ${staff.skill}/${game.staffProgression.maxSkill}</span>
+                <div class="staff-xp-bar"><div class="staff-xp-fill" style="width: ${percent}%"></div></div>
+                <span class="staff-xp-text">${needed ? `${Math.floor(staff.xp)}/${needed} XP` : 'Max'}</span>
+            </div>
+        `;
+    };
+
+    const dutyLabels = { on: '🟢 On shift', break: '☕ On break', off: '💤 Off duty' };
+    const renderShiftControls = staff => `
+        <div class="staff-shift-row">
+            <select class="staff-shift-select" data-staff-id="${staff.id}">
+                ${game.staffShifts.map(shift => `
+                    <option value="${shift.id}" ${shift.id === staff.shift ? 'selected' : ''}>${shift.emoji} ${shift.name}</option>
+                `).join('')}
+            </select>
+            <span class="staff-duty ${game.getStaffDutyStatus(staff)}">${dutyLabels[game.getStaffDutyStatus(staff)]}</span>
+            <span class="staff-fatigue" title="Fatigue">😓 ${Math.round(staff.fatigue)}%</span>
+        </div>
+    `;
+
+    const moraleEmoji = morale => morale >= game.staffMorale.referralAt ? '😄' : morale >= 50 ? '🙂' : morale >= game.staffMorale.noticeAt ? '😟' : '😠';
+    const renderPay = staff => `
+        <div class="staff-pay-row">
+            <span class="staff-wage">💰 ${game.getStaffWage(staff)} ⭐/day</span>
+            <span class="staff-morale ${staff.morale < 50 ? 'low' : ''}">${moraleEmoji(staff.morale)} Morale ${Math.round(staff.morale)}%</span>
+            ${staff.noticeUntil ? `<span class="staff-notice">📝 Leaving in ${formatGameHours(staff.noticeUntil - game.stats.timePlayed)}</span>` : ''}
+        </div>
+    `;
+
+    const renderTalk = staff => {
+        if (staff.id !== talkingToStaffId) return '';
+        const talk = game.talkToStaff(staff.id);
+        if (!talk.success) return '';
+        return `
+            <div class="staff-talk">
+                <div class="staff-talk-quote">"${escapeHTML(talk.quote)}"</div>
+                <ul class="staff-talk-factors">
+                    ${talk.factors.map(factor => `
+                        <li class="${factor.value < 0 ? 'negative' : 'positive'}">
+                            <span>${factor.emoji} ${escapeHTML(factor.name)}</span>
+                            <span>${factor.value > 0 ? '+' : ''}${factor.value}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="staff-talk-target">Heading towards ${talk.target}% morale</div>
+            </div>
+        `;
+    };
+
+    const renderCareer = staff => `
+        <details class="staff-career">
+            <summary>Career history</summary>
+            <ul>
+                ${[...staff.history].reverse().map(entry => `
+                    <li><span>${describeCareerEntry(entry)}</span><span class="staff-career-date">${new Date(entry.at).toLocaleDateString()}</span></li>
+                `).join('')}
+            </ul>
+        </details>
+    `;
+
+    const describeJob = item => {
+        if (item.staff.isUtilityStaff) return `${item.staff.typeName} - ${item.staff.effect || ''}`;
+        return item.isDreamMatch ? '✓ Working dream job!' : `Dreams of: ${item.dreamFloorName}`;
+    };
+
     listEl.innerHTML = allStaff.map(item => `
-        <div class="staff-directory-card ${item.isDreamMatch ? 'dream-match' : ''}">
+        <div class="staff-directory-card ${item.isDreamMatch ? 'dream-match' : ''} ${item.floor ? '' : 'unassigned'}">
             <div class="staff-directory-icon" style="background-color: ${item.staff.color || '#ccc'}">
                 ${item.staff.emoji || '👤'}
             </div>
             <div class="staff-directory-info">
-                <div class="staff-directory-name">${item.staff.name}</div>
-                <div class="staff-directory-floor">Floor ${item.floorNumber}: ${item.floorName}</div>
+                <div class="staff-directory-name">${escapeHTML(item.staff.name)}</div>
+                <div class="staff-directory-floor">${item.floor ? `Floor ${item.floorNumber}: ${item.floorName}` : '⚠️ Unassigned'}</div>
                 <div class="staff-directory-dream ${item.isDreamMatch ? 'matched' : ''}">
-                    ${item.isDreamMatch ? '✓ Working dream job!' : `Dreams of: ${item.dreamFloorName}`}
+                    ${describeJob(item)}
                 </div>
+                ${renderSkillProgress(item.staff)}
+                ${renderShiftControls(item.staff)}
+                ${renderPay(item.staff)}
+                ${renderTalk(item.staff)}
+                ${renderCareer(item.staff)}
             </div>
             ${item.isDreamMatch ? '<div class="staff-directory-badge">⭐</div>' : ''}
+            <div class="staff-actions">
+                <button class="reassign-staff-btn" data-staff-id="${item.staff.id}" data-floor-id="${item.floor ? item.floor.id : ''}">
+                    ${item.floor ? 'Move' : 'Assign'}
+                </button>
+                <button class="talk-staff-btn" data-staff-id="${item.staff.id}">${item.staff.id === talkingToStaffId ? 'Done' : 'Talk'}</button>
+                <button class="fire-staff-btn" data-staff-id="${item.staff.id}">Fire</button>
+            </div>
         </div>
     `).join('');
+
+    listEl.querySelectorAll('.reassign-staff-btn').forEach(btn => {
+        btn.addEventListener('click', () => showReassignStaffModal(btn.dataset.floorId || null, btn.dataset.staffId));
+    });
+    listEl.querySelectorAll('.talk-staff-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            haptic('light');
+            talkingToStaffId = talkingToStaffId === btn.dataset.staffId ? null : btn.dataset.staffId;
+            renderStaffDirectory();
+        });
+    });
+    listEl.querySelectorAll('.fire-staff-btn').forEach(btn => {
+        btn.addEventListener('click', () => handleFireStaff(undefined, btn.dataset.staffId));
+    });
+    listEl.querySelectorAll('.staff-shift-select').forEach(select => {
+        select.addEventListener('change', () => {
+            const result = game.setStaffShift(select.dataset.staffId, select.value);
+            if (result.success) {
+                haptic('light');
+                renderStaffDirectory();
+            } else {
+                haptic('error');
+                showToast(result.error || 'Cannot change shift');
+            }
+        });
+    });
+}
+
+/**
+ * Render the shift schedule grid: one row per staffed floor, one column per shift
+ */
+function renderStaffSchedule() {
+    const container = document.getElementById('staff-schedule');
+    const floors = game.floors.filter(floor => floor.status === 'ready' && game.getFloorStaff(floor).length > 0);
+
+    if (floors.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const currentShift = game.getCurrentShift();
+    const formatHour = hour => `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+
+    const header = game.staffShifts.map(shift => `
+        <div class="schedule-cell schedule-head ${shift === currentShift ? 'current' : ''}">
+            ${shift.emoji} ${shift.name}<small>${formatHour(shift.start)}-${formatHour(shift.end)}</small>
+        </div>
+    `).join('');
+
+    const rows = floors.map(floor => {
+        const staff = game.getFloorStaff(floor);
+        const cells = game.staffShifts.map(shift => {
+            const onShift = staff.filter(member => member.shift === shift.id);
+            // Book floors with a gap in coverage are understaffed for that shift
+            const uncovered = onShift.length === 0 && floor.bookStock.length > 0;
+            return `
+                <div class="schedule-cell ${shift === currentShift ? 'current' : ''} ${uncovered ? 'uncovered' : ''}">
+                    ${onShift.map(member => `<span class="schedule-chip ${game.getStaffDutyStatus(member)}" title="${escapeHTML(member.name)}">${member.emoji || '👤'} ${escapeHTML(member.name)}</span>`).join('') || '—'}
+                </div>
+            `;
+        }).join('');
+        return `<div class="schedule-cell schedule-floor">${floor.emoji} ${escapeHTML(floor.name)}</div>${cells}`;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="schedule-title">🕐 Shift Schedule <small>Now: ${game.getGameClock()}</small></div>
+        <div class="schedule-grid">
+            <div class="schedule-cell schedule-head"></div>
+            ${header}
+            ${rows}
+        </div>
+    `;
 }
 
 /**
@@ -2831,8 +3398,8 @@ function renderMissionBanner() {
 
     // Show mini-quest if active (cyan banner, highest priority)
     const miniQuest = game.currentMiniQuest;
-    if (miniQuest && Date.now() < miniQuest.expiryTime) {
-        const timeRemaining = Math.max(0, Math.ceil((miniQuest.expiryTime - Date.now()) / 1000));
+    if (miniQuest && game.clock.now() < miniQuest.expiryTime) {
+        const timeRemaining = Math.max(0, Math.ceil((miniQuest.expiryTime - game.clock.now()) / 1000));
         const seconds = timeRemaining;
 
         banner.innerHTML = `
@@ -2849,8 +3416,8 @@ function renderMissionBanner() {
 
     // Show find mission if active (green banner)
     const findMission = game.currentFindMission;
-    if (findMission && Date.now() < findMission.expiryTime) {
-        const timeRemaining = Math.max(0, Math.ceil((findMission.expiryTime - Date.now()) / 1000));
+    if (findMission && game.clock.now() < findMission.expiryTime) {
+        const timeRemaining = Math.max(0, Math.ceil((findMission.expiryTime - game.clock.now()) / 1000));
         const seconds = timeRemaining;
 
         banner.innerHTML = `
@@ -2866,8 +3433,8 @@ function renderMissionBanner() {
     }
 
     // Show event if active (takes priority visually with different style)
-    if (event && Date.now() < event.endTime) {
-        const timeRemaining = Math.max(0, Math.ceil((event.endTime - Date.now()) / 1000));
+    if (event && game.clock.now() < event.endTime) {
+        const timeRemaining = Math.max(0, Math.ceil((event.endTime - game.clock.now()) / 1000));
         const seconds = timeRemaining % 60;
 
         banner.innerHTML = `
@@ -2886,7 +3453,7 @@ function renderMissionBanner() {
     if (mission && mission.status === 'active') {
         // Calculate progress and time remaining
         const progressPercent = (mission.progress / mission.requestCount) * 100;
-        const timeRemaining = Math.max(0, Math.ceil((mission.expiryTime - Date.now()) / 1000));
+        const timeRemaining = Math.max(0, Math.ceil((mission.expiryTime - game.clock.now()) / 1000));
         const minutes = Math.floor(timeRemaining / 60);
         const seconds = timeRemaining % 60;
 
@@ -2934,8 +3501,8 @@ function scrollToMiniQuest() {
  */
 function exportGameSave() {
     try {
-        // Get the saved data from localStorage
-        const saveData = localStorage.getItem('simLibrarySave');
+        // Get the current save (written fresh so the export is up to date)
+        const saveData = game.exportSave();
 
         if (!saveData) {
             alert('No save data found to export!');
@@ -2967,57 +3534,439 @@ function exportGameSave() {
     }
 }
 
+let lastStorageWarningTime = 0;
+
 /**
- * Import game save from file
+ * Tell the player their progress can't be saved because the device is full
  */
-async function importGameSave(file) {
-    try {
-        // Confirm before importing
+function showStorageFullWarning() {
+    // Saves happen every second - don't nag more than once a minute
+    if (Date.now() - lastStorageWarningTime < 60000) return;
+    lastStorageWarningTime = Date.now();
+
+    alert('⚠️ Your device is out of storage space, so SimLibrary can\'t save your progress.\n\nFree up some space, or export your save from the 💾 menu to keep a copy.');
+}
+
+/**
+ * Escape text for use inside innerHTML templates
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the tower slot list in the save modal
+ */
+function renderSaveSlots() {
+    const listEl = document.getElementById('save-slots-list');
+
+    listEl.innerHTML = SaveSlots.list().map(slot => {
+        const summary = slot.summary;
+        const summaryText = summary
+            ? `Lv ${summary.level} · ${summary.floors} floors · ${summary.stars.toLocaleString()} ⭐`
+            : 'Not started yet';
+        const lastPlayed = summary && summary.lastPlayed
+            ? `Last played ${new Date(summary.lastPlayed).toLocaleDateString()}`
+            : '';
+
+        return `
+            <div class="save-slot-card ${slot.isActive ? 'active' : ''}">
+                <div class="save-slot-name">${escapeHTML(slot.name)}${slot.isActive ? ' ▶️' : ''}</div>
+                <div class="save-slot-thumbnail">${summary && summary.thumbnail.length ? escapeHTML(summary.thumbnail.join('')) : '🏗️'}</div>
+                <div class="save-slot-summary">${summaryText}${lastPlayed ? `<br>${lastPlayed}` : ''}</div>
+                <div class="save-slot-actions">
+                    ${slot.isActive ? '' : `<button class="save-slot-btn" data-slot-action="play" data-slot-id="${slot.id}">▶️ Play</button>`}
+                    <button class="save-slot-btn" data-slot-action="rename" data-slot-id="${slot.id}">✏️ Rename</button>
+                    <button class="save-slot-btn" data-slot-action="duplicate" data-slot-id="${slot.id}">📄 Copy</button>
+                    ${slot.isActive ? '' : `<button class="save-slot-btn danger" data-slot-action="delete" data-slot-id="${slot.id}">🗑️ Delete</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render this tower's backups in the save modal
+ */
+function renderSaveBackups() {
+    const listEl = document.getElementById('save-backups-list');
+    const backups = game.listBackups();
+
+    if (backups.length === 0) {
+        listEl.innerHTML = '<div class="save-slot-summary">No backups yet - one is taken every hour you play.</div>';
+        return;
+    }
+
+    listEl.innerHTML = backups.map(backup => {
+        const rule = SaveBackups.policy[backup.reason];
+        const summary = backup.summary;
+        return `
+            <div class="save-slot-card">
+                <div class="save-slot-name">${rule ? rule.label : backup.reason} · ${new Date(backup.createdAt).toLocaleString()}</div>
+                <div class="save-slot-summary">Lv ${summary.level} · ${summary.floors} floors · ${summary.stars.toLocaleString()} ⭐</div>
+                <div class="save-slot-actions">
+                    <button class="save-slot-btn" data-backup-id="${backup.id}">⏪ Restore</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Confirm and restore a backup, then reload into it
+ */
+async function restoreSaveBackup(backupId) {
+    const backup = game.listBackups().find(b => b.id === backupId);
+    if (!backup) return;
+
+    document.getElementById('save-modal').classList.remove('active');
+    const confirmPromise = showConfirm('Restore Backup', '');
+    document.getElementById('confirm-message').innerHTML = `
+        ${renderSaveSummaryHTML(backup.summary)}
+        <div style="font-size: 14px; color: #666;">
+            Your tower will go back to this point. Your current progress is backed up first.
+        </div>
+    `;
+    document.getElementById('confirm-ok').textContent = 'Restore';
+
+    const confirmed = await confirmPromise;
+    if (!confirmed) return;
+
+    const result = game.restoreBackup(backupId);
+    if (!result.success) {
+        alert(result.error);
+        return;
+    }
+
+    await GameStorage.flush();
+    showToast('⏪ Backup restored! Reloading...');
+    setTimeout(() => {
+        window.location.reload();
+    }, 1000);
+}
+
+/**
+ * Run a save slot action from the save modal
+ */
+async function handleSaveSlotAction(action, slotId) {
+    const slot = SaveSlots.list().find(s => s.id === slotId);
+    if (!slot) return;
+
+    let result = { success: true };
+
+    if (action === 'play') {
+        // Keep the current tower's latest progress, then boot into the other slot
+        game.releaseSlot();
+        SaveSlots.setActive(slotId);
+        await GameStorage.flush();
+        window.location.reload();
+        return;
+    } else if (action === 'rename') {
+        const name = prompt('Rename tower:', slot.name);
+        if (name === null) return;
+        result = SaveSlots.rename(slotId, name);
+    } else if (action === 'duplicate') {
+        // Copy the latest progress if duplicating the tower being played
+        if (slot.isActive) game.save();
+        result = SaveSlots.duplicate(slotId);
+    } else if (action === 'delete') {
+        document.getElementById('save-modal').classList.remove('active');
         const confirmed = await showConfirm(
-            'Import Save',
-            'This will replace your current save. Export your current save first if you want to keep it. Continue?'
+            'Delete Tower',
+            `This will permanently delete "${slot.name}". Are you sure?`
         );
-
         if (!confirmed) return;
+        result = SaveSlots.remove(slotId);
+        document.getElementById('save-modal').classList.add('active');
+    }
 
-        // Read the file
-        const reader = new FileReader();
+    if (!result.success) {
+        alert(result.error);
+        return;
+    }
+    renderSaveSlots();
+}
 
-        reader.onload = async (e) => {
-            try {
-                const saveData = e.target.result;
+/**
+ * Build the preview shown before replacing a save
+ */
+function renderSaveSummaryHTML(summary) {
+    const lastPlayed = summary.lastPlayed
+        ? new Date(summary.lastPlayed).toLocaleString()
+        : 'Unknown';
+
+    return `
+        <div style="background: #f5f5f5; padding: 12px; border-radius: 8px; margin-bottom: 15px; text-align: left;">
+            <div style="margin-bottom: 8px;"><strong>Level:</strong> ${summary.level}</div>
+            <div style="margin-bottom: 8px;"><strong>Floors:</strong> ${summary.floors}</div>
+            <div style="margin-bottom: 8px;"><strong>Stars:</strong> ${summary.stars.toLocaleString()} ⭐</div>
+            <div><strong>Last played:</strong> ${lastPlayed}</div>
+        </div>
+    `;
+}
 
-                // Validate JSON
-                JSON.parse(saveData);
+/**
+ * Read a file as text
+ */
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Import game save from file
+ */
+async function importGameSave(file) {
+    let text;
+    try {
+        text = await readFileAsText(file);
+    } catch (error) {
+        console.error('Import read error:', error);
+        alert('Failed to read file. Please try again.');
+        return;
+    }
 
-                // Save to localStorage
-                localStorage.setItem('simLibrarySave', saveData);
+    // Refuse anything that doesn't look like one of our saves
+    const result = game.validateSaveFile(text);
+    if (!result.success) {
+        alert(`Invalid save file: ${result.error}.\n\nPlease select a valid SimLibrary save file.`);
+        return;
+    }
 
-                showToast('📥 Save imported! Reloading...');
+    await confirmAndImportSave(result);
+}
 
-                // Reload the page to apply the imported save
-                setTimeout(() => {
-                    window.location.reload();
-                }, 1000);
+/**
+ * Preview a validated save, and replace the current tower with it if confirmed
+ */
+async function confirmAndImportSave(result) {
+    // Confirm before importing, with a preview of the incoming tower
+    const confirmPromise = showConfirm('Import Save', '');
+    document.getElementById('confirm-message').innerHTML = `
+        ${renderSaveSummaryHTML(result.summary)}
+        <div style="font-size: 14px; color: #666;">
+            This will replace your current save. A backup of it is taken first - restore it from 🕒 Backups in Save &amp; Load if you change your mind.
+        </div>
+    `;
+    document.getElementById('confirm-ok').textContent = 'Import';
 
-            } catch (error) {
-                console.error('Import parse error:', error);
-                alert('Invalid save file. Please select a valid SimLibrary save file.');
-            }
-        };
+    const confirmed = await confirmPromise;
+    if (!confirmed) return;
 
-        reader.onerror = () => {
-            alert('Failed to read file. Please try again.');
-        };
+    try {
+        game.importSave(result.data);
+        await GameStorage.flush();
 
-        reader.readAsText(file);
+        showToast('📥 Save imported! Reloading...');
 
+        // Reload the page to apply the imported save
+        setTimeout(() => {
+            window.location.reload();
+        }, 1000);
     } catch (error) {
         console.error('Import error:', error);
         alert('Failed to import save data. Please try again.');
     }
 }
 
+/**
+ * Open the share modal, either showing this tower's code or asking for one
+ */
+async function openShareModal(mode) {
+    const modal = document.getElementById('share-modal');
+    document.getElementById('share-export-section').style.display = mode === 'export' ? '' : 'none';
+    document.getElementById('share-import-section').style.display = mode === 'import' ? '' : 'none';
+    document.getElementById('share-code-input').value = '';
+    modal.classList.add('active');
+
+    if (mode !== 'export') return;
+
+    const output = document.getElementById('share-code-output');
+    const canvas = document.getElementById('share-qr-canvas');
+    const tooBig = document.getElementById('share-qr-too-big');
+    output.value = 'Preparing code...';
+
+    const code = await game.exportShareCode();
+    output.value = code;
+
+    const qr = QRCode.encode(code, 'L');
+    canvas.style.display = qr ? '' : 'none';
+    tooBig.style.display = qr ? 'none' : '';
+    if (!qr) {
+        const kb = bytes => (bytes / 1024).toFixed(1);
+        tooBig.textContent = `📵 No QR code: this tower's code is ${kb(code.length)} KB and a QR code holds at most ${kb(QRCode.getMaxBytes('L'))} KB. Copy the text below and send it to your other device instead.`;
+    }
+    if (qr) {
+        // Keep the picture roughly the same size whatever the QR version
+        QRCode.drawToCanvas(canvas, qr, Math.max(2, Math.floor(240 / (qr.size + 8))));
+    }
+}
+
+/**
+ * Close the share modal
+ */
+function closeShareModal() {
+    document.getElementById('share-modal').classList.remove('active');
+}
+
+/**
+ * Copy the share code to the clipboard
+ */
+async function copyShareCode() {
+    const output = document.getElementById('share-code-output');
+    try {
+        await navigator.clipboard.writeText(output.value);
+        showToast('📋 Code copied!');
+    } catch (error) {
+        // Clipboard API unavailable - select the text so it can be copied by hand
+        output.select();
+        showToast('Select and copy the code above');
+    }
+}
+
+/**
+ * Import a pasted share code
+ */
+async function importShareCode() {
+    const code = document.getElementById('share-code-input').value;
+    const result = await game.decodeShareCode(code);
+    if (!result.success) {
+        alert(`Invalid share code: ${result.error}.`);
+        return;
+    }
+
+    closeShareModal();
+    await confirmAndImportSave(result);
+}
+
+/**
+ * Show what each floor earned while the player was away
+ */
+function showWelcomeBackModal(msg) {
+    const cappedText = msg.capped ? ` (capped at ${msg.capHours} hours)` : '';
+    document.getElementById('welcome-back-summary').textContent =
+        `While you were away for ${msg.time.trim()}${cappedText}, your library earned ${msg.stars.toLocaleString()} ⭐!`;
+
+    const floors = [...msg.floors].sort((a, b) => b.stars - a.stars);
+    document.getElementById('welcome-back-floors').innerHTML = floors.map(floor => {
+        const notes = [`📚 ${floor.books} books`];
+        if (floor.restocksFinished > 0) notes.push(`📦 ${floor.restocksFinished} restocked`);
+        if (floor.ranOut) notes.push('⚠️ sold out');
+        return `
+            <div class="welcome-back-floor">
+                <span class="welcome-back-floor-name">${escapeHTML(floor.emoji)} ${escapeHTML(floor.name)}</span>
+                <span class="welcome-back-floor-stars">+${floor.stars.toLocaleString()} ⭐</span>
+                <div class="welcome-back-floor-notes">${notes.join(' · ')}</div>
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('welcome-back-modal').classList.add('active');
+}
+
+/**
+ * Close the welcome back modal
+ */
+function closeWelcomeBackModal() {
+    document.getElementById('welcome-back-modal').classList.remove('active');
+}
+
+// ===================================
+// Balance Report (debug)
+// ===================================
+
+// Current sort for the balance table
+const balanceSort = { key: 'paybackMin', descending: false };
+
+/**
+ * Open the balance report, recalculated from the current catalog
+ */
+function openBalanceModal() {
+    const input = document.getElementById('balance-readers-input');
+    if (!input.value) {
+        input.value = BalanceReport.assumptions.readersPerMinute;
+    }
+    renderBalanceTable();
+    document.getElementById('balance-modal').classList.add('active');
+}
+
+/**
+ * Close the balance report
+ */
+function closeBalanceModal() {
+    document.getElementById('balance-modal').classList.remove('active');
+}
+
+/**
+ * Balance rows for the readers/min currently entered, in the current sort order
+ */
+function getBalanceRows() {
+    const readersPerMinute = Number(document.getElementById('balance-readers-input').value);
+    const assumptions = readersPerMinute > 0 ? { readersPerMinute } : {};
+    const rows = BalanceReport.analyze(game, assumptions);
+    return BalanceReport.sortRows(rows, balanceSort.key, balanceSort.descending);
+}
+
+/**
+ * Render the balance table, highlighting flagged rows
+ */
+function renderBalanceTable() {
+    const table = document.getElementById('balance-table');
+    const rows = getBalanceRows();
+    const columns = BalanceReport.getColumns(rows);
+    const header = columns.map(([key, heading]) => {
+        const arrow = key === balanceSort.key ? (balanceSort.descending ? ' ▼' : ' ▲') : '';
+        return `<th data-sort="${key}">${escapeHTML(heading)}${arrow}</th>`;
+    }).join('');
+
+    const body = rows.map(row => {
+        const rowClass = row.flags.includes('trap') || row.flags.includes('no income') ? 'balance-trap'
+            : row.flags.includes('bargain') ? 'balance-bargain'
+            : row.flags.length > 0 ? 'balance-flagged' : '';
+        const cells = columns.map(([key]) => `<td>${escapeHTML(BalanceReport.formatCell(row, key))}</td>`).join('');
+        return `<tr class="${rowClass}">${cells}</tr>`;
+    }).join('');
+
+    table.innerHTML = `<thead><tr>${header}</tr></thead><tbody>${body}</tbody>`;
+}
+
+/**
+ * Sort by a column - tapping the same column again flips the order
+ */
+function sortBalanceTable(key) {
+    if (balanceSort.key === key) {
+        balanceSort.descending = !balanceSort.descending;
+    } else {
+        balanceSort.key = key;
+        balanceSort.descending = false;
+    }
+    renderBalanceTable();
+}
+
+/**
+ * Download the balance table as a CSV file
+ */
+function downloadBalanceCSV() {
+    const blob = new Blob([BalanceReport.toCSV(getBalanceRows())], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'simlibrary-balance.csv';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 // ===================================
 // Onboarding Tutorial System
 // ===================================
@@ -3250,7 +4199,14 @@ function showApplicantModal(applicantOrId) {
     const cancelBtn = document.getElementById('confirm-cancel');
 
     // Show skill stars
-    const skillStars = '⭐'.repeat(applicant.skill) + '☆'.repeat(5 - applicant.skill);
+    const skillStars = '⭐'.repeat(applicant.skill) + '☆'.repeat(Math.max(0, 5 - applicant.skill));
+    const wage = game.getWage(applicant.type, applicant.skill);
+    let applicantNote = '';
+    if (applicant.formerStaff) {
+        applicantNote = '<div style="margin-bottom: 8px; color: #C62828;"><strong>Former staff</strong> - quit over missed pay</div>';
+    } else if (applicant.referredBy) {
+        applicantNote = `<div style="margin-bottom: 8px; color: #2E7D32;"><strong>🤝 Referred by ${escapeHTML(applicant.referredBy)}</strong></div>`;
+    }
 
     title.textContent = `${applicant.name}`;
 
@@ -3263,6 +4219,7 @@ function showApplicantModal(applicantOrId) {
                 <div style="font-size: 18px; font-weight: bold; color: ${applicant.color};">${applicant.typeName}</div>
             </div>
             <div style="background: #f5f5f5; padding: 12px; border-radius: 8px; margin-bottom: 15px;">
+                ${applicantNote}
                 <div style="margin-bottom: 8px;">
                     <strong>Works in:</strong> <span style="color: #4A0080; font-weight: bold;">${floorTypeName}</span>
                 </div>
@@ -3272,9 +4229,12 @@ function showApplicantModal(applicantOrId) {
                 <div style="margin-bottom: 8px;">
                     <strong>Skill:</strong> ${skillStars}
                 </div>
-                <div>
+                <div style="margin-bottom: 8px;">
                     <strong>Hire Cost:</strong> ${applicant.hireCost} stars
                 </div>
+                <div>
+                    <strong>Wage:</strong> ${wage} stars/day
+                </div>
             </div>
         `;
     } else {
@@ -3284,19 +4244,24 @@ function showApplicantModal(applicantOrId) {
                 <div style="font-size: 18px; font-weight: bold; color: ${applicant.color};">${applicant.typeName}</div>
             </div>
             <div style="background: #f5f5f5; padding: 12px; border-radius: 8px; margin-bottom: 15px;">
+                ${applicantNote}
                 <div style="margin-bottom: 8px;">
-                    <strong>Dream Floor:</strong> <span style="color: #4A0080; font-weight: bold;">${applicant.dreamGenreName}</span>
+                    <strong>Dream Floor:</strong> <span style="color: #4A0080; font-weight: bold;">${applicant.dreamGenreName || 'None'}</span>
                 </div>
                 <div style="margin-bottom: 8px;">
                     <strong>Skill:</strong> ${skillStars}
                 </div>
-                <div>
+                <div style="margin-bottom: 8px;">
                     <strong>Hire Cost:</strong> ${applicant.hireCost} stars
                 </div>
+                <div>
+                    <strong>Wage:</strong> ${wage} stars/day
+                </div>
             </div>
+            ${applicant.dreamGenreName ? `
             <div style="font-size: 12px; color: #666; text-align: center;">
                 <em>Place on ${applicant.dreamGenreName} floor for 2x restock speed!</em>
-            </div>
+            </div>` : ''}
         `;
     }
 
@@ -3338,7 +4303,7 @@ function showVIPInfoModal(vip) {
     const cancelBtn = document.getElementById('confirm-cancel');
 
     // Calculate time remaining
-    const timeRemaining = Math.max(0, Math.ceil((vip.expiresAt - Date.now()) / 1000));
+    const timeRemaining = Math.max(0, Math.ceil((vip.expiresAt - game.clock.now()) / 1000));
     const minutes = Math.floor(timeRemaining / 60);
     const seconds = timeRemaining % 60;
     const timeText = `${minutes}:${seconds.toString().padStart(2, '0')}`;
@@ -3413,7 +4378,7 @@ function showVIPInfoModal(vip) {
         haptic('light');
         // Dismiss the VIP
         game.arrivingVIPs = game.arrivingVIPs.filter(v => v.id !== vip.id);
-        game.save();
+        game.markDirty();
         modal.classList.remove('active');
     };
 
@@ -3439,13 +4404,9 @@ function showFloorPickerForApplicant(applicantId) {
 
     // Handle utility staff differently - they can only go to their designated floor type
     if (applicant.isUtilityStaff) {
-        availableFloors = game.floors.filter(f => {
-            if (f.status !== 'ready') return false;
-            if (f.typeId !== applicant.utilityFloorType) return false;
-            // Check if the specific slot for this utility staff is empty
-            const slotIndex = applicant.utilitySlotIndex;
-            return !f.staff[slotIndex];
-        });
+        availableFloors = game.floors.filter(f =>
+            f.status === 'ready' && game.findOpenStaffSlot(f, applicant.type) !== -1
+        );
 
         if (availableFloors.length === 0) {
             const floorTypeName = applicant.utilityFloorType === 'bathroom' ? 'Restroom' : 'Basement';
@@ -3453,14 +4414,8 @@ function showFloorPickerForApplicant(applicantId) {
             return;
         }
     } else {
-        // Regular staff - get floors that can accept staff (count non-null slots, not array length)
-        availableFloors = game.floors.filter(f => {
-            if (f.status !== 'ready') return false;
-            const floorType = game.floorTypes.find(ft => ft.id === f.typeId);
-            if (floorType?.staffSlots) return false; // Skip utility rooms
-            const filledSlots = f.staff.filter(s => s !== null && s !== undefined).length;
-            return filledSlots < 3;
-        });
+        // Regular staff - book floors with a free slot
+        availableFloors = game.getFloorsWithEmptySlots();
 
         if (availableFloors.length === 0) {
             alert('No floors available to hire staff! Build more floors or make room on existing ones.');
@@ -3475,7 +4430,7 @@ function showFloorPickerForApplicant(applicantId) {
     availableFloors.forEach(floor => {
         const floorType = game.floorTypes.find(ft => ft.id === floor.typeId);
         const isDreamMatch = !applicant.isUtilityStaff && floor.typeId === applicant.dreamGenre;
-        const staffCount = floor.staff.filter(s => s !== null && s !== undefined).length;
+        const staffCount = game.getFloorStaff(floor).length;
 
         const card = document.createElement('div');
         card.className = `floor-type-card ${floorType.color} ${isDreamMatch ? 'dream-match' : ''}`;
@@ -0,0 +1,214 @@
+/**
+ * SimLibrary - Economy balance report
+ * Works out what every floor in the catalog earns and how long it takes to
+ * pay for itself at each upgrade level, so traps and runaway winners stand out.
+ *
+ * Uses base rates only - no mood, events, perks, rush hour or VIPs - so floors
+ * are compared on their catalog numbers alone.
+ */
+
+const BalanceReport = {
+    // Defaults for the demand model, override any of them in analyze()
+    assumptions: {
+        // Readers a single floor sees per minute (base 10% spawn per tick on a one-floor tower)
+        readersPerMinute: 6,
+        // Cost to reach each level and the stock/earning multiplier there (null = the game's upgradeTiers.books)
+        upgradeTiers: null,
+        // Payback this far from the median of the same level gets flagged
+        trapFactor: 1.5,
+        bargainFactor: 0.67
+    },
+
+    // Fixed columns in table order: key, CSV/table heading (getColumns adds the per-category ones)
+    columns: [
+        ['floor', 'Floor'],
+        ['level', 'Level'],
+        ['investment', 'Investment'],
+        ['starsPerMin', 'Total stars/min'],
+        ['paybackMin', 'Payback (min)'],
+        ['roiPerHour', 'ROI %/hour'],
+        ['upgradePaybackMin', 'Upgrade payback (min)'],
+        ['flags', 'Flags']
+    ],
+
+    /**
+     * Columns for a set of rows: a stars/min column for every category any row has, so they add up to the total
+     */
+    getColumns(rows) {
+        const categoryCount = rows.reduce((max, row) => Math.max(max, row.categoryCount), 0);
+        const categoryColumns = [];
+        for (let i = 1; i <= categoryCount; i++) {
+            categoryColumns.push([`cat${i}PerMin`, `Cat ${i} stars/min`]);
+        }
+        const total = this.columns.findIndex(([key]) => key === 'starsPerMin');
+        return [...this.columns.slice(0, total), ...categoryColumns, ...this.columns.slice(total)];
+    },
+
+    /**
+     * Stars a reader pays per book (mirrors spawnReader)
+     */
+    earningPerBook(earningRate) {
+        return Math.max(1, Math.floor(earningRate * 0.3));
+    },
+
+    /**
+     * Average books per reader: browse time is 4-12s and readers take a book per 1.5s of it (mirrors spawnReader)
+     */
+    averageBooksPerReader() {
+        let total = 0;
+        for (let browseTime = 4000; browseTime < 12000; browseTime++) {
+            total += Math.max(1, Math.floor(browseTime / 1500));
+        }
+        return total / 8000;
+    },
+
+    /**
+     * Steady-state numbers for one book category at an upgrade tier
+     * A cycle is: restock, then sell the shelf empty at the floor's share of readers.
+     */
+    analyzeCategory(game, category, tier, booksPerSecond) {
+        const { maxStock, earningRate, stockCost } = game.scaleCategoryForTier(category, tier);
+        const perBook = this.earningPerBook(earningRate);
+
+        const cycleSeconds = category.stockTime + maxStock / booksPerSecond;
+        const cycleProfit = maxStock * perBook - stockCost;
+
+        return {
+            name: category.name,
+            perBook: perBook,
+            cycleProfit: cycleProfit,
+            starsPerMin: cycleProfit / cycleSeconds * 60,
+            // The 30% payout rounds down to the 1 star minimum
+            minPayout: earningRate * 0.3 < 1
+        };
+    },
+
+    /**
+     * One row per floor type and upgrade level
+     * Special and utility rooms are left out - they don't sell books.
+     */
+    analyze(game, overrides = {}) {
+        const a = { ...this.assumptions, ...overrides };
+        const booksPerReader = this.averageBooksPerReader();
+        const staffCost = game.staffTypes.reduce((sum, s) => sum + s.hireCost, 0);
+
+        const upgradeTiers = a.upgradeTiers || game.upgradeTiers.books;
+        const floorTypes = game.floorTypes.filter(t => !t.isSpecialRoom && !t.isUtilityRoom);
+        const rows = [];
+
+        floorTypes.forEach(floorType => {
+            let investment = floorType.buildCost + staffCost;
+            let previous = null;
+
+            upgradeTiers.forEach(tier => {
+                investment += tier.cost;
+                // Upgrades can add categories (Staff Picks, Rare Finds)
+                const categories = game.getFloorCategoryTemplates(floorType, tier.level);
+                // Readers pick a random stocked category, so each one gets an equal share
+                const booksPerSecond = a.readersPerMinute / 60 * booksPerReader / Math.max(1, categories.length);
+                const cats = categories.map(c => this.analyzeCategory(game, c, tier, booksPerSecond));
+                const starsPerMin = cats.reduce((sum, c) => sum + c.starsPerMin, 0);
+
+                const flags = [];
+                if (cats.length === 0) flags.push('no income');
+                if (cats.some(c => c.cycleProfit <= 0)) flags.push('restock loses stars');
+                if (cats.some(c => c.minPayout)) flags.push('min payout');
+
+                let upgradePaybackMin = null;
+                if (previous) {
+                    const gain = starsPerMin - previous.starsPerMin;
+                    upgradePaybackMin = gain > 0 ? tier.cost / gain : Infinity;
+                    if (gain <= 0) flags.push('upgrade earns nothing');
+                }
+
+                const row = {
+                    floor: floorType.name,
+                    typeId: floorType.id,
+                    level: tier.level,
+                    investment: investment,
+                    categoryCount: cats.length,
+                    starsPerMin: starsPerMin,
+                    // Building time earns nothing, so it counts towards payback
+                    paybackMin: starsPerMin > 0 ? floorType.buildTime / 60 + investment / starsPerMin : Infinity,
+                    roiPerHour: starsPerMin * 60 / investment * 100,
+                    upgradePaybackMin: upgradePaybackMin,
+                    flags: flags
+                };
+                cats.forEach((c, i) => { row[`cat${i + 1}PerMin`] = c.starsPerMin; });
+                rows.push(row);
+                previous = row;
+            });
+        });
+
+        this.flagOutliers(rows, a);
+        return rows;
+    },
+
+    /**
+     * Compare each floor's payback with the median of its upgrade level
+     */
+    flagOutliers(rows, a = this.assumptions) {
+        const levels = [...new Set(rows.map(r => r.level))];
+        levels.forEach(level => {
+            const atLevel = rows.filter(r => r.level === level && Number.isFinite(r.paybackMin));
+            const sorted = atLevel.map(r => r.paybackMin).sort((x, y) => x - y);
+            if (sorted.length === 0) return;
+            const mid = Math.floor(sorted.length / 2);
+            const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+
+            atLevel.forEach(row => {
+                if (row.paybackMin > median * a.trapFactor) row.flags.push('trap');
+                else if (row.paybackMin < median * a.bargainFactor) row.flags.push('bargain');
+            });
+        });
+        return rows;
+    },
+
+    /**
+     * Sort rows by a column (numbers numerically, Infinity last when ascending)
+     */
+    sortRows(rows, key, descending = false) {
+        const value = row => {
+            const v = row[key];
+            if (Array.isArray(v)) return v.length;
+            return v === null || v === undefined ? -1 : v;
+        };
+        return [...rows].sort((x, y) => {
+            const a = value(x);
+            const b = value(y);
+            const order = typeof a === 'string' ? a.localeCompare(b) : (a > b) - (a < b);
+            return descending ? -order : order;
+        });
+    },
+
+    /**
+     * Display value for one cell
+     */
+    formatCell(row, key) {
+        const v = row[key];
+        if (Array.isArray(v)) return v.join('; ');
+        // Categories this floor doesn't have at this level
+        if (v === null || v === undefined) return '';
+        if (v === Infinity) return 'never';
+        if (typeof v === 'number' && !Number.isInteger(v)) return v.toFixed(2);
+        return String(v);
+    },
+
+    /**
+     * Rows as CSV text
+     */
+    toCSV(rows) {
+        const quote = text => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        const columns = this.getColumns(rows);
+        const lines = [columns.map(([, heading]) => quote(heading)).join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(([key]) => quote(this.formatCell(row, key))).join(','));
+        });
+        return lines.join('\n');
+    }
+};
+
+// Node (tools/) - browsers load this file with a <script> tag and use the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BalanceReport };
+}
@@ -3,8 +3,714 @@
  * Build floors, stock books, serve readers, earn stars
  */
 
+/**
+ * Save schema version written by save().
+ * Bump this and append a migration below whenever the saved payload changes shape.
+ * Saves written before versioning existed have no saveVersion and are treated as v2.
+ */
+const SAVE_VERSION = 9;
+
+/**
+ * Ordered save migrations (v2 -> v3 -> ...)
+ * Each migrate() takes the raw parsed payload and returns the upgraded payload.
+ * They only touch plain data (no GameState instance) so each can be run on a fixture save.
+ */
+const SAVE_MIGRATIONS = [
+    {
+        from: 2,
+        to: 3,
+        description: 'Backfill floor staff, upgradeLevel and trash',
+        migrate(data) {
+            (data.floors || []).forEach(floor => {
+                if (!floor.staff) {
+                    floor.staff = [];
+                }
+                if (!floor.upgradeLevel) {
+                    floor.upgradeLevel = 1;
+                }
+                if (floor.trash === undefined) {
+                    floor.trash = 0;
+                }
+            });
+            return data;
+        }
+    },
+    {
+        from: 3,
+        to: 4,
+        description: 'Add per-floor restock queues',
+        migrate(data) {
+            (data.floors || []).forEach(floor => {
+                if (!Array.isArray(floor.restockQueue)) {
+                    floor.restockQueue = [];
+                }
+            });
+            return data;
+        }
+    },
+    {
+        from: 4,
+        to: 5,
+        description: 'Move floor staff into one global staff roster',
+        migrate(data) {
+            const roster = Array.isArray(data.staff) ? data.staff : [];
+            const usedIds = new Set(roster.map(member => member.id));
+            // Utility room roles in slot order - bare role names were saved in hiring order, not by slot
+            const utilitySlots = {
+                basement: ['Custodian', 'Plumber', 'Electrician'],
+                bathroom: ['Attendant', 'Cleaner', 'Maintenance']
+            };
+
+            (data.floors || []).forEach(floor => {
+                (floor.staff || []).forEach((entry, position) => {
+                    if (!entry) return;
+                    const roleSlot = typeof entry === 'string' && utilitySlots[floor.typeId]
+                        ? utilitySlots[floor.typeId].indexOf(entry)
+                        : -1;
+                    const slotIndex = roleSlot >= 0 ? roleSlot : position;
+
+                    // Basement/restroom hires used to be stored as a bare role name ("Custodian")
+                    const member = typeof entry === 'string'
+                        ? { typeId: entry.toLowerCase(), name: entry, typeName: entry, skill: 3, isUtilityStaff: true }
+                        : { ...entry };
+                    delete member.isDreamMatch; // derived from dreamGenre and the floor now
+
+                    // Floor staff only had what the floor screen showed
+                    if (!member.skill) {
+                        member.skill = 3;
+                    }
+                    if (member.dreamGenre === undefined) {
+                        member.dreamGenre = null;
+                    }
+                    if (member.hiredAt === undefined) {
+                        member.hiredAt = data.timestamp || 0;
+                    }
+                    if (member.appearance === undefined) {
+                        member.appearance = null;
+                    }
+
+                    if (member.id === undefined || usedIds.has(member.id)) {
+                        member.id = `staff_${floor.id}_${slotIndex}`;
+                    }
+                    usedIds.add(member.id);
+
+                    member.floorId = floor.id;
+                    member.slotIndex = slotIndex;
+                    roster.push(member);
+                });
+                delete floor.staff;
+            });
+
+            data.staff = roster;
+            return data;
+        }
+    },
+    {
+        from: 5,
+        to: 6,
+        description: 'Add staff XP and career history',
+        migrate(data) {
+            (data.staff || []).forEach(member => {
+                if (!Number.isFinite(member.xp)) {
+                    member.xp = 0;
+                }
+                if (!Array.isArray(member.history)) {
+                    member.history = member.hiredAt ? [{ event: 'hired', at: member.hiredAt }] : [];
+                }
+            });
+            return data;
+        }
+    },
+    {
+        from: 6,
+        to: 7,
+        description: 'Put staff on shifts (spread across each floor) with fatigue',
+        migrate(data) {
+            const shifts = ['morning', 'evening', 'night'];
+            const perFloor = new Map();
+            [...(data.staff || [])]
+                .sort((a, b) => (a.slotIndex || 0) - (b.slotIndex || 0))
+                .forEach(member => {
+                    const index = perFloor.get(member.floorId) || 0;
+                    perFloor.set(member.floorId, index + 1);
+                    if (!member.shift) {
+                        member.shift = shifts[index % shifts.length];
+                    }
+                    if (!Number.isFinite(member.fatigue)) {
+                        member.fatigue = 0;
+                    }
+                    if (!Number.isFinite(member.breakUntil)) {
+                        member.breakUntil = 0;
+                    }
+                });
+            return data;
+        }
+    },
+    {
+        from: 7,
+        to: 8,
+        description: 'Give staff morale and start payroll on the current day',
+        migrate(data) {
+            (data.staff || []).forEach(member => {
+                if (!Number.isFinite(member.morale)) {
+                    member.morale = 100;
+                }
+            });
+            // No back pay for the days before wages existed
+            data.lastPayrollDay = Math.max(1, data.lastCleanedDay || 1);
+            return data;
+        }
+    },
+    {
+        from: 8,
+        to: 9,
+        description: 'Track missed paydays, notice and referrals on staff',
+        migrate(data) {
+            (data.staff || []).forEach(member => {
+                if (!Number.isFinite(member.missedPaydays)) {
+                    member.missedPaydays = 0;
+                }
+                if (!Number.isFinite(member.noticeUntil)) {
+                    member.noticeUntil = 0;
+                }
+                if (!Number.isFinite(member.lastReferralDay)) {
+                    member.lastReferralDay = 0;
+                }
+            });
+            return data;
+        }
+    }
+];
+
+/**
+ * Small seedable PRNG (mulberry32) for the simulation
+ * Its whole state is two numbers, so it can be saved and resumed exactly.
+ */
+class SeededRandom {
+    constructor(seed = Math.floor(Math.random() * 0x100000000)) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+/**
+ * Game time source for the simulation
+ * Follows real time by default; can be paused, run faster or slower, and
+ * jumped forward. Passing a fixed source makes a manual clock for tools:
+ *   const clock = new SimClock({ source: () => 0, start: 0 }); clock.advance(1000);
+ */
+class SimClock {
+    constructor(options = {}) {
+        this.source = options.source || (() => Date.now());
+        this.speed = options.speed || 1;
+        this.paused = false;
+        this.anchorReal = this.source();
+        this.anchorGame = options.start !== undefined ? options.start : this.anchorReal;
+    }
+
+    /**
+     * Current game time in ms
+     */
+    now() {
+        const elapsed = this.paused ? 0 : (this.source() - this.anchorReal) * this.speed;
+        return Math.floor(this.anchorGame + elapsed);
+    }
+
+    /**
+     * Jump to a game time
+     */
+    setTime(time) {
+        this.anchorGame = time;
+        this.anchorReal = this.source();
+    }
+
+    /**
+     * Fast-forward game time without waiting
+     */
+    advance(ms) {
+        this.anchorGame += ms;
+    }
+
+    pause() {
+        if (this.paused) return;
+        this.setTime(this.now());
+        this.paused = true;
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.anchorReal = this.source();
+        this.paused = false;
+    }
+
+    /**
+     * Change how many game ms pass per real ms (e.g. 10 for 10x)
+     */
+    setSpeed(speed) {
+        this.setTime(this.now());
+        this.speed = speed;
+    }
+}
+
+/**
+ * Every piece of GameState written by save() and restored by load()
+ * A plain string saves/restores the whole property. Object entries support:
+ *   fields - only these sub-keys are saved; the rest (catalog data) comes from the constructor
+ *   merge: 'object' - saved keys are laid over the constructor defaults
+ *   merge: 'byId' - saved array items are laid over the default item with the same id
+ * Anything not listed here is derived, a catalog, or a one-shot UI notification flag.
+ */
+const PERSISTED_FIELDS = [
+    // Economy and progression
+    'stars', 'towerBucks', 'level', 'xp', 'xpToNextLevel', 'totalStarsEarned',
+    { key: 'stats', merge: 'object' },
+    { key: 'achievements', merge: 'byId' },
+    'dailyLogin', 'readerCollection',
+    'currentPrestige', 'ownedDecorations', 'lobbyDecorations', 'floorDecorations',
+    'unlockedThemes', 'activeTheme', 'unlockedPerks', 'purchasedUpgrades', 'offlineTimeBonus',
+    'ledger', 'lastPayrollDay',
+
+    // Tower
+    'floors', 'nextFloorSlot', 'floorBonuses', 'activeSynergies',
+
+    // Characters
+    'staff', 'readers', 'regularCustomers', 'customerIdCounter', 'libraryCards',
+    'specialVisitors', 'nextSpecialVisitorTime',
+    'lobbyApplicants', 'arrivingVIPs', 'activeElevatorRide',
+
+    // Missions and events
+    'currentMission', 'missionHistory', 'nextMissionTime',
+    'currentFindMission', 'nextFindMissionTime',
+    'currentMiniQuest', 'nextMiniQuestTime',
+    'currentEvent', 'nextEventTime', 'nextCozyEventTime',
+    'lastEventHallDay', 'currentHallEvent', 'nextDonationTime',
+    { key: 'transitSchedule', fields: ['lastRushHour', 'nextRushHour', 'isRushHour', 'currentTransit'] },
+    { key: 'bookSale', fields: ['isActive', 'lastSale', 'nextSale'] },
+
+    // World
+    'mood', 'lastCleanedDay', '_lastIncidentFixed',
+    { key: 'rng', fields: ['seed', 'state'] },
+    { key: 'weather', fields: ['current', 'nextChange'] },
+    { key: 'seasons', fields: ['currentHoliday'] }
+];
+
+/**
+ * Copy the persisted fields of a game into a plain save payload
+ */
+function serializePersistedFields(state) {
+    const data = {};
+    PERSISTED_FIELDS.forEach(entry => {
+        const spec = typeof entry === 'string' ? { key: entry } : entry;
+        const value = state[spec.key];
+        if (value === undefined) return;
+
+        if (spec.fields && value) {
+            data[spec.key] = {};
+            spec.fields.forEach(field => {
+                data[spec.key][field] = value[field];
+            });
+        } else {
+            data[spec.key] = value;
+        }
+    });
+    return data;
+}
+
+/**
+ * Restore persisted fields from a (migrated) save payload onto a game
+ * Fields missing from the save keep the defaults set by the constructor
+ */
+function restorePersistedFields(state, data) {
+    PERSISTED_FIELDS.forEach(entry => {
+        const spec = typeof entry === 'string' ? { key: entry } : entry;
+        const saved = data[spec.key];
+        if (saved === undefined) return;
+
+        if (spec.fields) {
+            if (!saved || !state[spec.key]) return;
+            spec.fields.forEach(field => {
+                if (saved[field] !== undefined) {
+                    state[spec.key][field] = saved[field];
+                }
+            });
+        } else if (spec.merge === 'object') {
+            state[spec.key] = { ...state[spec.key], ...saved };
+        } else if (spec.merge === 'byId') {
+            if (!Array.isArray(saved)) return;
+            state[spec.key] = state[spec.key].map(item => {
+                const savedItem = saved.find(s => s.id === item.id);
+                return savedItem ? { ...item, ...savedItem } : item;
+            });
+        } else {
+            state[spec.key] = saved;
+        }
+    });
+}
+
+// Longest text a save may carry in any one field, and characters no save text needs
+const SAVE_TEXT_MAX_LENGTH = 200;
+const SAVE_TEXT_MARKUP = /[<>"`]/;
+
+/**
+ * Path of the first key or string in a save that's too long or could be read as markup, or null
+ * Imported files and share codes are untrusted, and many panels render save text with innerHTML.
+ */
+function findUnsafeSaveText(value, path = 'save') {
+    const unsafe = text => text.length > SAVE_TEXT_MAX_LENGTH || SAVE_TEXT_MARKUP.test(text);
+    if (typeof value === 'string') return unsafe(value) ? path : null;
+    if (!value || typeof value !== 'object') return null;
+
+    for (const key of Object.keys(value)) {
+        if (unsafe(key)) return path;
+        const found = findUnsafeSaveText(value[key], `${path}.${key}`);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Short description of a save payload for previews (import confirm, save slots)
+ */
+function summarizeSaveData(data) {
+    const floors = Array.isArray(data.floors) ? data.floors : [];
+    return {
+        level: data.level || 1,
+        floors: floors.filter(f => f && f.typeId !== 'basement').length,
+        stars: Math.floor(data.stars || 0),
+        lastPlayed: data.timestamp || null,
+        // Top few floors as a tiny picture of the tower
+        thumbnail: floors.filter(f => f && f.typeId !== 'basement').slice(0, 8).map(f => f.emoji || '📚')
+    };
+}
+
+/**
+ * Named save slots so several players can keep their own tower on one device
+ * The slot list lives under its own key; the default slot keeps the original save key
+ * so towers from before slots existed show up as "My Library".
+ */
+const SaveSlots = {
+    registryKey: 'simlibrary_slots',
+    defaultSlotId: 'default',
+    maxSlots: 8,
+
+    /**
+     * Storage key holding a slot's save
+     */
+    keyFor(slotId) {
+        return slotId === this.defaultSlotId ? 'simlibrary_save_v2' : `simlibrary_save_v2_${slotId}`;
+    },
+
+    /**
+     * Read the slot registry, creating it on first use
+     */
+    getRegistry() {
+        try {
+            const registry = JSON.parse(GameStorage.adapter.getItem(this.registryKey));
+            if (registry && Array.isArray(registry.slots) && registry.slots.length > 0) {
+                return registry;
+            }
+        } catch (e) {
+            console.error('Failed to read save slots:', e);
+        }
+        return {
+            activeSlotId: this.defaultSlotId,
+            slots: [{ id: this.defaultSlotId, name: 'My Library', createdAt: Date.now() }]
+        };
+    },
+
+    /**
+     * Write the slot registry
+     */
+    saveRegistry(registry) {
+        GameStorage.adapter.setItem(this.registryKey, JSON.stringify(registry));
+    },
+
+    /**
+     * All slots with a preview of each tower (summary is null for an empty slot)
+     */
+    list() {
+        const registry = this.getRegistry();
+        return registry.slots.map(slot => {
+            let summary = null;
+            try {
+                const saved = GameStorage.adapter.readSave(this.keyFor(slot.id));
+                if (saved) summary = summarizeSaveData(saved);
+            } catch (e) {
+                console.error(`Failed to read save slot ${slot.id}:`, e);
+            }
+            return { ...slot, summary: summary, isActive: slot.id === registry.activeSlotId };
+        });
+    },
+
+    /**
+     * Slot the game should load on startup
+     */
+    getActiveId() {
+        const registry = this.getRegistry();
+        const active = registry.slots.find(s => s.id === registry.activeSlotId);
+        return active ? active.id : registry.slots[0].id;
+    },
+
+    /**
+     * Choose the slot loaded on the next startup
+     */
+    setActive(slotId) {
+        const registry = this.getRegistry();
+        if (!registry.slots.some(s => s.id === slotId)) {
+            return { success: false, error: 'Save slot not found' };
+        }
+        registry.activeSlotId = slotId;
+        this.saveRegistry(registry);
+        return { success: true };
+    },
+
+    /**
+     * Add an empty slot - the tower is started the first time it is played
+     */
+    create(name) {
+        const registry = this.getRegistry();
+        if (registry.slots.length >= this.maxSlots) {
+            return { success: false, error: `You can have up to ${this.maxSlots} towers` };
+        }
+        const cleanName = (name || '').trim().slice(0, 24);
+        if (!cleanName) {
+            return { success: false, error: 'Please enter a name' };
+        }
+
+        const slot = { id: Date.now().toString(36) + Math.random().toString(36).substr(2, 4), name: cleanName, createdAt: Date.now() };
+        registry.slots.push(slot);
+        this.saveRegistry(registry);
+        return { success: true, slot: slot };
+    },
+
+    /**
+     * Rename a slot
+     */
+    rename(slotId, name) {
+        const registry = this.getRegistry();
+        const slot = registry.slots.find(s => s.id === slotId);
+        if (!slot) return { success: false, error: 'Save slot not found' };
+
+        const cleanName = (name || '').trim().slice(0, 24);
+        if (!cleanName) return { success: false, error: 'Please enter a name' };
+
+        slot.name = cleanName;
+        this.saveRegistry(registry);
+        return { success: true };
+    },
+
+    /**
+     * Copy a slot's tower into a new slot
+     */
+    duplicate(slotId) {
+        const registry = this.getRegistry();
+        const source = registry.slots.find(s => s.id === slotId);
+        if (!source) return { success: false, error: 'Save slot not found' };
+
+        const result = this.create(`${source.name} (copy)`.slice(0, 24));
+        if (!result.success) return result;
+
+        const saved = GameStorage.adapter.readSave(this.keyFor(slotId));
+        if (saved) {
+            GameStorage.adapter.writeSave(this.keyFor(result.slot.id), saved);
+        }
+        return result;
+    },
+
+    /**
+     * Delete a slot and its save (the slot being played can't be deleted)
+     */
+    remove(slotId) {
+        const registry = this.getRegistry();
+        if (slotId === this.getActiveId()) {
+            return { success: false, error: 'Switch to another tower before deleting this one' };
+        }
+        const index = registry.slots.findIndex(s => s.id === slotId);
+        if (index === -1) return { success: false, error: 'Save slot not found' };
+
+        registry.slots.splice(index, 1);
+        this.saveRegistry(registry);
+        GameStorage.adapter.removeSave(this.keyFor(slotId));
+        SaveBackups.removeAll(GameStorage.adapter, this.keyFor(slotId));
+        return { success: true };
+    }
+};
+
+/**
+ * Rolling snapshots of a save, kept in rings by reason
+ * Each backup is a full copy of the save under its own key; a small index per
+ * save lists them with a summary so the restore list doesn't parse every copy.
+ */
+const SaveBackups = {
+    // How many of each kind to keep, and how often the timed ones are taken
+    policy: {
+        hourly: { label: '🕐 Hourly', keep: 4, interval: 60 * 60 * 1000 },
+        daily: { label: '📅 Daily', keep: 3, interval: 24 * 60 * 60 * 1000 },
+        reset: { label: '🔄 Before restart', keep: 2 },
+        import: { label: '📥 Before import', keep: 2 },
+        restore: { label: '⏪ Before restore', keep: 1 }
+    },
+
+    /**
+     * Storage key of the backup list for a save
+     */
+    indexKeyFor(saveKey) {
+        return `simlibrary_backups_${saveKey}`;
+    },
+
+    /**
+     * Storage key holding one backup's payload
+     */
+    backupKeyFor(saveKey, backupId) {
+        return `${saveKey}__backup_${backupId}`;
+    },
+
+    /**
+     * Backups of a save, newest first
+     */
+    list(storage, saveKey) {
+        try {
+            const index = JSON.parse(storage.getItem(this.indexKeyFor(saveKey)));
+            return Array.isArray(index) ? index.sort((a, b) => b.createdAt - a.createdAt) : [];
+        } catch (e) {
+            console.error('Failed to read backup list:', e);
+            return [];
+        }
+    },
+
+    /**
+     * Snapshot a save payload, dropping the oldest backup of the same reason past the limit
+     * now is the game clock's time, so the hourly/daily intervals are measured on the same clock.
+     */
+    create(storage, saveKey, data, reason, now = Date.now()) {
+        const rule = this.policy[reason];
+        if (!rule || !data) return { success: false, error: 'Nothing to back up' };
+
+        const backup = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 4),
+            reason: reason,
+            createdAt: now,
+            summary: summarizeSaveData(data)
+        };
+        storage.writeSave(this.backupKeyFor(saveKey, backup.id), data);
+
+        const index = this.list(storage, saveKey);
+        index.unshift(backup);
+        const sameReason = index.filter(b => b.reason === reason);
+        sameReason.slice(rule.keep).forEach(old => {
+            storage.removeSave(this.backupKeyFor(saveKey, old.id));
+            index.splice(index.indexOf(old), 1);
+        });
+        storage.setItem(this.indexKeyFor(saveKey), JSON.stringify(index));
+
+        return { success: true, backup: backup };
+    },
+
+    /**
+     * Read a backup's save payload
+     */
+    read(storage, saveKey, backupId) {
+        return storage.readSave(this.backupKeyFor(saveKey, backupId));
+    },
+
+    /**
+     * Delete every backup of a save (when its slot is deleted)
+     */
+    removeAll(storage, saveKey) {
+        this.list(storage, saveKey).forEach(backup => {
+            storage.removeSave(this.backupKeyFor(saveKey, backup.id));
+        });
+        storage.removeItem(this.indexKeyFor(saveKey));
+    }
+};
+
+/**
+ * Thrown when a save was written by a newer version of the game than this one
+ */
+class SaveVersionError extends Error {
+    constructor(saveVersion) {
+        super(`Save version ${saveVersion} is newer than supported version ${SAVE_VERSION}`);
+        this.name = 'SaveVersionError';
+        this.saveVersion = saveVersion;
+    }
+}
+
+/**
+ * Run a parsed save payload through every migration it still needs
+ * Returns an upgraded copy at SAVE_VERSION (the input is left untouched, even if a
+ * migration throws), throws SaveVersionError if it is too new
+ */
+function migrateSaveData(saved) {
+    if (!saved || typeof saved !== 'object') {
+        throw new Error('Save data is not an object');
+    }
+
+    let data = JSON.parse(JSON.stringify(saved));
+    let version = data.saveVersion || 2;
+    if (version > SAVE_VERSION) {
+        throw new SaveVersionError(version);
+    }
+
+    while (version < SAVE_VERSION) {
+        const migration = SAVE_MIGRATIONS.find(m => m.from === version);
+        if (!migration) {
+            throw new Error(`No save migration from version ${version}`);
+        }
+        data = migration.migrate(data);
+        version = migration.to;
+        data.saveVersion = version;
+    }
+
+    return data;
+}
+
+/**
+ * Share codes leave out anything the receiving game can do without or rebuild
+ */
+const SHARE_CODE_TRANSIENT_FIELDS = [
+    'readers', 'activeSynergies', 'activeElevatorRide', 'arrivingVIPs',
+    'specialVisitors', 'lobbyApplicants', 'missionHistory'
+];
+// Values left out of floors and staff when they equal these (put back by expandSaveData)
+const SHARE_CODE_FLOOR_DEFAULTS = { upgradeLevel: 1, trash: 0, restockQueue: [] };
+const SHARE_CODE_STAFF_DEFAULTS = {
+    dreamGenre: null, fatigue: 0, breakUntil: 0, missedPaydays: 0, noticeUntil: 0, lastReferralDay: 0, appearance: null
+};
+// Career history entries each staff member keeps in a share code
+const SHARE_CODE_STAFF_HISTORY = 2;
+
 class GameState {
-    constructor() {
+    constructor(slotId = SaveSlots.getActiveId(), storage = GameStorage.adapter, options = {}) {
+        // Save slot this tower is played from, and where it is stored
+        this.slotId = slotId;
+        this.saveKey = SaveSlots.keyFor(slotId);
+        this.storage = storage;
+
+        // Every timer in the simulation reads this instead of Date.now(),
+        // so it can be paused, sped up or driven manually by tools
+        this.clock = options.clock || new SimClock();
+
+        // Every random decision in the simulation draws from this, so a seed
+        // (or a save's RNG state) plus the same inputs reproduces the same tower
+        this.rng = options.rng || new SeededRandom(options.seed);
+
+        // Autosave - mutations call markDirty(), tick() writes at most this often
+        this.autosaveInterval = 10000;
+        this._dirty = false;
+        this._lastSaveTime = 0;
+
+
         // Player resources
         this.stars = 1000; // Starting currency
         this.towerBucks = 5; // Premium currency (for rushing)
@@ -48,7 +754,7 @@ class GameState {
         // Weather system
         this.weather = {
             current: 'rainy',
-            nextChange: Date.now() + (5 * 60 * 1000), // Change every 5 minutes
+            nextChange: this.clock.now() + (5 * 60 * 1000), // Change every 5 minutes
             types: [
                 { id: 'sunny', name: 'Sunny', emoji: '☀️', moodEffect: 0, spawnEffect: 0.7 },
                 { id: 'cloudy', name: 'Cloudy', emoji: '☁️', moodEffect: 0, spawnEffect: 1.0 },
@@ -85,7 +791,7 @@ class GameState {
         };
 
         // Book donation system - random free stock events
-        this.nextDonationTime = Date.now() + (2 * 60 * 1000); // First donation after 2 minutes
+        this.nextDonationTime = this.clock.now() + (2 * 60 * 1000); // First donation after 2 minutes
         this.donationSources = [
             { id: 'estate_sale', name: 'Estate Sale', emoji: '🏠', amount: 3, description: 'Books from an estate sale!' },
             { id: 'library_friend', name: 'Friend of Library', emoji: '❤️', amount: 2, description: 'A kind donation!' },
@@ -248,11 +954,11 @@ class GameState {
         // Missions/requests
         this.currentMission = null;
         this.missionHistory = []; // Completed missions
-        this.nextMissionTime = Date.now() + 60000; // First mission in 60s
+        this.nextMissionTime = this.clock.now() + 60000; // First mission in 60s
 
         // Find missions (Tiny Tower style)
         this.currentFindMission = null;
-        this.nextFindMissionTime = Date.now() + 120000; // First find mission in 2 minutes
+        this.nextFindMissionTime = this.clock.now() + 120000; // First find mission in 2 minutes
         this.findMissionItems = [
             { id: 'red_book', emoji: '📕', name: 'Red Book', color: '#FF6B6B' },
             { id: 'blue_book', emoji: '📘', name: 'Blue Book', color: '#4ECDC4' },
@@ -271,7 +977,7 @@ class GameState {
 
         // Special events
         this.currentEvent = null;
-        this.nextEventTime = Date.now() + 300000; // First event in 5 minutes
+        this.nextEventTime = this.clock.now() + 300000; // First event in 5 minutes
         this.eventTypes = [
             {
                 id: 'author_visit',
@@ -309,7 +1015,7 @@ class GameState {
 
         // Special wandering visitors (different from VIP readers)
         this.specialVisitors = [];
-        this.nextSpecialVisitorTime = Date.now() + 180000; // First visitor in 3 minutes
+        this.nextSpecialVisitorTime = this.clock.now() + 180000; // First visitor in 3 minutes
         this.specialVisitorTypes = [
             {
                 id: 'author',
@@ -367,15 +1073,54 @@ class GameState {
             vipServed: 5          // +5 per VIP
         };
 
+        // Floor upgrade tiers, one table per kind of floor (see getUpgradeTiers)
+        // cost: stars to reach the tier, multiplier: stock and earning rate vs. the catalog
+        // unlock: an extra decoration slot, or an extra book category built from the floor's top category
+        this.upgradeTiers = {
+            books: [
+                { level: 1, cost: 0, multiplier: 1 },
+                { level: 2, cost: 200, multiplier: 1.25 },
+                { level: 3, cost: 500, multiplier: 1.5 },
+                { level: 4, cost: 1000, multiplier: 1.75, unlock: { type: 'decoration', description: '+1 decoration slot' } },
+                { level: 5, cost: 1800, multiplier: 2 },
+                { level: 6, cost: 3000, multiplier: 2.25, unlock: { type: 'category', name: 'Staff Picks', earningBoost: 1.5, description: 'New category: Staff Picks' } },
+                { level: 7, cost: 4500, multiplier: 2.5 },
+                { level: 8, cost: 6500, multiplier: 2.75, unlock: { type: 'decoration', description: '+1 decoration slot' } },
+                { level: 9, cost: 9000, multiplier: 3 },
+                { level: 10, cost: 12500, multiplier: 3.5, unlock: { type: 'category', name: 'Rare Finds', earningBoost: 2, description: 'New category: Rare Finds' } }
+            ],
+            // Special rooms get stronger through their own bonus.levels
+            special: [
+                { level: 1, cost: 0 },
+                { level: 2, cost: 200 },
+                { level: 3, cost: 500 },
+                { level: 4, cost: 1000, unlock: { type: 'decoration', description: '+1 decoration slot' } },
+                { level: 5, cost: 1800 },
+                { level: 6, cost: 3000 },
+                { level: 7, cost: 4500 },
+                { level: 8, cost: 6500, unlock: { type: 'decoration', description: '+1 decoration slot' } },
+                { level: 9, cost: 9000 },
+                { level: 10, cost: 12500 }
+            ],
+            // Restrooms and the basement don't upgrade
+            utility: [
+                { level: 1, cost: 0 }
+            ]
+        };
+        this.baseDecorationSlots = 2;
+
         // Floor synergy bonuses
+        // "requires": every listed floor type built anywhere in the tower.
+        // "adjacent": two groups of floor types - a floor from each directly
+        // above/below one another. Adjacent star bonuses only boost the floors in the pair.
         this.floorSynergies = [
             {
                 id: 'study_boost',
                 name: 'Study Boost',
                 emoji: '📚☕',
                 description: '+30% stars from study floors',
-                requires: ['reference', 'periodicals'], // Any reference + any periodicals
-                effect: { type: 'star_bonus', floors: ['reference', 'periodicals', 'academic_journals', 'newspapers'], value: 1.3 }
+                requires: ['newspapers', 'computer_lab'],
+                effect: { type: 'star_bonus', floors: ['newspapers', 'computer_lab', 'language_lab'], value: 1.3 }
             },
             {
                 id: 'family_fun',
@@ -383,23 +1128,23 @@ class GameState {
                 emoji: '👨‍👩‍👧‍👦',
                 description: '+25% stars from kids floors',
                 requires: ['board_books', 'picture_books'],
-                effect: { type: 'star_bonus', floors: ['board_books', 'picture_books', 'early_readers', 'chapter_books'], value: 1.25 }
+                effect: { type: 'star_bonus', floors: ['board_books', 'picture_books', 'early_readers', 'juvenile_series'], value: 1.25 }
             },
             {
                 id: 'teen_hangout',
                 name: 'Teen Hangout',
                 emoji: '🎮📱',
                 description: '+20% more teen visitors',
-                requires: ['young_adult', 'graphic_novels'],
+                requires: ['teen', 'graphic_novels'],
                 effect: { type: 'spawn_bonus', readerType: 'teen', value: 1.2 }
             },
             {
                 id: 'scholar_bonus',
                 name: 'Scholar\'s Paradise',
                 emoji: '🎓📖',
-                description: '+35% stars from academic floors',
-                requires: ['academic_journals', 'special_collections'],
-                effect: { type: 'star_bonus', floors: ['academic_journals', 'special_collections', 'rare_books'], value: 1.35 }
+                description: '+35% stars from history & heritage floors',
+                requires: ['local_history', 'genealogy'],
+                effect: { type: 'star_bonus', floors: ['local_history', 'genealogy', 'history'], value: 1.35 }
             },
             {
                 id: 'cozy_corner',
@@ -415,10 +1160,77 @@ class GameState {
                 emoji: '🧠💡',
                 description: '+25% stars from non-fiction',
                 requires: ['science', 'history'],
-                effect: { type: 'star_bonus', floors: ['science', 'history', 'biography', 'travel'], value: 1.25 }
+                effect: { type: 'star_bonus', floors: ['science', 'history', 'biography', 'maps_travel'], value: 1.25 }
+            },
+            {
+                id: 'cafe_reads',
+                name: 'Café Reads',
+                emoji: '☕📖',
+                description: '+20% stars when a café is next to a fiction floor',
+                adjacent: [['coffee_shop', 'bakery', 'hot_drinks_cafe', 'snack_bar'], ['fiction', 'mystery', 'romance']],
+                effect: { type: 'star_bonus', value: 1.2 }
+            },
+            {
+                id: 'story_time',
+                name: 'Story Time',
+                emoji: '🧸📕',
+                description: '+15% stars when little kids\' floors are next to early readers',
+                adjacent: [['board_books', 'picture_books'], ['early_readers', 'juvenile_series']],
+                effect: { type: 'star_bonus', value: 1.15 }
+            },
+            {
+                id: 'tech_corridor',
+                name: 'Tech Corridor',
+                emoji: '💻🔬',
+                description: '+20% stars when Technology is next to Science or the Computer Lab',
+                adjacent: [['technology'], ['science', 'computer_lab']],
+                effect: { type: 'star_bonus', value: 1.2 }
+            },
+            {
+                id: 'fandom_floor',
+                name: 'Fandom Floor',
+                emoji: '🚀🐉',
+                description: '+20% stars when Sci-Fi or Fantasy is next to Graphic Novels or Gaming',
+                adjacent: [['scifi', 'fantasy'], ['graphic_novels', 'gaming_lounge']],
+                effect: { type: 'star_bonus', value: 1.2 }
+            },
+            {
+                id: 'media_row',
+                name: 'Media Row',
+                emoji: '🎵🎬',
+                description: '+20% stars when music or movie floors are next to each other',
+                adjacent: [['music_audio', 'movies'], ['gaming_lounge', 'podcast_studio', 'music_practice']],
+                effect: { type: 'star_bonus', value: 1.2 }
+            },
+            {
+                id: 'green_thumbs',
+                name: 'Green Thumbs',
+                emoji: '🌱🍳',
+                description: '+20% stars when the Seed Library is next to Cookbooks or the Tool Library',
+                adjacent: [['seed_library'], ['cookbooks', 'tool_library']],
+                effect: { type: 'star_bonus', value: 1.2 }
             }
         ];
-        this.activeSynergies = []; // Currently active synergies
+        // Tower layout effects between floors directly above/below one another
+        this.placementRules = {
+            cafes: ['coffee_shop', 'bakery', 'hot_drinks_cafe', 'snack_bar'],
+            reading: [
+                'board_books', 'picture_books', 'early_readers', 'juvenile_series', 'teen',
+                'fiction', 'mystery', 'romance', 'scifi', 'fantasy', 'true_crime', 'graphic_novels',
+                'biography', 'history', 'local_history', 'science', 'technology', 'sports',
+                'cookbooks', 'newspapers', 'maps_travel', 'genealogy'
+            ],
+            cafeBrowseTime: 1.15, // Readers on a reading floor next to a café stay 15% longer
+            noisy: ['gaming_lounge', 'music_practice'],
+            quiet: [
+                'study_room', 'genealogy', 'local_history', 'history', 'biography', 'science',
+                'language_lab', 'art_gallery', 'newspapers', 'fiction', 'mystery', 'romance', 'true_crime'
+            ],
+            noisePenalty: 3, // Library mood lost per noisy floor next to a quiet one
+            stackedBathroomValue: 0.5 // A restroom next to another restroom only counts half
+        };
+
+        this.activeSynergies = []; // Currently active synergies (with the floorIds that formed them)
 
         // Library Prestige Levels
         this.prestigeLevels = [
@@ -483,8 +1295,8 @@ class GameState {
             { id: 'training_1', name: 'Basic Training', emoji: '📋', description: 'Staff work 10% faster', cost: 2000, level: 1, effect: { type: 'staff_speed', value: 1.1 } },
             { id: 'training_2', name: 'Advanced Training', emoji: '📊', description: 'Staff work 20% faster', cost: 5000, level: 2, effect: { type: 'staff_speed', value: 1.2 } },
             { id: 'training_3', name: 'Expert Training', emoji: '🏆', description: 'Staff work 30% faster', cost: 15000, level: 3, effect: { type: 'staff_speed', value: 1.3 } },
-            { id: 'morale_1', name: 'Break Room', emoji: '☕', description: '+5 mood per checkout', cost: 3000, level: 1, effect: { type: 'mood_bonus', value: 5 } },
-            { id: 'morale_2', name: 'Staff Lounge', emoji: '🛋️', description: '+10 mood per checkout', cost: 8000, level: 2, effect: { type: 'mood_bonus', value: 10 } }
+            { id: 'morale_1', name: 'Break Room', emoji: '☕', description: '+5 library mood', cost: 3000, level: 1, effect: { type: 'mood_bonus', value: 5 } },
+            { id: 'morale_2', name: 'Staff Lounge', emoji: '🛋️', description: '+10 library mood', cost: 8000, level: 2, effect: { type: 'mood_bonus', value: 10 } }
         ];
         this.purchasedUpgrades = [];
 
@@ -557,7 +1369,7 @@ class GameState {
                 }
             }
         ];
-        this.nextCozyEventTime = Date.now() + 120000; // First cozy event in 2 minutes
+        this.nextCozyEventTime = this.clock.now() + 120000; // First cozy event in 2 minutes
 
         // Mini-quests (tap to complete)
         this.miniQuestTypes = [
@@ -611,7 +1423,7 @@ class GameState {
             }
         ];
         this.currentMiniQuest = null;
-        this.nextMiniQuestTime = Date.now() + 90000; // First mini-quest in 1.5 minutes
+        this.nextMiniQuestTime = this.clock.now() + 90000; // First mini-quest in 1.5 minutes
 
         // Stats tracking (all-time)
         this.stats = {
@@ -624,7 +1436,7 @@ class GameState {
             totalFloorsBuilt: 0,
             totalStaffHired: 0,
             timePlayed: 0, // in seconds
-            gameStartTime: Date.now()
+            gameStartTime: this.clock.now()
         };
 
         // Achievements system
@@ -700,6 +1512,93 @@ class GameState {
             // e.g., 'kid': {count: 15, firstSeen: ..., lastSeen: ...}
         };
 
+        // Staff roster - every hired member, regular and utility alike
+        // Each member works on at most one floor: floorId + slotIndex (both null when unassigned)
+        this.staff = [];
+
+        // Staff experience - members earn XP for work on their floor and level up their skill
+        // (skill drives restock speed, checkout speed and library mood; 3 is average)
+        this.staffProgression = {
+            maxSkill: 10,
+            xpPerBook: 1, // each book checked out on their floor
+            xpPerRestock: 10, // each restock finished on their floor
+            dreamXpMultiplier: 2, // working their dream genre
+            xpPerSkillLevel: 50, // XP to go from skill n to n+1 is n times this
+            checkoutSpeedPerSkill: 0.05, // visit time change per point of average floor skill
+            moodPerSkill: 2, // mood per point the working staff's average skill is above or below 3
+            maxMoodEffect: 10,
+            historyLength: 20 // career entries kept per member
+        };
+
+        // Staff shifts on the game clock (24h hours - a game day runs from 6 AM to 6 AM)
+        // Floors with nobody on shift are understaffed: slower restocks and checkouts, lower mood
+        this.staffShifts = [
+            { id: 'morning', name: 'Morning', emoji: '🌅', start: 6, end: 14 },
+            { id: 'evening', name: 'Evening', emoji: '🌇', start: 14, end: 22 },
+            { id: 'night', name: 'Night', emoji: '🌙', start: 22, end: 6 }
+        ];
+
+        // Fatigue builds while on shift (0-100), lowers effective skill and sends staff on breaks
+        // Rates are per tick (one game second; a game hour is 150 ticks)
+        this.staffFatigue = {
+            perShiftTick: 0.08, // ~75 after six game hours on shift
+            restRecoveryPerTick: 0.05, // off shift
+            breakRecoveryPerTick: 0.6,
+            breakAt: 75,
+            breakTicks: 75, // half a game hour
+            performanceLoss: 0.5, // effective skill at 100 fatigue, lost fraction
+            understaffedRestockSpeed: 0.5,
+            understaffedCheckoutTime: 1.25,
+            understaffedMoodPerFloor: 1,
+            maxUnderstaffedMood: 10
+        };
+
+        // Payroll - every member on the roster draws a daily wage, paid each morning when the game day changes
+        // Anyone who can't be paid loses morale, and quits into the lobby once it runs out
+        this.payroll = {
+            wageRate: 0.5, // daily wage as a share of the role's hire cost at skill 3
+            wagePerSkill: 0.15, // wage change per skill point above or below 3
+            maxMorale: 100,
+            ledgerDays: 14 // closed days kept in the ledger
+        };
+
+        // Daily income/expense ledger (income is stars earned; expenses by category)
+        this.ledgerCategories = [
+            { id: 'wages', name: 'Wages', emoji: '💼' },
+            { id: 'restocks', name: 'Restocks', emoji: '📚' },
+            { id: 'hiring', name: 'Hiring', emoji: '🤝' },
+            { id: 'building', name: 'Building', emoji: '🏗️' },
+            { id: 'shop', name: 'Shop', emoji: '🛍️' }
+        ];
+        this.ledger = { today: null, days: [] };
+        this.lastPayrollDay = 1;
+
+        // Staff morale (0-100) drifts towards a target set by their pay, job and workplace
+        // Staff below noticeAt hand in their notice; happy staff refer friends to the lobby
+        this.staffMorale = {
+            base: 60,
+            driftPerTick: 0.002, // share of the gap to the target closed each tick
+            updateTicks: 10, // recalculate every this many ticks
+            paidOnTime: 5,
+            missedPayday: -20, // per missed payday in a row
+            walkOutAfter: 2, // missed paydays in a row before they leave without notice
+            dreamJob: 15,
+            notDreamJob: -5,
+            dreamTeammate: 3, // per other dream-matched member on their floor
+            unassigned: -15,
+            moodRange: 10, // library mood 0-100 maps to -10..+10
+            trashPerPoint: -0.2, // per % of trash on their floor
+            incident: -10, // their floor has an active incident
+            tiredAt: 60, // fatigue above this costs morale
+            tiredPerPoint: -0.25,
+            noticeAt: 25,
+            withdrawAt: 45, // notice is withdrawn if morale recovers to this
+            noticeTicks: 900, // six game hours
+            referralAt: 80,
+            referralChance: 0.35, // chance a lobby applicant comes from a referral, if anyone is happy
+            referralSkillBonus: 2
+        };
+
         // Staff types catalog
         this.staffTypes = [
             {
@@ -1388,14 +2287,27 @@ class GameState {
                 name: 'Study Room',
                 emoji: '📖',
                 color: 'lavender',
-                description: 'Quiet study spaces - readers stay 2x longer',
+                description: 'Quiet study spaces - readers nearby stay 2x longer',
                 buildCost: 350,
                 buildTime: 60,
                 isSpecialRoom: true,
                 bonus: {
                     type: 'extended_visits',
-                    multiplier: 2,
-                    description: 'Readers browse 2x longer, earning more XP'
+                    unit: 'browse time',
+                    // One entry per upgrade level - range is how many floors above/below are affected
+                    levels: [
+                        { multiplier: 2, range: 1 },
+                        { multiplier: 2, range: 2 },
+                        { multiplier: 2.25, range: 2 },
+                        { multiplier: 2.25, range: 3 },
+                        { multiplier: 2.5, range: 3 },
+                        { multiplier: 2.5, range: 3 },
+                        { multiplier: 2.75, range: 3 },
+                        { multiplier: 2.75, range: 4 },
+                        { multiplier: 3, range: 4 },
+                        { multiplier: 3, range: 5 }
+                    ],
+                    description: 'Readers on nearby floors browse longer and check out more books'
                 },
                 bookCategories: [] // No stock needed
             },
@@ -1410,8 +2322,21 @@ class GameState {
                 isSpecialRoom: true,
                 bonus: {
                     type: 'reader_magnet',
-                    multiplier: 1.5,
-                    description: 'Increases reader spawn rate by 50%'
+                    unit: 'readers',
+                    // No range - brings readers to the whole library
+                    levels: [
+                        { multiplier: 1.5, range: null },
+                        { multiplier: 1.6, range: null },
+                        { multiplier: 1.7, range: null },
+                        { multiplier: 1.8, range: null },
+                        { multiplier: 1.9, range: null },
+                        { multiplier: 2, range: null },
+                        { multiplier: 2.1, range: null },
+                        { multiplier: 2.2, range: null },
+                        { multiplier: 2.35, range: null },
+                        { multiplier: 2.5, range: null }
+                    ],
+                    description: 'Attracts more readers to the whole library'
                 },
                 bookCategories: []
             },
@@ -1426,9 +2351,20 @@ class GameState {
                 isSpecialRoom: true,
                 bonus: {
                     type: 'nearby_boost',
-                    multiplier: 2,
-                    range: 1, // Affects floors within 1 position
-                    description: 'Floors next to this earn 2x stars'
+                    unit: 'stars',
+                    levels: [
+                        { multiplier: 2, range: 1 },
+                        { multiplier: 2, range: 2 },
+                        { multiplier: 2.25, range: 2 },
+                        { multiplier: 2.25, range: 2 },
+                        { multiplier: 2.5, range: 2 },
+                        { multiplier: 2.5, range: 3 },
+                        { multiplier: 2.75, range: 3 },
+                        { multiplier: 2.75, range: 3 },
+                        { multiplier: 3, range: 3 },
+                        { multiplier: 3, range: 4 }
+                    ],
+                    description: 'Floors nearby earn more stars'
                 },
                 bookCategories: []
             },
@@ -1485,7 +2421,7 @@ class GameState {
      * Generate unique ID
      */
     generateId() {
-        return Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        return this.clock.now() + '_' + this.rng.next().toString(36).substr(2, 9);
     }
 
     /**
@@ -1522,6 +2458,7 @@ class GameState {
 
         // Deduct cost
         this.stars -= floorType.buildCost;
+        this.recordExpense('building', floorType.buildCost);
 
         // Create new floor - basement gets floorNumber 0, others get next slot
         const floorNumber = floorTypeId === 'basement' ? 0 : this.nextFloorSlot++;
@@ -1541,31 +2478,22 @@ class GameState {
             emoji: floorType.emoji,
             color: floorType.color,
             status: 'building', // building, ready
-            buildStartTime: Date.now(),
-            buildEndTime: Date.now() + buildTime,
-            upgradeLevel: 1, // Floor upgrade level (1, 2, or 3)
-            staff: [], // Hired staff (max 3, unlocks book categories)
-            bookStock: floorType.bookCategories.map(cat => ({
-                name: cat.name,
-                currentStock: 0,
-                maxStock: cat.stockAmount,
-                stockCost: cat.stockCost,
-                stockTime: cat.stockTime,
-                earningRate: cat.earningRate,
-                restocking: false,
-                restockStartTime: null,
-                restockEndTime: null
-            })),
-            trash: 0 // Trash level 0-100
+            buildStartTime: this.clock.now(),
+            buildEndTime: this.clock.now() + buildTime,
+            upgradeLevel: 1, // Floor upgrade level (see upgradeTiers)
+            bookStock: floorType.bookCategories.map(cat => this.createBookStock(cat)),
+            trash: 0, // Trash level 0-100
+            restockQueue: [] // Paid restock orders waiting for staff: { categoryIndex, cost, orderedAt }
         };
 
         // Add to beginning of array so new floors appear at top of tower
         this.floors.unshift(newFloor);
+        this.invalidatePlacementLinks();
 
         // Update stats
         this.stats.totalFloorsBuilt += 1;
 
-        this.save();
+        this.saveNow();
         return { success: true, floor: newFloor };
     }
 
@@ -1591,41 +2519,733 @@ class GameState {
         const floorType = this.floorTypes.find(t => t.id === floor.typeId);
         const refundAmount = floorType ? Math.floor(floorType.buildCost * 0.5) : 0;
 
-        // Remove any staff assigned to this floor back to available pool
-        if (floor.staff && floor.staff.length > 0 && this.staff) {
-            // Staff are already in the global staff array, just need to unassign
-            floor.staff.forEach(staffId => {
-                const staffMember = this.staff.find(s => s.id === staffId);
-                if (staffMember) {
-                    staffMember.assignedFloor = null;
-                }
-            });
-        }
+        // Staff on this floor stay on the roster, unassigned
+        const unassignedStaff = this.getFloorStaff(floor);
+        unassignedStaff.forEach(member => {
+            member.floorId = null;
+            member.slotIndex = null;
+            this.recordStaffHistory(member, 'unassigned', { floorName: floor.name });
+        });
 
         // Remove the floor
         this.floors.splice(floorIndex, 1);
+        this.invalidatePlacementLinks();
 
         // Refund partial cost
         this.stars += refundAmount;
+        this.recordExpense('building', -refundAmount);
 
-        this.save();
-        return { success: true, refund: refundAmount, floorName: floor.name };
+        this.saveNow();
+        return { success: true, refund: refundAmount, floorName: floor.name, unassignedStaff: unassignedStaff };
+    }
+
+    /**
+     * Rush floor construction with tower bucks
+     */
+    rushConstruction(floorId) {
+        const floor = this.getFloor(floorId);
+        if (!floor || floor.status !== 'building') return false;
+
+        if (this.towerBucks < 1) return false;
+
+        this.towerBucks -= 1;
+        floor.status = 'ready';
+        floor.buildEndTime = this.clock.now();
+        this.invalidatePlacementLinks();
+        this.saveNow();
+        return true;
+    }
+
+    // ========== STAFF ROSTER ==========
+
+    /**
+     * Find a staff member on the roster by id
+     */
+    getStaffMember(staffId) {
+        return this.staff.find(member => member.id === staffId) || null;
+    }
+
+    /**
+     * Staff working on a floor, in slot order
+     */
+    getFloorStaff(floor) {
+        if (!floor) return [];
+        return this.staff
+            .filter(member => member.floorId === floor.id)
+            .sort((a, b) => a.slotIndex - b.slotIndex);
+    }
+
+    /**
+     * Staff member working in one slot of a floor, or null
+     */
+    getStaffInSlot(floor, slotIndex) {
+        return this.staff.find(member => member.floorId === floor.id && member.slotIndex === slotIndex) || null;
+    }
+
+    /**
+     * Staff on the roster without a floor (e.g. their floor was demolished)
+     */
+    getUnassignedStaff() {
+        return this.staff.filter(member => member.floorId === null);
+    }
+
+    /**
+     * Number of staff slots on a floor (utility rooms have one per role, book floors have 3)
+     */
+    getStaffSlotCount(floor) {
+        const floorType = this.floorTypes.find(t => t.id === floor.typeId);
+        if (!floorType) return 0;
+        return floorType.staffSlots ? floorType.staffSlots.length : 3;
+    }
+
+    /**
+     * Utility staff role for a staff type id, or null for regular staff
+     */
+    getUtilityStaffType(typeId) {
+        return this.utilityStaffTypes.find(t => t.id === typeId) || null;
+    }
+
+    /**
+     * Slot a staff type could take on a floor, or -1
+     * Utility staff only fit their role's slot; regular staff take the first free slot on a book floor.
+     */
+    findOpenStaffSlot(floor, typeId) {
+        const floorType = this.floorTypes.find(t => t.id === floor.typeId);
+        if (!floorType) return -1;
+
+        const utilityType = this.getUtilityStaffType(typeId);
+        if (utilityType) {
+            if (utilityType.floorType !== floor.typeId) return -1;
+            return this.getStaffInSlot(floor, utilityType.slotIndex) ? -1 : utilityType.slotIndex;
+        }
+
+        if (floorType.staffSlots) return -1;
+        for (let i = 0; i < this.getStaffSlotCount(floor); i++) {
+            if (!this.getStaffInSlot(floor, i)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Whether a staff member is working on their dream genre's floor
+     */
+    isDreamMatch(member) {
+        if (!member || member.isUtilityStaff || member.floorId === null) return false;
+        const floor = this.getFloor(member.floorId);
+        return !!floor && floor.typeId === member.dreamGenre;
+    }
+
+    /**
+     * Add a new hire to the roster and put them to work in a slot
+     */
+    addStaffMember(fields, floor, slotIndex) {
+        const member = {
+            id: fields.id || this.generateId(),
+            typeId: fields.typeId,
+            name: fields.name,
+            typeName: fields.typeName || fields.name,
+            emoji: fields.emoji,
+            color: fields.color,
+            skill: fields.skill || 3,
+            dreamGenre: fields.dreamGenre || null,
+            isUtilityStaff: !!fields.isUtilityStaff,
+            effect: fields.effect || null,
+            hiredAt: this.clock.now(),
+            floorId: floor.id,
+            slotIndex: slotIndex,
+            xp: 0,
+            history: [],
+            shift: this.pickDefaultShift(floor),
+            fatigue: 0,
+            breakUntil: 0,
+            morale: this.payroll.maxMorale,
+            missedPaydays: 0,
+            noticeUntil: 0, // timePlayed their notice runs out (0 = not leaving)
+            lastReferralDay: 0,
+            appearance: fields.appearance || null
+        };
+        this.staff.push(member);
+        this.recordStaffHistory(member, 'hired', { floorName: floor.name });
+        this.stats.totalStaffHired += 1;
+        return member;
+    }
+
+    /**
+     * Add an entry to a staff member's career history (oldest entries drop off)
+     */
+    recordStaffHistory(member, event, details = {}) {
+        member.history.push({ event: event, at: this.clock.now(), ...details });
+        if (member.history.length > this.staffProgression.historyLength) {
+            member.history.splice(0, member.history.length - this.staffProgression.historyLength);
+        }
+    }
+
+    /**
+     * XP a staff member needs to reach the next skill level (null at max skill)
+     */
+    getStaffXPToNext(member) {
+        if (member.skill >= this.staffProgression.maxSkill) return null;
+        return member.skill * this.staffProgression.xpPerSkillLevel;
+    }
+
+    /**
+     * Give XP to everyone working on a floor; dream-genre matches learn faster
+     * Returns the members who gained a skill level.
+     */
+    awardStaffXP(floor, amount) {
+        const leveledUp = [];
+        if (!(amount > 0)) return leveledUp;
+
+        this.getOnDutyStaff(floor).forEach(member => {
+            const multiplier = this.isDreamMatch(member) ? this.staffProgression.dreamXpMultiplier : 1;
+            member.xp += amount * multiplier;
+
+            let needed = this.getStaffXPToNext(member);
+            while (needed !== null && member.xp >= needed) {
+                member.xp -= needed;
+                member.skill += 1;
+                this.recordStaffHistory(member, 'skill_up', { skill: member.skill, floorName: floor.name });
+                leveledUp.push(member);
+                needed = this.getStaffXPToNext(member);
+            }
+            // Nothing left to learn
+            if (needed === null) member.xp = 0;
+        });
+
+        if (leveledUp.length > 0) {
+            const member = leveledUp[leveledUp.length - 1];
+            this._staffLevelUp = { name: member.name, emoji: member.emoji, skill: member.skill, floor: floor.name };
+        }
+        return leveledUp;
+    }
+
+    /**
+     * Average effective skill of the staff on shift on a floor (null when nobody is)
+     */
+    getFloorAverageSkill(floor) {
+        const skills = this.getOnDutyStaff(floor).map(member => this.getEffectiveSkill(member));
+        return skills.length > 0 ? skills.reduce((sum, skill) => sum + skill, 0) / skills.length : null;
+    }
+
+    /**
+     * Multiplier on how long readers take to check out on a floor (skilled staff serve faster)
+     */
+    getStaffCheckoutSpeed(floor) {
+        const averageSkill = this.getFloorAverageSkill(floor);
+        if (averageSkill === null) return this.staffFatigue.understaffedCheckoutTime;
+
+        const change = (averageSkill - 3) * this.staffProgression.checkoutSpeedPerSkill;
+        return Math.max(0.5, 1 - change);
+    }
+
+    /**
+     * Mood from how skilled the staff on shift are (positive above average skill 3)
+     */
+    getStaffMoodBonus() {
+        const { moodPerSkill, maxMoodEffect } = this.staffProgression;
+        const working = this.staff.filter(member => this.getStaffDutyStatus(member) === 'on');
+        if (working.length === 0) return 0;
+
+        const averageSkill = working.reduce((sum, member) => sum + this.getEffectiveSkill(member), 0) / working.length;
+        const bonus = Math.round((averageSkill - 3) * moodPerSkill);
+        return Math.max(-maxMoodEffect, Math.min(maxMoodEffect, bonus));
+    }
+
+    /**
+     * Fill in catalog fields and drop assignments to floors or shifts that no longer exist
+     * Everything else is backfilled by SAVE_MIGRATIONS; this covers catalog changes and share codes.
+     */
+    normalizeStaffRoster() {
+        this.staff.forEach(member => {
+            const utilityType = this.getUtilityStaffType(member.typeId);
+            const catalog = utilityType || this.staffTypes.find(t => t.id === member.typeId);
+            if (catalog) {
+                if (!member.emoji) member.emoji = catalog.emoji;
+                if (!member.color) member.color = catalog.color;
+                if (!member.typeName) member.typeName = catalog.name;
+            }
+            member.isUtilityStaff = !!utilityType;
+            if (!member.effect) member.effect = utilityType ? utilityType.effect : null;
+            if (!this.getShift(member.shift)) member.shift = this.staffShifts[0].id;
+
+            if (member.floorId === undefined || (member.floorId !== null && !this.getFloor(member.floorId))) {
+                member.floorId = null;
+                member.slotIndex = null;
+            }
+        });
+    }
+
+    // ========== STAFF SHIFTS ==========
+
+    /**
+     * Hour of the game day as a fraction (0-24), on the same clock as getGameClock()
+     */
+    getGameHour() {
+        const secondsInDay = 3600;
+        return (6 + (this.stats.timePlayed % secondsInDay) / secondsInDay * 24) % 24;
+    }
+
+    getShift(shiftId) {
+        return this.staffShifts.find(shift => shift.id === shiftId) || null;
+    }
+
+    /**
+     * Whether a shift covers an hour (shifts may wrap past midnight)
+     */
+    isShiftActive(shift, hour = this.getGameHour()) {
+        if (shift.start < shift.end) return hour >= shift.start && hour < shift.end;
+        return hour >= shift.start || hour < shift.end;
+    }
+
+    /**
+     * The shift running right now
+     */
+    getCurrentShift() {
+        return this.staffShifts.find(shift => this.isShiftActive(shift)) || null;
+    }
+
+    /**
+     * 'on' (working), 'break' or 'off' (not their shift, or no floor)
+     */
+    getStaffDutyStatus(member) {
+        if (member.floorId === null) return 'off';
+        if (member.breakUntil > this.stats.timePlayed) return 'break';
+        const shift = this.getShift(member.shift);
+        return shift && this.isShiftActive(shift) ? 'on' : 'off';
+    }
+
+    /**
+     * Staff working on a floor right now
+     */
+    getOnDutyStaff(floor) {
+        return this.getFloorStaff(floor).filter(member => this.getStaffDutyStatus(member) === 'on');
+    }
+
+    /**
+     * Skill after fatigue - a worn out member works at half their skill
+     */
+    getEffectiveSkill(member) {
+        const skill = member.skill || 3;
+        return skill * (1 - (member.fatigue || 0) / 100 * this.staffFatigue.performanceLoss);
+    }
+
+    /**
+     * A ready book floor with nobody on shift
+     */
+    isFloorUnderstaffed(floor) {
+        return floor.status === 'ready' && floor.bookStock.length > 0 && this.getOnDutyStaff(floor).length === 0;
+    }
+
+    /**
+     * Mood lost to understaffed floors
+     */
+    getUnderstaffedMoodPenalty() {
+        const count = this.floors.filter(floor => this.isFloorUnderstaffed(floor)).length;
+        return Math.min(this.staffFatigue.maxUnderstaffedMood, count * this.staffFatigue.understaffedMoodPerFloor);
+    }
+
+    /**
+     * Shift with the fewest of a floor's staff on it (new hires fill gaps first)
+     */
+    pickDefaultShift(floor) {
+        const staff = this.getFloorStaff(floor);
+        let best = this.staffShifts[0];
+        let bestCount = Infinity;
+        this.staffShifts.forEach(shift => {
+            const count = staff.filter(member => member.shift === shift.id).length;
+            if (count < bestCount) {
+                best = shift;
+                bestCount = count;
+            }
+        });
+        return best.id;
+    }
+
+    /**
+     * Move a staff member to another shift
+     */
+    setStaffShift(staffId, shiftId) {
+        const member = this.getStaffMember(staffId);
+        if (!member) {
+            return { success: false, error: 'Staff not found' };
+        }
+        const shift = this.getShift(shiftId);
+        if (!shift) {
+            return { success: false, error: 'Unknown shift' };
+        }
+        if (member.shift === shift.id) {
+            return { success: false, error: `Already on the ${shift.name} shift` };
+        }
+
+        member.shift = shift.id;
+        this.recordStaffHistory(member, 'shift', { shift: shift.name });
+
+        this.markDirty();
+        return { success: true, staff: member };
+    }
+
+    /**
+     * Build fatigue on shift, recover off shift, and send worn out staff on a break (once per tick)
+     */
+    updateStaffShifts() {
+        const rules = this.staffFatigue;
+        this.staff.forEach(member => {
+            const status = this.getStaffDutyStatus(member);
+            if (status === 'on') {
+                member.fatigue = Math.min(100, member.fatigue + rules.perShiftTick);
+                if (member.fatigue >= rules.breakAt) {
+                    member.breakUntil = this.stats.timePlayed + rules.breakTicks;
+                }
+            } else {
+                const recovery = status === 'break' ? rules.breakRecoveryPerTick : rules.restRecoveryPerTick;
+                member.fatigue = Math.max(0, member.fatigue - recovery);
+            }
+        });
+    }
+
+    // ========== PAYROLL ==========
+
+    /**
+     * Daily wage for a role at a skill level (applicants use this to show what they'd cost)
+     */
+    getWage(typeId, skill) {
+        const catalog = this.getUtilityStaffType(typeId) || this.staffTypes.find(t => t.id === typeId);
+        if (!catalog) return 0;
+        const skillFactor = Math.max(0.25, 1 + (skill - 3) * this.payroll.wagePerSkill);
+        return Math.max(1, Math.round(catalog.hireCost * this.payroll.wageRate * skillFactor));
+    }
+
+    getStaffWage(member) {
+        return this.getWage(member.typeId, member.skill);
+    }
+
+    /**
+     * Wages owed for the whole roster each morning (unassigned staff are paid too)
+     */
+    getDailyPayroll() {
+        return this.staff.reduce((sum, member) => sum + this.getStaffWage(member), 0);
+    }
+
+    /**
+     * Pay everyone's daily wage, longest-serving first, while the stars last
+     * Only counts missed paydays - updateStaffMorale decides how unpaid staff take it.
+     */
+    runPayroll() {
+        const result = { paid: 0, wages: 0, unpaid: [], owed: 0 };
+
+        [...this.staff].sort((a, b) => a.hiredAt - b.hiredAt).forEach(member => {
+            const wage = this.getStaffWage(member);
+            if (this.stars >= wage) {
+                this.stars -= wage;
+                result.paid += 1;
+                result.wages += wage;
+                member.missedPaydays = 0;
+                return;
+            }
+
+            member.missedPaydays += 1;
+            this.recordStaffHistory(member, 'unpaid', { wage: wage });
+            result.unpaid.push(member);
+            result.owed += wage;
+        });
+
+        this.recordExpense('wages', result.wages);
+        if (result.unpaid.length > 0) {
+            this._payrollMissed = { unpaid: result.unpaid.length, owed: result.owed };
+        }
+
+        this.markDirty();
+        return result;
+    }
+
+    /**
+     * Take a member off the roster; they wait in the lobby to be rehired if there's room
+     * Returns the lobby applicant, or null if the lobby was full and they're gone for good.
+     */
+    staffQuit(member) {
+        this.staff = this.staff.filter(s => s.id !== member.id);
+        if (this.lobbyApplicants.length >= this.maxLobbyApplicants) {
+            return null;
+        }
+
+        const utilityType = this.getUtilityStaffType(member.typeId);
+        const catalog = utilityType || this.staffTypes.find(t => t.id === member.typeId);
+        const dreamFloorType = this.floorTypes.find(ft => ft.id === member.dreamGenre);
+        const applicant = {
+            id: member.id,
+            name: member.name,
+            emoji: member.emoji,
+            type: member.typeId,
+            typeName: member.typeName,
+            color: member.color,
+            isUtilityStaff: member.isUtilityStaff,
+            skill: member.skill,
+            hireCost: this.getApplicantHireCost(catalog ? catalog.hireCost : 100, member.skill),
+            formerStaff: true,
+            spawnTime: this.clock.now(),
+            expiresAt: this.clock.now() + this.applicantExpiryTime,
+            ...(member.appearance || {})
+        };
+        if (utilityType) {
+            applicant.utilityFloorType = utilityType.floorType;
+            applicant.utilitySlotIndex = utilityType.slotIndex;
+            applicant.effect = utilityType.effect;
+        } else if (dreamFloorType) {
+            applicant.dreamGenre = dreamFloorType.id;
+            applicant.dreamGenreName = dreamFloorType.name;
+            applicant.dreamGenreEmoji = dreamFloorType.emoji;
+        }
+
+        this.lobbyApplicants.push(applicant);
+        return applicant;
+    }
+
+    // ========== LEDGER ==========
+
+    /**
+     * The open ledger day, closing the previous one into the history when the game day changes
+     */
+    getLedgerToday() {
+        const day = this.getGameDay();
+        const today = this.ledger.today;
+        if (today && today.day === day) {
+            return today;
+        }
+
+        if (today) {
+            this.ledger.days.push(this.summarizeLedgerDay(today));
+            if (this.ledger.days.length > this.payroll.ledgerDays) {
+                this.ledger.days.splice(0, this.ledger.days.length - this.payroll.ledgerDays);
+            }
+        }
+
+        const expenses = {};
+        this.ledgerCategories.forEach(category => {
+            expenses[category.id] = 0;
+        });
+        this.ledger.today = { day: day, startEarned: this.stats.totalStarsEarned, expenses: expenses };
+        return this.ledger.today;
+    }
+
+    /**
+     * Record stars spent today under a ledger category (negative for refunds)
+     */
+    recordExpense(categoryId, amount) {
+        const today = this.getLedgerToday();
+        today.expenses[categoryId] = (today.expenses[categoryId] || 0) + amount;
+    }
+
+    /**
+     * Income, expenses and net for a ledger day
+     */
+    summarizeLedgerDay(entry) {
+        const income = this.stats.totalStarsEarned - entry.startEarned;
+        const expenses = { ...entry.expenses };
+        const totalExpenses = Object.values(expenses).reduce((sum, value) => sum + value, 0);
+        return { day: entry.day, income: income, expenses: expenses, totalExpenses: totalExpenses, net: income - totalExpenses };
+    }
+
+    /**
+     * Ledger rows, newest first: today so far, then closed days
+     */
+    getLedger() {
+        const today = this.summarizeLedgerDay(this.getLedgerToday());
+        return [today, ...[...this.ledger.days].reverse()];
+    }
+
+    // ========== STAFF MORALE ==========
+
+    /**
+     * What's pushing a staff member's morale up or down, as { name, value, emoji } factors
+     * Factors that bother them carry a complaint - what they say when you talk to them.
+     */
+    getStaffMoraleBreakdown(member) {
+        const rules = this.staffMorale;
+        const floor = member.floorId !== null ? this.getFloor(member.floorId) : null;
+        const factors = [{ name: 'Base', value: rules.base, emoji: '📊' }];
+
+        // Pay
+        if (member.missedPaydays > 0) {
+            factors.push({
+                name: `Missed Paydays (${member.missedPaydays})`,
+                value: rules.missedPayday * member.missedPaydays,
+                emoji: '💸',
+                complaint: member.missedPaydays === 1
+                    ? "I didn't get paid this morning."
+                    : `I haven't been paid in ${member.missedPaydays} days.`
+            });
+        } else {
+            factors.push({ name: 'Paid On Time', value: rules.paidOnTime, emoji: '💰' });
+        }
+
+        // The job itself
+        if (!floor) {
+            factors.push({ name: 'No Floor', value: rules.unassigned, emoji: '⚠️', complaint: "I don't even have a floor to work on." });
+        } else if (!member.isUtilityStaff && member.dreamGenre) {
+            const isDreamMatch = this.isDreamMatch(member);
+            if (isDreamMatch) {
+                factors.push({ name: 'Dream Job', value: rules.dreamJob, emoji: '💫' });
+            } else {
+                const dreamFloorType = this.floorTypes.find(ft => ft.id === member.dreamGenre);
+                factors.push({
+                    name: 'Not Their Dream Job',
+                    value: rules.notDreamJob,
+                    emoji: '💭',
+                    complaint: `I'd really rather be working on ${dreamFloorType ? dreamFloorType.name : 'my dream floor'}.`
+                });
+            }
+
+            const dreamTeammates = this.getFloorDreamMatchBonus(floor) - (isDreamMatch ? 1 : 0);
+            if (dreamTeammates > 0) {
+                factors.push({ name: `Happy Teammates (${dreamTeammates})`, value: rules.dreamTeammate * dreamTeammates, emoji: '🤝' });
+            }
+        }
+
+        // The library
+        const moodValue = Math.round((this.mood - 50) / 50 * rules.moodRange);
+        if (moodValue !== 0) {
+            factors.push({
+                name: moodValue > 0 ? 'Cheerful Library' : 'Gloomy Library',
+                value: moodValue,
+                emoji: moodValue > 0 ? '😊' : '😞',
+                complaint: moodValue < 0 ? 'The whole library feels gloomy lately.' : undefined
+            });
+        }
+
+        if (floor) {
+            const trashValue = Math.round((floor.trash || 0) * rules.trashPerPoint);
+            if (trashValue < 0) {
+                factors.push({
+                    name: `Messy Floor (${Math.round(floor.trash)}%)`,
+                    value: trashValue,
+                    emoji: '🗑️',
+                    complaint: `${floor.name} is a mess and nobody's cleaning it up.`
+                });
+            }
+
+            const incidents = Object.keys(floor.incidents || {}).filter(key => floor.incidents[key]);
+            if (incidents.length > 0) {
+                factors.push({
+                    name: 'Unfixed Problems',
+                    value: rules.incident,
+                    emoji: '🚨',
+                    complaint: `Something's broken on ${floor.name} and nobody has fixed it.`
+                });
+            }
+        }
+
+        if (member.fatigue > rules.tiredAt) {
+            factors.push({
+                name: 'Exhausted',
+                value: Math.round((member.fatigue - rules.tiredAt) * rules.tiredPerPoint),
+                emoji: '😓',
+                complaint: "I'm exhausted - these shifts are wearing me out."
+            });
+        }
+
+        return factors;
+    }
+
+    /**
+     * Morale a staff member is drifting towards
+     */
+    getStaffMoraleTarget(member) {
+        const total = this.getStaffMoraleBreakdown(member).reduce((sum, factor) => sum + factor.value, 0);
+        return Math.max(0, Math.min(this.payroll.maxMorale, total));
+    }
+
+    /**
+     * Drift morale towards its target; unhappy staff give notice and leave when it runs out,
+     * and staff who go unpaid too many days in a row walk out on the spot
+     */
+    updateStaffMorale() {
+        const rules = this.staffMorale;
+        if (this.stats.timePlayed % rules.updateTicks !== 0) return;
+
+        const drift = 1 - Math.pow(1 - rules.driftPerTick, rules.updateTicks);
+        [...this.staff].forEach(member => {
+            member.morale += (this.getStaffMoraleTarget(member) - member.morale) * drift;
+
+            if (member.missedPaydays >= rules.walkOutAfter) {
+                const applicant = this.staffQuit(member);
+                if (!this._staffWalkedOut) this._staffWalkedOut = [];
+                this._staffWalkedOut.push({ name: member.name, emoji: member.emoji, inLobby: !!applicant });
+            } else if (member.noticeUntil) {
+                if (member.morale >= rules.withdrawAt) {
+                    member.noticeUntil = 0;
+                    this.recordStaffHistory(member, 'stayed');
+                    this._staffStayed = { name: member.name, emoji: member.emoji };
+                } else if (this.stats.timePlayed >= member.noticeUntil) {
+                    this.staff = this.staff.filter(s => s.id !== member.id);
+                    this._staffResigned = { name: member.name, emoji: member.emoji };
+                }
+            } else if (member.morale < rules.noticeAt) {
+                member.noticeUntil = this.stats.timePlayed + rules.noticeTicks;
+                this.recordStaffHistory(member, 'notice');
+                this._staffNotice = { name: member.name, emoji: member.emoji };
+            }
+        });
+    }
+
+    /**
+     * Ask a staff member how they're doing - their morale factors and what bothers them most
+     */
+    talkToStaff(staffId) {
+        const member = this.getStaffMember(staffId);
+        if (!member) {
+            return { success: false, error: 'Staff not found' };
+        }
+
+        const factors = this.getStaffMoraleBreakdown(member);
+        const concerns = factors.filter(factor => factor.complaint).sort((a, b) => a.value - b.value);
+        let quote;
+        if (concerns.length > 0) {
+            quote = concerns[0].complaint;
+        } else if (member.morale >= this.staffMorale.referralAt) {
+            quote = "I love working here! I've been telling my friends about it.";
+        } else {
+            quote = 'Things are fine, thanks for asking.';
+        }
+
+        return {
+            success: true,
+            staff: member,
+            morale: Math.round(member.morale),
+            target: Math.round(this.getStaffMoraleTarget(member)),
+            factors: factors,
+            concerns: concerns,
+            quote: quote,
+            leaving: member.noticeUntil > 0
+        };
+    }
+
+    /**
+     * A happy staff member who hasn't recommended anyone today, or null
+     */
+    pickReferrer() {
+        const today = this.getGameDay();
+        const happy = this.staff.filter(member =>
+            member.morale >= this.staffMorale.referralAt && member.lastReferralDay !== today && !member.noticeUntil
+        );
+        if (happy.length === 0) return null;
+        return happy[Math.floor(this.rng.next() * happy.length)];
     }
 
     /**
-     * Rush floor construction with tower bucks
+     * Spawn an applicant recommended by a staff member - a friend with better skills than usual
      */
-    rushConstruction(floorId) {
-        const floor = this.getFloor(floorId);
-        if (!floor || floor.status !== 'building') return false;
+    spawnReferralApplicant(referrer) {
+        const applicant = this.spawnApplicant();
+        if (!applicant) return null;
 
-        if (this.towerBucks < 1) return false;
+        const catalog = this.getUtilityStaffType(applicant.type) || this.staffTypes.find(t => t.id === applicant.type);
+        applicant.skill = Math.min(this.staffProgression.maxSkill, applicant.skill + this.staffMorale.referralSkillBonus);
+        applicant.hireCost = this.getApplicantHireCost(catalog.hireCost, applicant.skill);
+        applicant.referredBy = referrer.name;
 
-        this.towerBucks -= 1;
-        floor.status = 'ready';
-        floor.buildEndTime = Date.now();
-        this.save();
-        return true;
+        referrer.lastReferralDay = this.getGameDay();
+        this.recordStaffHistory(referrer, 'referral', { name: applicant.name });
+        return applicant;
     }
 
     /**
@@ -1645,14 +3265,17 @@ class GameState {
         const hasCustomStaff = floorType && floorType.staffSlots;
 
         if (hasCustomStaff) {
-            // Custom staff for utility rooms (basement)
+            // Custom staff for utility rooms (restroom, basement)
             const customStaff = floorType.staffSlots[customStaffIndex];
-            if (!customStaff) {
+            const utilityType = this.utilityStaffTypes.find(
+                ut => ut.floorType === floor.typeId && ut.slotIndex === customStaffIndex
+            );
+            if (!customStaff || !utilityType) {
                 return { success: false, error: 'Invalid staff slot' };
             }
 
             // Check if already hired
-            if (floor.staff.includes(customStaff.name)) {
+            if (this.getStaffInSlot(floor, customStaffIndex)) {
                 return { success: false, error: 'Already hired' };
             }
 
@@ -1663,26 +3286,31 @@ class GameState {
 
             // Deduct cost
             this.stars -= customStaff.cost;
+            this.recordExpense('hiring', customStaff.cost);
 
-            // Add staff name to floor
-            floor.staff.push(customStaff.name);
-
-            // Update stats
-            this.stats.totalStaffHired += 1;
+            const newStaff = this.addStaffMember({
+                typeId: utilityType.id,
+                name: customStaff.name,
+                emoji: customStaff.emoji,
+                color: customStaff.color,
+                isUtilityStaff: true,
+                effect: customStaff.effect
+            }, floor, customStaffIndex);
 
-            this.save();
+            this.saveNow();
 
-            return { success: true, staff: customStaff };
+            return { success: true, staff: newStaff };
         }
 
         // Standard staff for regular floors
-        // Check if floor already has 3 staff
-        if (floor.staff.length >= 3) {
+        const slotIndex = this.findOpenStaffSlot(floor, 'page');
+        if (slotIndex === -1) {
             return { success: false, error: 'Floor is fully staffed' };
         }
 
         // Determine which staff type to hire (in order: Page, Clerk, Librarian)
-        const staffType = this.staffTypes[floor.staff.length];
+        const staffCount = this.getFloorStaff(floor).length;
+        const staffType = this.staffTypes[staffCount];
 
         // Check cost
         if (this.stars < staffType.hireCost) {
@@ -1691,25 +3319,18 @@ class GameState {
 
         // Deduct cost
         this.stars -= staffType.hireCost;
+        this.recordExpense('hiring', staffType.hireCost);
 
-        // Create staff member
-        const newStaff = {
-            id: this.generateId(),
+        const newStaff = this.addStaffMember({
             typeId: staffType.id,
             name: staffType.name,
             emoji: staffType.emoji,
-            color: staffType.color,
-            hiredAt: Date.now()
-        };
-
-        floor.staff.push(newStaff);
-
-        // Update stats
-        this.stats.totalStaffHired += 1;
+            color: staffType.color
+        }, floor, slotIndex);
 
-        this.save();
+        this.saveNow();
 
-        return { success: true, staff: newStaff, categoryUnlocked: floor.staff.length - 1 };
+        return { success: true, staff: newStaff, categoryUnlocked: staffCount };
     }
 
     // ========== STAFF LOBBY SYSTEM FUNCTIONS ==========
@@ -1727,7 +3348,7 @@ class GameState {
         const hasUtilityNeed = utilityFloorsNeedingStaff.length > 0;
 
         // 30% chance to spawn utility staff if there's a need
-        const spawnUtilityStaff = hasUtilityNeed && Math.random() < 0.3;
+        const spawnUtilityStaff = hasUtilityNeed && this.rng.next() < 0.3;
 
         if (spawnUtilityStaff) {
             return this.spawnUtilityApplicant(utilityFloorsNeedingStaff);
@@ -1740,7 +3361,7 @@ class GameState {
             { type: 'librarian', weight: Math.min(20, this.level * 3) }
         ];
         const totalWeight = typeWeights.reduce((sum, t) => sum + t.weight, 0);
-        let rand = Math.random() * totalWeight;
+        let rand = this.rng.next() * totalWeight;
         let selectedType = 'page';
         for (const t of typeWeights) {
             rand -= t.weight;
@@ -1754,17 +3375,16 @@ class GameState {
 
         // Pick random dream genre from available floor types
         const regularFloorTypes = this.floorTypes.filter(ft => !ft.staffSlots && ft.id !== 'lobby');
-        const dreamGenre = regularFloorTypes[Math.floor(Math.random() * regularFloorTypes.length)];
+        const dreamGenre = regularFloorTypes[Math.floor(this.rng.next() * regularFloorTypes.length)];
 
         // Generate random name
-        const name = this.staffFirstNames[Math.floor(Math.random() * this.staffFirstNames.length)];
+        const name = this.staffFirstNames[Math.floor(this.rng.next() * this.staffFirstNames.length)];
 
         // Random skill level 1-5
-        const skill = Math.floor(Math.random() * 5) + 1;
+        const skill = Math.floor(this.rng.next() * 5) + 1;
 
         // Cost based on type and skill
-        const baseCost = staffType.hireCost;
-        const hireCost = Math.floor(baseCost * (0.8 + skill * 0.2));
+        const hireCost = this.getApplicantHireCost(staffType.hireCost, skill);
 
         // Random appearance
         const shirtColors = ['#4CAF50', '#2196F3', '#9C27B0', '#FF5722', '#795548', '#607D8B', '#E91E63', '#00BCD4', '#FF9800', '#8BC34A'];
@@ -1785,21 +3405,28 @@ class GameState {
             dreamGenreEmoji: dreamGenre.emoji,
             skill: skill,
             hireCost: hireCost,
-            spawnTime: Date.now(),
-            expiresAt: Date.now() + this.applicantExpiryTime,
+            spawnTime: this.clock.now(),
+            expiresAt: this.clock.now() + this.applicantExpiryTime,
             // Appearance
-            shirtColor: shirtColors[Math.floor(Math.random() * shirtColors.length)],
-            pantsColor: pantsColors[Math.floor(Math.random() * pantsColors.length)],
-            skinColor: skinColors[Math.floor(Math.random() * skinColors.length)],
-            hairColor: hairColors[Math.floor(Math.random() * hairColors.length)]
+            shirtColor: shirtColors[Math.floor(this.rng.next() * shirtColors.length)],
+            pantsColor: pantsColors[Math.floor(this.rng.next() * pantsColors.length)],
+            skinColor: skinColors[Math.floor(this.rng.next() * skinColors.length)],
+            hairColor: hairColors[Math.floor(this.rng.next() * hairColors.length)]
         };
 
         this.lobbyApplicants.push(applicant);
-        this.save();
+        this.markDirty();
 
         return applicant;
     }
 
+    /**
+     * What an applicant asks to be hired, from their role's base cost and their skill
+     */
+    getApplicantHireCost(baseCost, skill) {
+        return Math.floor(baseCost * (0.8 + skill * 0.2));
+    }
+
     /**
      * Get utility floors that have empty staff slots
      */
@@ -1813,9 +3440,8 @@ class GameState {
             if (!floorType || !floorType.staffSlots) return;
 
             // Check each slot
-            for (let i = 0; i < 3; i++) {
-                const staff = floor.staff[i];
-                if (!staff) {
+            for (let i = 0; i < floorType.staffSlots.length; i++) {
+                if (!this.getStaffInSlot(floor, i)) {
                     // Find which utility staff type goes in this slot
                     const utilityType = this.utilityStaffTypes.find(
                         ut => ut.floorType === floor.typeId && ut.slotIndex === i
@@ -1840,18 +3466,17 @@ class GameState {
      */
     spawnUtilityApplicant(utilityNeeds) {
         // Pick a random need
-        const need = utilityNeeds[Math.floor(Math.random() * utilityNeeds.length)];
+        const need = utilityNeeds[Math.floor(this.rng.next() * utilityNeeds.length)];
         const utilityType = need.utilityType;
 
         // Generate random name
-        const name = this.staffFirstNames[Math.floor(Math.random() * this.staffFirstNames.length)];
+        const name = this.staffFirstNames[Math.floor(this.rng.next() * this.staffFirstNames.length)];
 
         // Random skill level 1-5
-        const skill = Math.floor(Math.random() * 5) + 1;
+        const skill = Math.floor(this.rng.next() * 5) + 1;
 
         // Cost based on type and skill
-        const baseCost = utilityType.hireCost;
-        const hireCost = Math.floor(baseCost * (0.8 + skill * 0.2));
+        const hireCost = this.getApplicantHireCost(utilityType.hireCost, skill);
 
         // Random appearance
         const shirtColors = ['#4CAF50', '#2196F3', '#9C27B0', '#FF5722', '#795548', '#607D8B', '#E91E63', '#00BCD4', '#FF9800', '#8BC34A'];
@@ -1872,17 +3497,17 @@ class GameState {
             effect: utilityType.effect,
             skill: skill,
             hireCost: hireCost,
-            spawnTime: Date.now(),
-            expiresAt: Date.now() + this.applicantExpiryTime,
+            spawnTime: this.clock.now(),
+            expiresAt: this.clock.now() + this.applicantExpiryTime,
             // Appearance
-            shirtColor: shirtColors[Math.floor(Math.random() * shirtColors.length)],
-            pantsColor: pantsColors[Math.floor(Math.random() * pantsColors.length)],
-            skinColor: skinColors[Math.floor(Math.random() * skinColors.length)],
-            hairColor: hairColors[Math.floor(Math.random() * hairColors.length)]
+            shirtColor: shirtColors[Math.floor(this.rng.next() * shirtColors.length)],
+            pantsColor: pantsColors[Math.floor(this.rng.next() * pantsColors.length)],
+            skinColor: skinColors[Math.floor(this.rng.next() * skinColors.length)],
+            hairColor: hairColors[Math.floor(this.rng.next() * hairColors.length)]
         };
 
         this.lobbyApplicants.push(applicant);
-        this.save();
+        this.markDirty();
 
         return applicant;
     }
@@ -1914,11 +3539,9 @@ class GameState {
             return { success: false, error: 'This floor requires specialized staff' };
         }
 
-        // Check if floor already has 3 staff (count non-null slots)
-        const filledSlots = floor.staff.filter(s => s !== null && s !== undefined).length;
-        const emptySlotIndex = floor.staff.findIndex(s => s === null || s === undefined);
-
-        if (filledSlots >= 3) {
+        // Check if floor already has 3 staff
+        const slotIndex = this.findOpenStaffSlot(floor, applicant.type);
+        if (slotIndex === -1) {
             return { success: false, error: 'Floor is fully staffed' };
         }
 
@@ -1929,12 +3552,10 @@ class GameState {
 
         // Deduct cost
         this.stars -= applicant.hireCost;
-
-        // Check if dream genre matches
-        const isDreamMatch = floor.typeId === applicant.dreamGenre;
+        this.recordExpense('hiring', applicant.hireCost);
 
         // Create staff member with dream genre info
-        const newStaff = {
+        const newStaff = this.addStaffMember({
             id: applicant.id,
             typeId: applicant.type,
             name: applicant.name,
@@ -1943,30 +3564,19 @@ class GameState {
             color: applicant.color,
             skill: applicant.skill,
             dreamGenre: applicant.dreamGenre,
-            isDreamMatch: isDreamMatch,
-            hiredAt: Date.now()
-        };
-
-        // Fill empty slot or push to end
-        if (emptySlotIndex !== -1) {
-            floor.staff[emptySlotIndex] = newStaff;
-        } else {
-            floor.staff.push(newStaff);
-        }
+            appearance: this.getApplicantAppearance(applicant)
+        }, floor, slotIndex);
 
         // Remove from lobby
         this.lobbyApplicants.splice(applicantIndex, 1);
 
-        // Update stats
-        this.stats.totalStaffHired += 1;
-
-        this.save();
+        this.saveNow();
 
         return {
             success: true,
             staff: newStaff,
-            categoryUnlocked: floor.staff.length - 1,
-            isDreamMatch: isDreamMatch
+            categoryUnlocked: this.getFloorStaff(floor).length - 1,
+            isDreamMatch: this.isDreamMatch(newStaff)
         };
     }
 
@@ -1976,13 +3586,12 @@ class GameState {
     hireUtilityApplicant(applicant, applicantIndex, floor) {
         // Check floor type matches
         if (floor.typeId !== applicant.utilityFloorType) {
-            const floorTypeName = applicant.utilityFloorType === 'bathroom' ? 'Restroom' : 'Basement';
-            return { success: false, error: `This staff works in the ${floorTypeName}` };
+            return { success: false, error: this.getWrongFloorError(applicant.utilityFloorType) };
         }
 
         // Check if the specific slot is already filled
         const slotIndex = applicant.utilitySlotIndex;
-        if (floor.staff[slotIndex]) {
+        if (this.getStaffInSlot(floor, slotIndex)) {
             return { success: false, error: 'This position is already filled' };
         }
 
@@ -1993,9 +3602,9 @@ class GameState {
 
         // Deduct cost
         this.stars -= applicant.hireCost;
+        this.recordExpense('hiring', applicant.hireCost);
 
-        // Create staff member
-        const newStaff = {
+        const newStaff = this.addStaffMember({
             id: applicant.id,
             typeId: applicant.type,
             name: applicant.name,
@@ -2005,23 +3614,13 @@ class GameState {
             skill: applicant.skill,
             effect: applicant.effect,
             isUtilityStaff: true,
-            hiredAt: Date.now()
-        };
-
-        // Place in correct slot
-        // Ensure staff array has enough slots
-        while (floor.staff.length <= slotIndex) {
-            floor.staff.push(null);
-        }
-        floor.staff[slotIndex] = newStaff;
+            appearance: this.getApplicantAppearance(applicant)
+        }, floor, slotIndex);
 
         // Remove from lobby
         this.lobbyApplicants.splice(applicantIndex, 1);
 
-        // Update stats
-        this.stats.totalStaffHired += 1;
-
-        this.save();
+        this.saveNow();
 
         return {
             success: true,
@@ -2030,6 +3629,26 @@ class GameState {
         };
     }
 
+    /**
+     * Colors an applicant was drawn with in the lobby, kept so they look the same at work
+     */
+    getApplicantAppearance(applicant) {
+        return {
+            shirtColor: applicant.shirtColor,
+            pantsColor: applicant.pantsColor,
+            skinColor: applicant.skinColor,
+            hairColor: applicant.hairColor
+        };
+    }
+
+    /**
+     * Error for putting utility staff on the wrong kind of floor
+     */
+    getWrongFloorError(floorTypeId) {
+        const floorType = this.floorTypes.find(t => t.id === floorTypeId);
+        return `This staff works in the ${floorType ? floorType.name : floorTypeId}`;
+    }
+
     /**
      * Dismiss an applicant from the lobby
      */
@@ -2040,76 +3659,80 @@ class GameState {
         }
 
         this.lobbyApplicants.splice(index, 1);
-        this.save();
+        this.markDirty();
 
         return { success: true };
     }
 
     /**
-     * Reassign a staff member from one floor to another
+     * Put a roster member to work on a floor (first free slot, or their role's slot)
      */
-    reassignStaff(staffId, fromFloorId, toFloorId) {
-        const fromFloor = this.getFloor(fromFloorId);
-        const toFloor = this.getFloor(toFloorId);
+    assignStaff(staffId, floorId) {
+        const member = this.getStaffMember(staffId);
+        if (!member) {
+            return { success: false, error: 'Staff not found' };
+        }
 
-        if (!fromFloor || !toFloor) {
+        const floor = this.getFloor(floorId);
+        if (!floor) {
             return { success: false, error: 'Floor not found' };
         }
+        if (floor.status !== 'ready') {
+            return { success: false, error: 'Floor not ready' };
+        }
+        if (member.floorId === floor.id) {
+            return { success: false, error: 'Already working on this floor' };
+        }
 
-        // Find staff in source floor
-        const staffIndex = fromFloor.staff.findIndex(s => s && s.id === staffId);
-        if (staffIndex === -1) {
-            return { success: false, error: 'Staff not found on this floor' };
+        const utilityType = this.getUtilityStaffType(member.typeId);
+        if (utilityType && utilityType.floorType !== floor.typeId) {
+            return { success: false, error: this.getWrongFloorError(utilityType.floorType) };
         }
 
-        // Check if destination floor has room
-        const emptySlotIndex = toFloor.staff.findIndex(s => s === null || s === undefined);
-        if (emptySlotIndex === -1 && toFloor.staff.length >= 3) {
+        const slotIndex = this.findOpenStaffSlot(floor, member.typeId);
+        if (slotIndex === -1) {
             return { success: false, error: 'No empty slots on destination floor' };
         }
 
-        // Move staff
-        const staff = fromFloor.staff[staffIndex];
-        fromFloor.staff[staffIndex] = null;
-
-        // Add to destination floor
-        if (emptySlotIndex !== -1) {
-            toFloor.staff[emptySlotIndex] = staff;
-        } else {
-            toFloor.staff.push(staff);
-        }
+        member.floorId = floor.id;
+        member.slotIndex = slotIndex;
+        this.recordStaffHistory(member, 'moved', { floorName: floor.name });
 
-        this.save();
+        this.markDirty();
 
         return {
             success: true,
-            isDreamMatch: staff.dreamGenre === toFloor.typeId,
-            staff: staff
+            isDreamMatch: this.isDreamMatch(member),
+            staff: member
         };
     }
 
     /**
-     * Fire a staff member from a floor
+     * Reassign a staff member from one floor to another
+     * fromFloorId is null for unassigned staff
      */
-    fireStaff(staffId, floorId) {
-        const floor = this.getFloor(floorId);
-
-        if (!floor) {
-            return { success: false, error: 'Floor not found' };
+    reassignStaff(staffId, fromFloorId, toFloorId) {
+        const member = this.getStaffMember(staffId);
+        if (!member || member.floorId !== fromFloorId) {
+            return { success: false, error: 'Staff not found on this floor' };
         }
 
-        // Find staff on this floor
-        const staffIndex = floor.staff.findIndex(s => s && s.id === staffId);
-        if (staffIndex === -1) {
+        return this.assignStaff(staffId, toFloorId);
+    }
+
+    /**
+     * Fire a staff member - they leave the roster for good
+     * Pass floorId to make sure they're still on the floor the player was looking at.
+     */
+    fireStaff(staffId, floorId) {
+        const index = this.staff.findIndex(member => member.id === staffId);
+        if (index === -1 || (floorId !== undefined && this.staff[index].floorId !== floorId)) {
             return { success: false, error: 'Staff not found on this floor' };
         }
 
-        const staff = floor.staff[staffIndex];
-
-        // Remove staff from floor
-        floor.staff[staffIndex] = null;
+        const [staff] = this.staff.splice(index, 1);
 
-        this.save();
+        this.markDirty();
 
         return {
             success: true,
@@ -2118,28 +3741,37 @@ class GameState {
     }
 
     /**
-     * Get all floors that have empty staff slots
+     * Get all book floors that have empty staff slots
      */
     getFloorsWithEmptySlots() {
-        return this.floors.filter(floor => {
-            if (floor.status !== 'ready') return false;
-            const floorType = this.floorTypes.find(ft => ft.id === floor.typeId);
-            if (floorType && floorType.staffSlots) return false; // Skip utility floors
-            const filledSlots = floor.staff.filter(s => s !== null && s !== undefined).length;
-            return filledSlots < 3;
-        });
+        return this.floors.filter(floor =>
+            floor.status === 'ready' && this.findOpenStaffSlot(floor, 'page') !== -1
+        );
+    }
+
+    /**
+     * Ready floors a staff member could move to (excluding where they work now)
+     */
+    getAssignableFloors(staffId) {
+        const member = this.getStaffMember(staffId);
+        if (!member) return [];
+        return this.floors.filter(floor =>
+            floor.status === 'ready' &&
+            floor.id !== member.floorId &&
+            this.findOpenStaffSlot(floor, member.typeId) !== -1
+        );
     }
 
     /**
      * Update lobby applicants - expire old ones
      */
     updateLobbyApplicants() {
-        const now = Date.now();
+        const now = this.clock.now();
         const expired = this.lobbyApplicants.filter(a => now >= a.expiresAt);
 
         if (expired.length > 0) {
             this.lobbyApplicants = this.lobbyApplicants.filter(a => now < a.expiresAt);
-            this.save();
+            this.markDirty();
         }
 
         return expired;
@@ -2156,12 +3788,12 @@ class GameState {
         }
 
         // 60% chance of famous author, 40% chance of other VIP type
-        const isAuthor = Math.random() < 0.6;
+        const isAuthor = this.rng.next() < 0.6;
 
         let vip;
         if (isAuthor) {
             // Pick random famous author
-            const author = this.famousAuthors[Math.floor(Math.random() * this.famousAuthors.length)];
+            const author = this.famousAuthors[Math.floor(this.rng.next() * this.famousAuthors.length)];
 
             // Find a matching floor if player has one
             const matchingFloor = this.floors.find(f =>
@@ -2188,17 +3820,17 @@ class GameState {
                     duration: 5 * 60 * 1000, // 5 minutes
                     description: '2x readers for 5 min!'
                 },
-                spawnTime: Date.now(),
-                expiresAt: Date.now() + this.vipExpiryTime,
+                spawnTime: this.clock.now(),
+                expiresAt: this.clock.now() + this.vipExpiryTime,
                 // Fancy VIP appearance
-                shirtColor: vipShirtColors[Math.floor(Math.random() * vipShirtColors.length)],
-                pantsColor: vipPantsColors[Math.floor(Math.random() * vipPantsColors.length)],
-                skinColor: skinColors[Math.floor(Math.random() * skinColors.length)],
-                hairColor: hairColors[Math.floor(Math.random() * hairColors.length)]
+                shirtColor: vipShirtColors[Math.floor(this.rng.next() * vipShirtColors.length)],
+                pantsColor: vipPantsColors[Math.floor(this.rng.next() * vipPantsColors.length)],
+                skinColor: skinColors[Math.floor(this.rng.next() * skinColors.length)],
+                hairColor: hairColors[Math.floor(this.rng.next() * hairColors.length)]
             };
         } else {
             // Pick random other VIP type
-            const vipType = this.vipTypes[Math.floor(Math.random() * this.vipTypes.length)];
+            const vipType = this.vipTypes[Math.floor(this.rng.next() * this.vipTypes.length)];
 
             // VIP appearance - fancy colors
             const vipShirtColors = ['#4A0080', '#1A237E', '#B71C1C', '#004D40', '#311B92'];
@@ -2215,18 +3847,18 @@ class GameState {
                 targetGenres: null, // Any floor
                 targetFloorId: null,
                 bonus: { ...vipType.bonus },
-                spawnTime: Date.now(),
-                expiresAt: Date.now() + this.vipExpiryTime,
+                spawnTime: this.clock.now(),
+                expiresAt: this.clock.now() + this.vipExpiryTime,
                 // Fancy VIP appearance
-                shirtColor: vipShirtColors[Math.floor(Math.random() * vipShirtColors.length)],
-                pantsColor: vipPantsColors[Math.floor(Math.random() * vipPantsColors.length)],
-                skinColor: skinColors[Math.floor(Math.random() * skinColors.length)],
-                hairColor: hairColors[Math.floor(Math.random() * hairColors.length)]
+                shirtColor: vipShirtColors[Math.floor(this.rng.next() * vipShirtColors.length)],
+                pantsColor: vipPantsColors[Math.floor(this.rng.next() * vipPantsColors.length)],
+                skinColor: skinColors[Math.floor(this.rng.next() * skinColors.length)],
+                hairColor: hairColors[Math.floor(this.rng.next() * hairColors.length)]
             };
         }
 
         this.arrivingVIPs.push(vip);
-        this.save();
+        this.markDirty();
 
         return vip;
     }
@@ -2252,11 +3884,11 @@ class GameState {
         // Start elevator ride
         this.activeElevatorRide = {
             vip: vip,
-            pickedUpAt: Date.now(),
+            pickedUpAt: this.clock.now(),
             status: 'riding'
         };
 
-        this.save();
+        this.markDirty();
 
         return { success: true, vip: vip };
     }
@@ -2291,7 +3923,7 @@ class GameState {
             this.floorBonuses[floorId] = {
                 type: 'readers',
                 multiplier: isMatch ? bonus.multiplier : 1.5, // Less bonus if wrong floor
-                expiresAt: Date.now() + bonus.duration,
+                expiresAt: this.clock.now() + bonus.duration,
                 vipName: vip.name
             };
             result.bonusApplied = `${isMatch ? '2x' : '1.5x'} readers for ${Math.floor(bonus.duration / 60000)} min!`;
@@ -2320,7 +3952,7 @@ class GameState {
         // Clear elevator ride
         this.activeElevatorRide = null;
 
-        this.save();
+        this.markDirty();
 
         return result;
     }
@@ -2334,7 +3966,7 @@ class GameState {
         }
 
         this.activeElevatorRide = null;
-        this.save();
+        this.markDirty();
 
         return { success: true };
     }
@@ -2343,12 +3975,12 @@ class GameState {
      * Update arriving VIPs - expire old ones
      */
     updateArrivingVIPs() {
-        const now = Date.now();
+        const now = this.clock.now();
         const expired = this.arrivingVIPs.filter(v => now >= v.expiresAt);
 
         if (expired.length > 0) {
             this.arrivingVIPs = this.arrivingVIPs.filter(v => now < v.expiresAt);
-            this.save();
+            this.markDirty();
         }
 
         return expired;
@@ -2358,7 +3990,7 @@ class GameState {
      * Update floor bonuses - expire old ones
      */
     updateFloorBonuses() {
-        const now = Date.now();
+        const now = this.clock.now();
         let changed = false;
 
         for (const floorId in this.floorBonuses) {
@@ -2369,7 +4001,7 @@ class GameState {
         }
 
         if (changed) {
-            this.save();
+            this.markDirty();
         }
     }
 
@@ -2378,14 +4010,16 @@ class GameState {
      */
     getFloorBonus(floorId) {
         const bonus = this.floorBonuses[floorId];
-        if (bonus && Date.now() < bonus.expiresAt) {
+        if (bonus && this.clock.now() < bonus.expiresAt) {
             return bonus;
         }
         return null;
     }
 
     /**
-     * Start restocking a book category
+     * Order a restock for a book category
+     * Orders are paid up front and join the floor's restock queue; the floor's
+     * staff work through it one order at a time (see processRestockQueue).
      * Requires staff to unlock categories:
      * - Category 0: Need 1+ staff (Page)
      * - Category 1: Need 2+ staff (Clerk)
@@ -2399,13 +4033,16 @@ class GameState {
         if (!category) return { success: false, error: 'Invalid category' };
 
         // Check if category is unlocked by staff
-        const requiredStaff = categoryIndex + 1;
-        if (floor.staff.length < requiredStaff) {
-            const staffTypeName = this.staffTypes[categoryIndex]?.name || 'staff member';
-            return { success: false, error: `Hire a ${staffTypeName} to unlock this category` };
+        if (!this.isCategoryUnlocked(floor, categoryIndex)) {
+            const staffTypeName = this.staffTypes[categoryIndex]?.name;
+            return {
+                success: false,
+                error: staffTypeName ? `Hire a ${staffTypeName} to unlock this category` : 'Fill every staff slot to unlock this category'
+            };
         }
 
         if (category.restocking) return { success: false, error: 'Already restocking' };
+        if (this.isRestockQueued(floor, categoryIndex)) return { success: false, error: 'Already ordered' };
 
         if (category.currentStock >= category.maxStock) {
             return { success: false, error: 'Already full' };
@@ -2422,39 +4059,141 @@ class GameState {
 
         // Deduct cost
         this.stars -= actualCost;
+        this.recordExpense('restocks', actualCost);
 
-        // Start restocking
-        category.restocking = true;
-        category.restockStartTime = Date.now();
+        if (!floor.restockQueue) floor.restockQueue = [];
+        floor.restockQueue.push({ categoryIndex, cost: actualCost, orderedAt: this.clock.now() });
+        this.processRestockQueue(floor, this.clock.now());
 
-        // Calculate restock time - apply dream match bonus if applicable
-        let restockTime = category.stockTime * 1000;
         const dreamMatchBonus = this.getFloorDreamMatchBonus(floor);
-        if (dreamMatchBonus > 0) {
-            restockTime = restockTime / 2; // 2x speed = half time
-        }
+        this.saveNow();
+        return {
+            success: true,
+            queued: !category.restocking,
+            position: floor.restockQueue.findIndex(order => order.categoryIndex === categoryIndex) + 1,
+            dreamMatchBonus: dreamMatchBonus > 0
+        };
+    }
+
+    /**
+     * True if a category is waiting in the floor's restock queue
+     */
+    isRestockQueued(floor, categoryIndex) {
+        return !!floor.restockQueue && floor.restockQueue.some(order => order.categoryIndex === categoryIndex);
+    }
+
+    /**
+     * How fast a floor's staff restock, as a multiplier on speed
+     * Average skill 3 is normal speed, each point above or below is 10%,
+     * and purchased training (staff_speed upgrades) stacks on top.
+     */
+    getRestockSpeed(floor) {
+        const averageSkill = this.getFloorAverageSkill(floor);
+        const speed = averageSkill === null ? this.staffFatigue.understaffedRestockSpeed : 1 + (averageSkill - 3) * 0.1;
+        return speed * this.getUpgradeEffect('staff_speed');
+    }
 
-        category.restockEndTime = Date.now() + restockTime;
+    /**
+     * Milliseconds the floor's staff take to restock a category
+     */
+    getRestockDuration(floor, category) {
+        let restockTime = category.stockTime * 1000 / this.getRestockSpeed(floor);
 
-        this.save();
-        return { success: true, dreamMatchBonus: dreamMatchBonus > 0 };
+        // Dream match bonus: 2x speed = half time
+        if (this.getFloorDreamMatchBonus(floor) > 0) {
+            restockTime = restockTime / 2;
+        }
+
+        return Math.round(restockTime);
     }
 
     /**
-     * Check if floor has any staff working their dream job
-     * Returns the number of dream-matched staff
+     * Finish restocks that are done by `time` and start the next queued order
+     * Each order starts when the previous one finished, so a long queue keeps
+     * the same pace whether it's run every tick or caught up offline.
+     * Returns the number of restocks finished.
      */
-    getFloorDreamMatchBonus(floor) {
-        if (!floor || !floor.staff) return 0;
+    processRestockQueue(floor, time) {
+        let finished = 0;
+        let startTime = time;
+
+        floor.bookStock.forEach(category => {
+            if (category.restocking && time >= category.restockEndTime) {
+                category.currentStock = category.maxStock;
+                category.restocking = false;
+                startTime = Math.min(startTime, category.restockEndTime);
+                finished++;
+            }
+        });
+
+        const queue = floor.restockQueue || [];
+        while (queue.length > 0 && !floor.bookStock.some(category => category.restocking)) {
+            const order = queue.shift();
+            const category = floor.bookStock[order.categoryIndex];
+            if (!category) continue;
+
+            // Filled some other way while waiting (Restock All, VIPs) - give the stars back
+            if (category.currentStock >= category.maxStock) {
+                this.stars += order.cost || 0;
+                this.recordExpense('restocks', -(order.cost || 0));
+                continue;
+            }
+
+            category.restocking = true;
+            category.restockStartTime = startTime;
+            category.restockEndTime = startTime + this.getRestockDuration(floor, category);
+
+            // Already done by now (catching up) - finish it and move on
+            if (time >= category.restockEndTime) {
+                category.currentStock = category.maxStock;
+                category.restocking = false;
+                startTime = category.restockEndTime;
+                finished++;
+            }
+        }
+
+        this.awardStaffXP(floor, finished * this.staffProgression.xpPerRestock);
+        return finished;
+    }
 
-        let dreamMatchCount = 0;
-        floor.staff.forEach(staff => {
-            if (staff.isDreamMatch) {
-                dreamMatchCount++;
+    /**
+     * When each order on a floor will be done: [{ categoryIndex, name, active, startsAt, endsAt }]
+     */
+    getRestockQueueETA(floor) {
+        const now = this.clock.now();
+        const entries = [];
+        let nextStart = now;
+
+        floor.bookStock.forEach((category, categoryIndex) => {
+            if (category.restocking) {
+                entries.push({
+                    categoryIndex,
+                    name: category.name,
+                    active: true,
+                    startsAt: category.restockStartTime,
+                    endsAt: category.restockEndTime
+                });
+                nextStart = Math.max(nextStart, category.restockEndTime);
             }
         });
 
-        return dreamMatchCount;
+        (floor.restockQueue || []).forEach(order => {
+            const category = floor.bookStock[order.categoryIndex];
+            if (!category) return;
+            const endsAt = nextStart + this.getRestockDuration(floor, category);
+            entries.push({ categoryIndex: order.categoryIndex, name: category.name, active: false, startsAt: nextStart, endsAt });
+            nextStart = endsAt;
+        });
+
+        return entries;
+    }
+
+    /**
+     * Check if floor has any staff working their dream job
+     * Returns the number of dream-matched staff
+     */
+    getFloorDreamMatchBonus(floor) {
+        return this.getFloorStaff(floor).filter(member => this.isDreamMatch(member)).length;
     }
 
     /**
@@ -2472,8 +4211,11 @@ class GameState {
         this.towerBucks -= 1;
         category.currentStock = category.maxStock;
         category.restocking = false;
-        category.restockEndTime = Date.now();
-        this.save();
+        category.restockEndTime = this.clock.now();
+
+        // Staff move straight on to the next order
+        this.processRestockQueue(floor, this.clock.now());
+        this.saveNow();
         return true;
     }
 
@@ -2486,9 +4228,9 @@ class GameState {
             if (floor.status !== 'ready') return;
             floor.bookStock.forEach((category, idx) => {
                 // Check if unlocked by staff
-                if (floor.staff.length <= idx) return;
-                // Check if needs restocking (not full, not already restocking)
-                if (category.currentStock < category.maxStock && !category.restocking) {
+                if (!this.isCategoryUnlocked(floor, idx)) return;
+                // Check if needs restocking (not full, not already restocking or ordered)
+                if (category.currentStock < category.maxStock && !category.restocking && !this.isRestockQueued(floor, idx)) {
                     count++;
                 }
             });
@@ -2520,7 +4262,7 @@ class GameState {
             if (floor.status !== 'ready') return;
             floor.bookStock.forEach((category, idx) => {
                 // Check if unlocked by staff
-                if (floor.staff.length <= idx) return;
+                if (!this.isCategoryUnlocked(floor, idx)) return;
                 // Restock if needed
                 if (category.currentStock < category.maxStock) {
                     // If currently restocking, complete it
@@ -2533,7 +4275,7 @@ class GameState {
             });
         });
 
-        this.save();
+        this.saveNow();
         return { success: true, restocked, cost };
     }
 
@@ -2555,13 +4297,14 @@ class GameState {
 
         // Swap with the floor above
         [this.floors[index], this.floors[index + 1]] = [this.floors[index + 1], this.floors[index]];
+        this.invalidatePlacementLinks();
 
         // Update floor numbers
         this.floors.forEach((floor, i) => {
             floor.floorNumber = i + 1;
         });
 
-        this.save();
+        this.markDirty();
         return { success: true };
     }
 
@@ -2576,13 +4319,14 @@ class GameState {
 
         // Swap with the floor below
         [this.floors[index], this.floors[index - 1]] = [this.floors[index - 1], this.floors[index]];
+        this.invalidatePlacementLinks();
 
         // Update floor numbers
         this.floors.forEach((floor, i) => {
             floor.floorNumber = i + 1;
         });
 
-        this.save();
+        this.markDirty();
         return { success: true };
     }
 
@@ -2603,13 +4347,14 @@ class GameState {
 
         // Insert at new position
         this.floors.splice(targetIndex, 0, floor);
+        this.invalidatePlacementLinks();
 
         // Update floor numbers
         this.floors.forEach((f, i) => {
             f.floorNumber = i + 1;
         });
 
-        this.save();
+        this.markDirty();
         return { success: true };
     }
 
@@ -2635,19 +4380,19 @@ class GameState {
         const neededBathrooms = Math.floor(regularFloors / 10);
 
         // If missing bathrooms, 30% chance readers refuse to come
-        if (bathroomCount < neededBathrooms && Math.random() < 0.3) {
+        if (bathroomCount < neededBathrooms && this.rng.next() < 0.3) {
             return null;
         }
 
         let floor, cat, idx;
 
         // If there's an active mission, 60% chance to spawn reader for that mission
-        if (this.currentMission && this.currentMission.status === 'active' && Math.random() < 0.60) {
+        if (this.currentMission && this.currentMission.status === 'active' && this.rng.next() < 0.60) {
             const missionFloor = this.getFloor(this.currentMission.floorId);
             if (missionFloor && missionFloor.status === 'ready') {
                 const missionCategory = missionFloor.bookStock[this.currentMission.categoryIndex];
                 // Check category is stocked AND unlocked by staff
-                const categoryUnlocked = missionFloor.staff.length > this.currentMission.categoryIndex;
+                const categoryUnlocked = this.isCategoryUnlocked(missionFloor, this.currentMission.categoryIndex);
                 if (missionCategory && missionCategory.currentStock > 0 && categoryUnlocked) {
                     // Send reader to mission floor/category
                     floor = missionFloor;
@@ -2660,27 +4405,17 @@ class GameState {
         // If not directed to mission (or mission not available), pick based on preferences
         if (!floor) {
             // First, determine reader type to know their preferences
-            const isVIP = Math.random() < 0.10;
+            const isVIP = this.rng.next() < this.getVIPChance();
             let tempReaderType = null;
 
             if (!isVIP) {
                 // Pick reader type early to get preferences
-                const totalWeight = this.readerTypes.reduce((sum, type) => sum + type.weight, 0);
-                const rand = Math.random() * totalWeight;
-                let cumulative = 0;
-                for (const type of this.readerTypes) {
-                    cumulative += type.weight;
-                    if (rand <= cumulative) {
-                        tempReaderType = type;
-                        break;
-                    }
-                }
-                if (!tempReaderType) tempReaderType = this.readerTypes[0];
+                tempReaderType = this.pickReaderType();
             }
 
             // Filter floors by preference (70% chance to use preferred floor if available)
             let selectedFloors = readyFloors;
-            if (tempReaderType && tempReaderType.preferredFloors && Math.random() < 0.70) {
+            if (tempReaderType && tempReaderType.preferredFloors && this.rng.next() < 0.70) {
                 const preferredFloors = readyFloors.filter(f =>
                     tempReaderType.preferredFloors.includes(f.typeId)
                 );
@@ -2690,16 +4425,16 @@ class GameState {
             }
 
             // Pick a random floor from selection
-            floor = selectedFloors[Math.floor(Math.random() * selectedFloors.length)];
+            floor = selectedFloors[Math.floor(this.rng.next() * selectedFloors.length)];
 
             // Pick a category with stock AND unlocked by staff
             const stockedCategories = floor.bookStock
                 .map((cat, idx) => ({ cat, idx }))
-                .filter(({ cat, idx }) => cat.currentStock > 0 && floor.staff.length > idx);
+                .filter(({ cat, idx }) => cat.currentStock > 0 && this.isCategoryUnlocked(floor, idx));
 
             if (stockedCategories.length === 0) return null;
 
-            const selected = stockedCategories[Math.floor(Math.random() * stockedCategories.length)];
+            const selected = stockedCategories[Math.floor(this.rng.next() * stockedCategories.length)];
             cat = selected.cat;
             idx = selected.idx;
 
@@ -2709,12 +4444,12 @@ class GameState {
         }
 
         // Generate random name
-        const firstName = this.readerNames.first[Math.floor(Math.random() * this.readerNames.first.length)];
-        const lastName = this.readerNames.last[Math.floor(Math.random() * this.readerNames.last.length)];
+        const firstName = this.readerNames.first[Math.floor(this.rng.next() * this.readerNames.first.length)];
+        const lastName = this.readerNames.last[Math.floor(this.rng.next() * this.readerNames.last.length)];
         const fullName = `${firstName} ${lastName}`;
 
         // Determine if VIP - use pre-determined value if available
-        const isVIP = this._pendingIsVIP !== undefined ? this._pendingIsVIP : Math.random() < 0.10;
+        const isVIP = this._pendingIsVIP !== undefined ? this._pendingIsVIP : this.rng.next() < this.getVIPChance();
         let readerType = this._pendingReaderType || null;
         let vipType = null;
 
@@ -2724,7 +4459,7 @@ class GameState {
 
         if (isVIP) {
             // Pick random VIP type (weighted)
-            const rand = Math.random();
+            const rand = this.rng.next();
             let cumulative = 0;
             for (const vip of this.vipTypes) {
                 cumulative += vip.spawnChance;
@@ -2737,37 +4472,30 @@ class GameState {
             if (!vipType) vipType = this.vipTypes[0];
         } else if (!readerType) {
             // Pick regular reader type (weighted) if not already determined
-            const totalWeight = this.readerTypes.reduce((sum, type) => sum + type.weight, 0);
-            const rand = Math.random() * totalWeight;
-            let cumulative = 0;
-            for (const type of this.readerTypes) {
-                cumulative += type.weight;
-                if (rand <= cumulative) {
-                    readerType = type;
-                    break;
-                }
-            }
-            // Fallback to first type if none selected
-            if (!readerType) readerType = this.readerTypes[0];
+            readerType = this.pickReaderType();
         }
 
         // Calculate browse time and earnings based on VIP ability
         // Base browse time varies between 4-12 seconds
-        let browseTime = 4000 + Math.floor(Math.random() * 8000);
+        let browseTime = 4000 + Math.floor(this.rng.next() * 8000);
 
-        // Apply event browse time multiplier
-        browseTime = Math.floor(browseTime * this.getEventEffect('browse_time'));
+        // Apply event, synergy and placement browse time multipliers
+        browseTime = Math.floor(browseTime * this.getEventEffect('browse_time') * this.getSynergyBrowseTime() * this.getPlacementBrowseTime(floor));
 
         // Rush hour bonus: readers browse 2x faster
         if (this.transitSchedule && this.transitSchedule.isRushHour) {
             browseTime = Math.floor(browseTime / 2);
         }
 
-        let earningAmount = Math.max(1, Math.floor(cat.earningRate * 0.3)); // 30% of category earning rate
+        const earningBase = Math.max(1, Math.floor(cat.earningRate * 0.3)); // 30% of category earning rate
+        let earningAmount = earningBase;
+        // Bonuses this reader brings with them, itemized by computeCheckoutEarnings()
+        const earningBonuses = [];
 
         // Rush hour bonus: 2x star earnings
         if (this.transitSchedule && this.transitSchedule.isRushHour) {
             earningAmount *= 2;
+            earningBonuses.push({ id: 'rush_hour', label: 'Rush hour', multiplier: 2 });
         }
 
         if (vipType) {
@@ -2777,13 +4505,17 @@ class GameState {
                     break;
                 case 'double_stars':
                     earningAmount *= 2;
+                    earningBonuses.push({ id: 'vip_double_stars', label: `${vipType.name} (VIP)`, multiplier: 2 });
                     break;
                 // Other abilities handled when reader checks out
             }
         }
 
         // Randomly choose elevator (60%) or stairs (40%)
-        const usesElevator = Math.random() < 0.6;
+        const usesElevator = this.rng.next() < 0.6;
+
+        // Speed Service perk and skilled staff shorten the visit without changing how many books they take
+        const visitTime = Math.floor(browseTime * this.getPerkEffect('checkout_speed') * this.getStaffCheckoutSpeed(floor));
 
         // Checkout time will be set when they arrive on the floor
         let checkoutTime;
@@ -2792,14 +4524,14 @@ class GameState {
 
         if (usesElevator) {
             const elevatorTravelTime = 2000 + (floor.floorNumber * 500);
-            checkoutTime = Date.now() + elevatorTravelTime + browseTime;
+            checkoutTime = this.clock.now() + elevatorTravelTime + visitTime;
             elevatorState = 'waiting';
-            elevatorArrivalTime = Date.now() + elevatorTravelTime;
+            elevatorArrivalTime = this.clock.now() + elevatorTravelTime;
         } else {
             // Stairs - arrive immediately
-            checkoutTime = Date.now() + browseTime;
+            checkoutTime = this.clock.now() + visitTime;
             elevatorState = 'arrived';
-            elevatorArrivalTime = Date.now();
+            elevatorArrivalTime = this.clock.now();
         }
 
         // Determine how many books to check out based on browse time
@@ -2832,6 +4564,8 @@ class GameState {
             vipAbility: vipType ? vipType.ability : null,
             checkoutTime: checkoutTime,
             earningAmount: earningAmount,
+            earningBase: earningBase,
+            earningBonuses: earningBonuses,
             booksToCheckout: booksToCheckout,
             elevatorState: elevatorState,
             elevatorArrivalTime: elevatorArrivalTime,
@@ -2839,7 +4573,7 @@ class GameState {
         };
 
         // Check if this should be a returning regular customer (30% chance if any exist)
-        if (this.regularCustomers.length > 0 && Math.random() < 0.30) {
+        if (this.regularCustomers.length > 0 && this.rng.next() < 0.30) {
             const regularCustomer = this.getReturningCustomer();
             if (regularCustomer) {
                 reader.name = regularCustomer.name;
@@ -2848,6 +4582,7 @@ class GameState {
                 reader.visitCount = regularCustomer.visitCount + 1;
                 reader.favoriteCategory = regularCustomer.favoriteCategory;
                 reader.earningAmount = Math.floor(reader.earningAmount * (1 + regularCustomer.loyaltyBonus));
+                reader.earningBonuses.push({ id: 'loyalty', label: 'Regular customer', multiplier: 1 + regularCustomer.loyaltyBonus });
             }
         }
 
@@ -2861,8 +4596,8 @@ class GameState {
             const cardBonus = this.getLibraryCardBonus(reader.name);
             // Apply faster checkout time for card holders
             if (cardBonus.checkoutBonus < 1) {
-                const timeRemaining = reader.checkoutTime - Date.now();
-                reader.checkoutTime = Date.now() + Math.floor(timeRemaining * cardBonus.checkoutBonus);
+                const timeRemaining = reader.checkoutTime - this.clock.now();
+                reader.checkoutTime = this.clock.now() + Math.floor(timeRemaining * cardBonus.checkoutBonus);
             }
         }
 
@@ -2876,13 +4611,13 @@ class GameState {
     getReturningCustomer() {
         // Prefer customers who haven't visited recently
         const availableCustomers = this.regularCustomers.filter(c => {
-            const timeSinceLastVisit = Date.now() - (c.lastVisit || 0);
+            const timeSinceLastVisit = this.clock.now() - (c.lastVisit || 0);
             return timeSinceLastVisit > 60000; // At least 1 minute since last visit
         });
 
         if (availableCustomers.length === 0) return null;
 
-        return availableCustomers[Math.floor(Math.random() * availableCustomers.length)];
+        return availableCustomers[Math.floor(this.rng.next() * availableCustomers.length)];
     }
 
     /**
@@ -2894,18 +4629,18 @@ class GameState {
         if (existing) {
             // Update existing customer
             existing.visitCount++;
-            existing.lastVisit = Date.now();
+            existing.lastVisit = this.clock.now();
             existing.totalSpent += reader.earningAmount;
             existing.loyaltyBonus = Math.min(0.5, existing.visitCount * 0.05); // Max 50% bonus at 10 visits
         } else {
             // Create new regular customer (10% chance for first-timers to become regulars)
-            if (Math.random() < 0.10) {
+            if (this.rng.next() < 0.10) {
                 this.regularCustomers.push({
                     id: this.customerIdCounter++,
                     name: reader.name,
                     type: reader.type,
                     visitCount: 1,
-                    lastVisit: Date.now(),
+                    lastVisit: this.clock.now(),
                     favoriteCategory: reader.categoryIndex,
                     totalSpent: reader.earningAmount,
                     loyaltyBonus: 0.05 // 5% bonus on next visit
@@ -2927,15 +4662,15 @@ class GameState {
     calculateNextRushHour() {
         const minDelay = 15 * 60 * 1000; // 15 minutes
         const maxDelay = 30 * 60 * 1000; // 30 minutes
-        const delay = minDelay + Math.random() * (maxDelay - minDelay);
-        return Date.now() + delay;
+        const delay = minDelay + this.rng.next() * (maxDelay - minDelay);
+        return this.clock.now() + delay;
     }
 
     /**
      * Check and trigger rush hour
      */
     checkRushHour() {
-        const now = Date.now();
+        const now = this.clock.now();
 
         // Check if rush hour should start
         if (!this.transitSchedule.isRushHour && now >= this.transitSchedule.nextRushHour) {
@@ -2954,15 +4689,15 @@ class GameState {
      */
     startRushHour() {
         this.transitSchedule.isRushHour = true;
-        this.transitSchedule.lastRushHour = Date.now();
+        this.transitSchedule.lastRushHour = this.clock.now();
         this.transitSchedule.currentTransit = this.transitSchedule.transitTypes[
-            Math.floor(Math.random() * this.transitSchedule.transitTypes.length)
+            Math.floor(this.rng.next() * this.transitSchedule.transitTypes.length)
         ];
 
         // Notification
         this._rushHourNotification = {
             message: `${this.transitSchedule.currentTransit} arrived! Rush hour started!`,
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         };
     }
 
@@ -2981,14 +4716,14 @@ class GameState {
     calculateNextBookSale() {
         // First book sale happens after 5 minutes, then every 7 minutes
         const initialDelay = 5 * 60 * 1000;
-        return Date.now() + initialDelay;
+        return this.clock.now() + initialDelay;
     }
 
     /**
      * Check and trigger book sale event
      */
     checkBookSale() {
-        const now = Date.now();
+        const now = this.clock.now();
 
         // Check if book sale should start
         if (!this.bookSale.isActive && now >= this.bookSale.nextSale) {
@@ -3007,12 +4742,12 @@ class GameState {
      */
     startBookSale() {
         this.bookSale.isActive = true;
-        this.bookSale.lastSale = Date.now();
+        this.bookSale.lastSale = this.clock.now();
 
         // Notification
         this._bookSaleNotification = {
             message: '📚 BOOK SALE! Visitors are flooding in! 3x Stars!',
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         };
     }
 
@@ -3022,12 +4757,12 @@ class GameState {
     endBookSale() {
         this.bookSale.isActive = false;
         // Schedule next book sale
-        this.bookSale.nextSale = Date.now() + this.bookSale.interval;
+        this.bookSale.nextSale = this.clock.now() + this.bookSale.interval;
 
         // End notification
         this._bookSaleEndNotification = {
             message: 'Book sale ended! Great turnout!',
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         };
     }
 
@@ -3038,29 +4773,29 @@ class GameState {
         const readyFloors = this.floors.filter(f => f.status === 'ready');
         if (readyFloors.length === 0) {
             // No ready floors, try again later
-            this.nextMissionTime = Date.now() + 60000;
+            this.nextMissionTime = this.clock.now() + 60000;
             return;
         }
 
         // Pick a random floor
-        const floor = readyFloors[Math.floor(Math.random() * readyFloors.length)];
+        const floor = readyFloors[Math.floor(this.rng.next() * readyFloors.length)];
 
         // Pick a random unlocked category
         const unlockedCategories = floor.bookStock
             .map((cat, idx) => ({ cat, idx }))
-            .filter((_, idx) => floor.staff.length > idx);
+            .filter((_, idx) => this.isCategoryUnlocked(floor, idx));
 
         if (unlockedCategories.length === 0) {
             // No unlocked categories, try again later
-            this.nextMissionTime = Date.now() + 60000;
+            this.nextMissionTime = this.clock.now() + 60000;
             return;
         }
 
-        const { cat, idx } = unlockedCategories[Math.floor(Math.random() * unlockedCategories.length)];
+        const { cat, idx } = unlockedCategories[Math.floor(this.rng.next() * unlockedCategories.length)];
 
         // Generate mission details
-        const requestCount = Math.ceil(Math.random() * 3) + 1; // 2-4 books
-        const timeLimit = 180 + Math.floor(Math.random() * 120); // 180-300 seconds (3-5 minutes)
+        const requestCount = Math.ceil(this.rng.next() * 3) + 1; // 2-4 books
+        const timeLimit = 180 + Math.floor(this.rng.next() * 120); // 180-300 seconds (3-5 minutes)
         const reward = Math.ceil(requestCount * cat.earningRate * 2); // 2x normal earnings
 
         this.currentMission = {
@@ -3069,15 +4804,15 @@ class GameState {
             floorName: floor.name,
             categoryIndex: idx,
             categoryName: cat.name,
-            requesterName: this.readerNames.first[Math.floor(Math.random() * this.readerNames.first.length)],
+            requesterName: this.readerNames.first[Math.floor(this.rng.next() * this.readerNames.first.length)],
             requestCount: requestCount,
             progress: 0,
             timeLimit: timeLimit,
             reward: reward,
-            rewardBucks: Math.random() < 0.3 ? 1 : 0, // 30% chance for Tower Buck bonus
+            rewardBucks: this.rng.next() < 0.3 ? 1 : 0, // 30% chance for Tower Buck bonus
             status: 'active', // active, completed, expired
-            startTime: Date.now(),
-            expiryTime: Date.now() + (timeLimit * 1000)
+            startTime: this.clock.now(),
+            expiryTime: this.clock.now() + (timeLimit * 1000)
         };
     }
 
@@ -3124,7 +4859,7 @@ class GameState {
         // Store in history
         this.missionHistory.push({
             ...this.currentMission,
-            completedAt: Date.now()
+            completedAt: this.clock.now()
         });
 
         // Keep only last 10 missions in history
@@ -3136,7 +4871,7 @@ class GameState {
         this.currentMission = null;
 
         // Next mission in 2-5 minutes
-        this.nextMissionTime = Date.now() + (120000 + Math.random() * 180000);
+        this.nextMissionTime = this.clock.now() + (120000 + this.rng.next() * 180000);
     }
 
     /**
@@ -3144,12 +4879,12 @@ class GameState {
      */
     generateEvent() {
         // Pick random event type
-        const eventType = this.eventTypes[Math.floor(Math.random() * this.eventTypes.length)];
+        const eventType = this.eventTypes[Math.floor(this.rng.next() * this.eventTypes.length)];
 
         this.currentEvent = {
             ...eventType,
-            startTime: Date.now(),
-            endTime: Date.now() + eventType.duration
+            startTime: this.clock.now(),
+            endTime: this.clock.now() + eventType.duration
         };
     }
 
@@ -3179,11 +4914,11 @@ class GameState {
         if (readyFloors.length < 1) return; // Need at least 1 floor
 
         // Pick random item type
-        const itemType = this.findMissionItems[Math.floor(Math.random() * this.findMissionItems.length)];
+        const itemType = this.findMissionItems[Math.floor(this.rng.next() * this.findMissionItems.length)];
 
         // Determine how many to find (3-5, but cap at number of floors)
         const maxCount = Math.min(5, readyFloors.length);
-        const count = Math.min(3 + Math.floor(Math.random() * 3), maxCount);
+        const count = Math.min(3 + Math.floor(this.rng.next() * 3), maxCount);
 
         const items = [];
         const usedFloors = new Set();
@@ -3194,7 +4929,7 @@ class GameState {
 
             // Try to find unique floor, allow duplicates if necessary
             do {
-                floor = readyFloors[Math.floor(Math.random() * readyFloors.length)];
+                floor = readyFloors[Math.floor(this.rng.next() * readyFloors.length)];
                 attempts++;
             } while (usedFloors.has(floor.id) && attempts < 20 && usedFloors.size < readyFloors.length);
 
@@ -3208,14 +4943,14 @@ class GameState {
                 emoji: itemType.emoji,
                 color: itemType.color,
                 found: false,
-                x: 0.2 + Math.random() * 0.6, // 20-80% across floor
-                y: 0.3 + Math.random() * 0.4  // 30-70% down floor
+                x: 0.2 + this.rng.next() * 0.6, // 20-80% across floor
+                y: 0.3 + this.rng.next() * 0.4  // 30-70% down floor
             });
         }
 
         // Calculate reward
         const reward = count * 10;
-        const rewardBucks = Math.random() < 0.3 ? 1 : 0;
+        const rewardBucks = this.rng.next() < 0.3 ? 1 : 0;
 
         this.currentFindMission = {
             id: this.generateId(),
@@ -3225,8 +4960,8 @@ class GameState {
             total: count,
             reward: reward,
             rewardBucks: rewardBucks,
-            startTime: Date.now(),
-            expiryTime: Date.now() + 90000 // 90 seconds to find all
+            startTime: this.clock.now(),
+            expiryTime: this.clock.now() + 90000 // 90 seconds to find all
         };
     }
 
@@ -3290,7 +5025,7 @@ class GameState {
         this.currentFindMission = null;
 
         // Next find mission in 2-4 minutes
-        this.nextFindMissionTime = Date.now() + (120000 + Math.random() * 120000);
+        this.nextFindMissionTime = this.clock.now() + (120000 + this.rng.next() * 120000);
     }
 
     /**
@@ -3300,9 +5035,9 @@ class GameState {
         if (this.floors.length === 0) return;
 
         // Pick random visitor type
-        const visitorType = this.specialVisitorTypes[Math.floor(Math.random() * this.specialVisitorTypes.length)];
+        const visitorType = this.specialVisitorTypes[Math.floor(this.rng.next() * this.specialVisitorTypes.length)];
 
-        const now = Date.now();
+        const now = this.clock.now();
         const visitor = {
             id: this.generateId(),
             type: visitorType.id,
@@ -3313,7 +5048,7 @@ class GameState {
             thoughts: visitorType.thoughts,
             startTime: now,
             endTime: now + visitorType.duration,
-            currentFloorIndex: Math.floor(Math.random() * this.floors.length),
+            currentFloorIndex: Math.floor(this.rng.next() * this.floors.length),
             nextMoveTime: now + 5000,
             x: 0.5 // Position on floor (0-1)
         };
@@ -3324,7 +5059,7 @@ class GameState {
         this._newSpecialVisitor = visitor;
 
         // Next visitor in 3-6 minutes
-        this.nextSpecialVisitorTime = now + (180000 + Math.random() * 180000);
+        this.nextSpecialVisitorTime = now + (180000 + this.rng.next() * 180000);
     }
 
     /**
@@ -3412,11 +5147,11 @@ class GameState {
             targetMood -= Math.floor(avgTrash / 5); // -1 mood per 5 avg trash
         }
 
-        // Boost from bathrooms
-        const bathroomCount = this.floors.filter(f =>
-            f.typeId === 'bathroom' && f.status === 'ready'
-        ).length;
-        targetMood += bathroomCount * 5;
+        // Boost from bathrooms (spread out ones work better)
+        targetMood += this.getEffectiveBathroomCount() * 5;
+
+        // Penalty for noisy floors next to quiet ones
+        targetMood -= this.getNoisePenalty();
 
         // Boost during events
         if (this.currentEvent) targetMood += 15;
@@ -3435,6 +5170,15 @@ class GameState {
         // Boost during rush hour
         if (this.transitSchedule.isRushHour) targetMood += 10;
 
+        // Boost from staff morale upgrades (Break Room, Staff Lounge)
+        targetMood += this.getUpgradeBonus('mood_bonus');
+
+        // Skilled staff keep readers happy (and green ones frustrate them)
+        targetMood += this.getStaffMoodBonus();
+
+        // Nobody on shift to help
+        targetMood -= this.getUnderstaffedMoodPenalty();
+
         // Clamp target
         targetMood = Math.max(0, Math.min(100, targetMood));
 
@@ -3511,7 +5255,13 @@ class GameState {
             f.typeId === 'bathroom' && f.status === 'ready'
         ).length;
         if (bathroomCount > 0) {
-            factors.push({ name: `Bathrooms (${bathroomCount})`, value: bathroomCount * 5, emoji: '🚻' });
+            factors.push({ name: `Bathrooms (${bathroomCount})`, value: this.getEffectiveBathroomCount() * 5, emoji: '🚻' });
+        }
+
+        // Noisy neighbors
+        const noisePenalty = this.getNoisePenalty();
+        if (noisePenalty > 0) {
+            factors.push({ name: 'Noisy Neighbors', value: -noisePenalty, emoji: '🔊' });
         }
 
         // Event boost
@@ -3541,6 +5291,24 @@ class GameState {
             factors.push({ name: 'Rush Hour', value: 10, emoji: '🚇' });
         }
 
+        // Staff morale upgrades
+        const moraleBonus = this.getUpgradeBonus('mood_bonus');
+        if (moraleBonus > 0) {
+            factors.push({ name: 'Staff Morale', value: moraleBonus, emoji: '☕' });
+        }
+
+        // Staff skill
+        const skillBonus = this.getStaffMoodBonus();
+        if (skillBonus !== 0) {
+            factors.push({ name: skillBonus > 0 ? 'Skilled Staff' : 'Inexperienced Staff', value: skillBonus, emoji: '🎓' });
+        }
+
+        // Floors with nobody on shift
+        const understaffedPenalty = this.getUnderstaffedMoodPenalty();
+        if (understaffedPenalty > 0) {
+            factors.push({ name: 'Understaffed Floors', value: -understaffedPenalty, emoji: '🕐' });
+        }
+
         // Calculate total
         const total = factors.reduce((sum, f) => sum + f.value, 0);
 
@@ -3624,7 +5392,7 @@ class GameState {
             if (floor.status === 'ready') {
                 floor.bookStock.forEach((cat, idx) => {
                     // Only check unlocked categories
-                    if (floor.staff.length > idx && cat.currentStock === 0 && !cat.restocking) {
+                    if (this.isCategoryUnlocked(floor, idx) && cat.currentStock === 0 && !cat.restocking) {
                         problems.push({
                             emoji: '📚',
                             text: `${floor.name} out of ${cat.name}`,
@@ -3639,7 +5407,7 @@ class GameState {
         // Check for floors without staff
         this.floors.forEach(floor => {
             if (floor.status === 'ready' && !floor.typeId?.includes('bathroom') && !floor.typeId?.includes('basement')) {
-                if (floor.staff.length === 0) {
+                if (this.getFloorStaff(floor).length === 0) {
                     problems.push({
                         emoji: '👤',
                         text: `${floor.name} has no staff`,
@@ -3760,16 +5528,8 @@ class GameState {
      * Get cleaning power from basement staff
      */
     getCleaningPower(basement) {
-        if (!basement || !basement.staff) return 0;
-
-        let power = 0;
-        basement.staff.forEach(staffMember => {
-            // Support both old string format and new object format
-            const isCustodian = staffMember === 'Custodian' ||
-                (staffMember && staffMember.typeId === 'custodian');
-            if (isCustodian) power += 30; // Each custodian adds cleaning power
-        });
-        return power > 0 ? power : 0;
+        // Each custodian adds 30 cleaning power
+        return this.getFloorStaff(basement).filter(member => member.typeId === 'custodian').length * 30;
     }
 
     /**
@@ -3785,10 +5545,8 @@ class GameState {
         const basement = this.floors.find(f => f.typeId === 'basement' && f.status === 'ready');
         if (!basement) return;
 
-        // Count custodians (support both old string format and new object format)
-        const custodianCount = basement.staff.filter(s =>
-            s === 'Custodian' || (s && s.typeId === 'custodian')
-        ).length;
+        // Count custodians on shift
+        const custodianCount = this.getOnDutyStaff(basement).filter(member => member.typeId === 'custodian').length;
         if (custodianCount === 0) return;
 
         // Find dirty floors (trash > 0), sorted by most dirty first
@@ -3813,17 +5571,12 @@ class GameState {
      * Check for random incidents and fix them with appropriate staff
      */
     checkIncidents() {
-        // Find basement staff (support both old string format and new object format)
+        // Find basement staff
         const basement = this.floors.find(f => f.typeId === 'basement' && f.status === 'ready');
-        const hasElectrician = basement && basement.staff.some(s =>
-            s === 'Electrician' || (s && s.typeId === 'electrician')
-        );
-        const hasPlumber = basement && basement.staff.some(s =>
-            s === 'Plumber' || (s && s.typeId === 'plumber')
-        );
-        const hasCustodian = basement && basement.staff.some(s =>
-            s === 'Custodian' || (s && s.typeId === 'custodian')
-        );
+        const basementStaff = this.getFloorStaff(basement);
+        const hasElectrician = basementStaff.some(member => member.typeId === 'electrician');
+        const hasPlumber = basementStaff.some(member => member.typeId === 'plumber');
+        const hasCustodian = basementStaff.some(member => member.typeId === 'custodian');
 
         // Check if there's already an active incident - only allow one at a time
         const hasActiveIncident = this.floors.some(floor =>
@@ -3842,8 +5595,8 @@ class GameState {
         if (!this._lastIncidentFixed) {
             this._lastIncidentFixed = 0;
         }
-        const timeSinceLastIncident = Date.now() - this._lastIncidentFixed;
-        const incidentCooldown = 120000 + Math.random() * 60000; // 2-3 minutes
+        const timeSinceLastIncident = this.clock.now() - this._lastIncidentFixed;
+        const incidentCooldown = 120000 + this.rng.next() * 60000; // 2-3 minutes
         const canSpawnIncident = timeSinceLastIncident > incidentCooldown;
 
         // Incident types with their properties
@@ -3869,20 +5622,20 @@ class GameState {
                         const chance = incident.hasFixer ? incident.baseChance * 0.1 : incident.baseChance;
 
                         // Random chance of incident
-                        if (!floor.incidents[incident.id] && Math.random() < chance) {
+                        if (!floor.incidents[incident.id] && this.rng.next() < chance) {
                             // Calculate fix time at creation so it's deterministic
                             let fixDuration;
                             switch(incident.id) {
-                                case 'powerOut': fixDuration = 30000 + Math.random() * 30000; break;
-                                case 'brokenWindow': fixDuration = 45000 + Math.random() * 45000; break;
-                                case 'messySpill': fixDuration = 20000 + Math.random() * 20000; break;
-                                case 'bugInfestation': fixDuration = 60000 + Math.random() * 30000; break;
-                                case 'fireAlarm': fixDuration = 60000 + Math.random() * 60000; break;
+                                case 'powerOut': fixDuration = 30000 + this.rng.next() * 30000; break;
+                                case 'brokenWindow': fixDuration = 45000 + this.rng.next() * 45000; break;
+                                case 'messySpill': fixDuration = 20000 + this.rng.next() * 20000; break;
+                                case 'bugInfestation': fixDuration = 60000 + this.rng.next() * 30000; break;
+                                case 'fireAlarm': fixDuration = 60000 + this.rng.next() * 60000; break;
                                 default: fixDuration = 30000;
                             }
                             floor.incidents[incident.id] = {
-                                startTime: Date.now(),
-                                fixTime: Date.now() + fixDuration
+                                startTime: this.clock.now(),
+                                fixTime: this.clock.now() + fixDuration
                             };
                             this._newIncident = {
                                 floor: floor.name,
@@ -3900,11 +5653,11 @@ class GameState {
                     if (!floor.incidents) floor.incidents = {};
 
                     const floodChance = hasPlumber ? 0.001 : 0.005;
-                    if (!floor.incidents.flooded && Math.random() < floodChance) {
-                        const fixDuration = 45000 + Math.random() * 45000;
+                    if (!floor.incidents.flooded && this.rng.next() < floodChance) {
+                        const fixDuration = 45000 + this.rng.next() * 45000;
                         floor.incidents.flooded = {
-                            startTime: Date.now(),
-                            fixTime: Date.now() + fixDuration
+                            startTime: this.clock.now(),
+                            fixTime: this.clock.now() + fixDuration
                         };
                         this._newIncident = {
                             floor: floor.name,
@@ -3924,10 +5677,10 @@ class GameState {
             if (hasElectrician && floor.incidents.powerOut) {
                 // Use fixTime if available, otherwise fall back to old calculation for existing incidents
                 const fixTime = floor.incidents.powerOut.fixTime || (floor.incidents.powerOut.startTime + 45000);
-                if (Date.now() > fixTime) {
+                if (this.clock.now() > fixTime) {
                     delete floor.incidents.powerOut;
                     this._incidentFixed = { floor: floor.name, emoji: '⚡', type: 'Power restored' };
-                    this._lastIncidentFixed = Date.now();
+                    this._lastIncidentFixed = this.clock.now();
                 }
             }
 
@@ -3935,26 +5688,26 @@ class GameState {
             if (hasCustodian) {
                 if (floor.incidents.brokenWindow) {
                     const fixTime = floor.incidents.brokenWindow.fixTime || (floor.incidents.brokenWindow.startTime + 67500);
-                    if (Date.now() > fixTime) {
+                    if (this.clock.now() > fixTime) {
                         delete floor.incidents.brokenWindow;
                         this._incidentFixed = { floor: floor.name, emoji: '🪟', type: 'Window fixed' };
-                        this._lastIncidentFixed = Date.now();
+                        this._lastIncidentFixed = this.clock.now();
                     }
                 }
                 if (floor.incidents.messySpill) {
                     const fixTime = floor.incidents.messySpill.fixTime || (floor.incidents.messySpill.startTime + 30000);
-                    if (Date.now() > fixTime) {
+                    if (this.clock.now() > fixTime) {
                         delete floor.incidents.messySpill;
                         this._incidentFixed = { floor: floor.name, emoji: '🧹', type: 'Spill cleaned' };
-                        this._lastIncidentFixed = Date.now();
+                        this._lastIncidentFixed = this.clock.now();
                     }
                 }
                 if (floor.incidents.bugInfestation) {
                     const fixTime = floor.incidents.bugInfestation.fixTime || (floor.incidents.bugInfestation.startTime + 75000);
-                    if (Date.now() > fixTime) {
+                    if (this.clock.now() > fixTime) {
                         delete floor.incidents.bugInfestation;
                         this._incidentFixed = { floor: floor.name, emoji: '🐜', type: 'Bugs exterminated' };
-                        this._lastIncidentFixed = Date.now();
+                        this._lastIncidentFixed = this.clock.now();
                     }
                 }
             }
@@ -3962,20 +5715,20 @@ class GameState {
             // Fire alarm auto-resets
             if (floor.incidents.fireAlarm) {
                 const fixTime = floor.incidents.fireAlarm.fixTime || (floor.incidents.fireAlarm.startTime + 90000);
-                if (Date.now() > fixTime) {
+                if (this.clock.now() > fixTime) {
                     delete floor.incidents.fireAlarm;
                     this._incidentFixed = { floor: floor.name, emoji: '🚨', type: 'Alarm reset' };
-                    this._lastIncidentFixed = Date.now();
+                    this._lastIncidentFixed = this.clock.now();
                 }
             }
 
             // Plumber fixes floods
             if (hasPlumber && floor.incidents.flooded) {
                 const fixTime = floor.incidents.flooded.fixTime || (floor.incidents.flooded.startTime + 67500);
-                if (Date.now() > fixTime) {
+                if (this.clock.now() > fixTime) {
                     delete floor.incidents.flooded;
                     this._incidentFixed = { floor: floor.name, emoji: '🔧', type: 'Flood fixed' };
-                    this._lastIncidentFixed = Date.now();
+                    this._lastIncidentFixed = this.clock.now();
                 }
             }
         });
@@ -4008,7 +5761,7 @@ class GameState {
      * Update weather system
      */
     updateWeather() {
-        const now = Date.now();
+        const now = this.clock.now();
         if (now >= this.weather.nextChange) {
             // Change weather
             const oldWeather = this.weather.current;
@@ -4016,7 +5769,7 @@ class GameState {
 
             // Weight towards rainy/cloudy - libraries are busier when people want to stay indoors
             const weights = [0.15, 0.25, 0.35, 0.15, 0.1]; // sunny, cloudy, rainy, stormy, snowy
-            const random = Math.random();
+            const random = this.rng.next();
             let cumulative = 0;
             let newWeatherIndex = 0;
 
@@ -4029,7 +5782,7 @@ class GameState {
             }
 
             this.weather.current = weatherTypes[newWeatherIndex].id;
-            this.weather.nextChange = now + (3 + Math.random() * 4) * 60 * 1000; // 3-7 minutes
+            this.weather.nextChange = now + (3 + this.rng.next() * 4) * 60 * 1000; // 3-7 minutes
 
             // Notify if weather changed
             if (this.weather.current !== oldWeather) {
@@ -4050,7 +5803,7 @@ class GameState {
      * Get time until next weather change (in seconds)
      */
     getTimeUntilWeatherChange() {
-        return Math.max(0, Math.ceil((this.weather.nextChange - Date.now()) / 1000));
+        return Math.max(0, Math.ceil((this.weather.nextChange - this.clock.now()) / 1000));
     }
 
     /**
@@ -4223,7 +5976,7 @@ class GameState {
      * Check and trigger book donations
      */
     checkBookDonation() {
-        const now = Date.now();
+        const now = this.clock.now();
         if (now < this.nextDonationTime) return;
 
         // Get floors that can receive donations (not full)
@@ -4239,12 +5992,12 @@ class GameState {
         }
 
         // Pick a random floor and category
-        const floor = eligibleFloors[Math.floor(Math.random() * eligibleFloors.length)];
+        const floor = eligibleFloors[Math.floor(this.rng.next() * eligibleFloors.length)];
         const notFullCategories = floor.bookStock.filter(cat => cat.currentStock < cat.maxStock);
-        const category = notFullCategories[Math.floor(Math.random() * notFullCategories.length)];
+        const category = notFullCategories[Math.floor(this.rng.next() * notFullCategories.length)];
 
         // Pick a random donation source
-        const source = this.donationSources[Math.floor(Math.random() * this.donationSources.length)];
+        const source = this.donationSources[Math.floor(this.rng.next() * this.donationSources.length)];
 
         // Add books (up to max stock)
         const spaceAvailable = category.maxStock - category.currentStock;
@@ -4262,7 +6015,7 @@ class GameState {
         };
 
         // Schedule next donation (2-4 minutes)
-        this.nextDonationTime = now + (120 * 1000 + Math.random() * 120 * 1000);
+        this.nextDonationTime = now + (120 * 1000 + this.rng.next() * 120 * 1000);
     }
 
     /**
@@ -4288,8 +6041,8 @@ class GameState {
                 type: readerType,
                 visits: 0,
                 totalStars: 0,
-                firstVisit: Date.now(),
-                lastVisit: Date.now()
+                firstVisit: this.clock.now(),
+                lastVisit: this.clock.now()
             };
             this.libraryCards.push(cardHolder);
             isNewCard = true;
@@ -4303,7 +6056,7 @@ class GameState {
         // Increment visits
         const oldVisits = cardHolder.visits;
         cardHolder.visits += 1;
-        cardHolder.lastVisit = Date.now();
+        cardHolder.lastVisit = this.clock.now();
 
         // Check for milestone
         for (const benefit of this.cardBenefits) {
@@ -4371,7 +6124,7 @@ class GameState {
         const daysSinceLastEvent = currentDay - this.lastEventHallDay;
 
         // Trigger event every 2-3 days (random)
-        const eventInterval = 2 + Math.floor(Math.random() * 2); // 2 or 3
+        const eventInterval = 2 + Math.floor(this.rng.next() * 2); // 2 or 3
 
         if (daysSinceLastEvent >= eventInterval && !this.currentHallEvent) {
             this.triggerHallEvent();
@@ -4383,8 +6136,8 @@ class GameState {
      * Trigger a random Event Hall event
      */
     triggerHallEvent() {
-        const eventType = this.hallEventTypes[Math.floor(Math.random() * this.hallEventTypes.length)];
-        const now = Date.now();
+        const eventType = this.hallEventTypes[Math.floor(this.rng.next() * this.hallEventTypes.length)];
+        const now = this.clock.now();
 
         this.currentHallEvent = {
             id: this.generateId(),
@@ -4418,7 +6171,7 @@ class GameState {
     updateHallEvent() {
         if (!this.currentHallEvent) return;
 
-        const now = Date.now();
+        const now = this.clock.now();
         if (now >= this.currentHallEvent.endTime) {
             // Award reward stars
             this.stars += this.currentHallEvent.reward;
@@ -4436,62 +6189,280 @@ class GameState {
     }
 
     /**
-     * Check which floor synergies are active
+     * Synergies formed by a list of floors (in tower order, top first)
+     * Returns [{ ...synergy, floorIds }] where floorIds are the floors that formed it.
+     */
+    findSynergies(floors) {
+        const ready = floors.filter(f => f.status === 'ready');
+        // The basement sits under the lobby, so it has no neighbor in the tower
+        const stacked = floors.filter(f => f.typeId !== 'basement');
+        const found = [];
+
+        this.floorSynergies.forEach(synergy => {
+            let floorIds = [];
+
+            if (synergy.requires) {
+                // Check if all required floors are present
+                const hasAll = synergy.requires.every(req => ready.some(f => f.typeId === req));
+                if (hasAll) {
+                    floorIds = ready.filter(f => synergy.requires.includes(f.typeId)).map(f => f.id);
+                }
+            } else if (synergy.adjacent) {
+                const [groupA, groupB] = synergy.adjacent;
+                for (let i = 0; i < stacked.length - 1; i++) {
+                    const upper = stacked[i];
+                    const lower = stacked[i + 1];
+                    if (upper.status !== 'ready' || lower.status !== 'ready') continue;
+
+                    const paired = (groupA.includes(upper.typeId) && groupB.includes(lower.typeId)) ||
+                        (groupB.includes(upper.typeId) && groupA.includes(lower.typeId));
+                    if (paired) {
+                        [upper.id, lower.id].forEach(id => {
+                            if (!floorIds.includes(id)) floorIds.push(id);
+                        });
+                    }
+                }
+            }
+
+            if (floorIds.length > 0) {
+                found.push({ ...synergy, floorIds });
+            }
+        });
+
+        return found;
+    }
+
+    /**
+     * Check which floor synergies are active
+     */
+    checkFloorSynergies() {
+        const newSynergies = this.findSynergies(this.floors);
+        // Keep the same array while nothing changed, so caches keyed on it (placement links) stay valid
+        const signature = synergies => synergies.map(s => `${s.id}:${s.floorIds.join(',')}`).join('|');
+        if (signature(newSynergies) === signature(this.activeSynergies)) return;
+
+        const previousIds = this.activeSynergies.map(s => s.id);
+
+        newSynergies.forEach(synergy => {
+            // Notify if newly activated
+            if (!previousIds.includes(synergy.id)) {
+                this._newSynergy = synergy;
+            }
+        });
+
+        this.activeSynergies = newSynergies;
+    }
+
+    /**
+     * Synergies a new floor of this type would complete if built now (it goes on top of the tower)
+     */
+    previewSynergies(floorTypeId) {
+        const previewFloor = { id: '_preview', typeId: floorTypeId, status: 'ready' };
+        const activeIds = this.activeSynergies.map(s => s.id);
+        // Floors still under construction will be open by then
+        const floors = this.floors.map(f => f.status === 'building' ? { ...f, status: 'ready' } : f);
+
+        return this.findSynergies([previewFloor, ...floors]).filter(synergy => {
+            if (!synergy.floorIds.includes(previewFloor.id)) return false;
+            // A building-wide synergy only counts if it isn't already active;
+            // an adjacent pair is new wherever it forms
+            return synergy.adjacent || !activeIds.includes(synergy.id);
+        });
+    }
+
+    /**
+     * Get synergy star bonus for a floor
+     */
+    getSynergyBonus(floor) {
+        let bonus = 1;
+
+        this.activeSynergies.forEach(synergy => {
+            if (synergy.effect.type !== 'star_bonus') return;
+
+            const applies = synergy.adjacent
+                ? (synergy.floorIds || []).includes(floor.id)
+                : (synergy.effect.floors || []).includes(floor.typeId);
+            if (applies) {
+                bonus *= synergy.effect.value;
+            }
+        });
+
+        return bonus;
+    }
+
+    /**
+     * Get synergy spawn multiplier for a reader type
+     */
+    getSynergySpawnBonus(readerType) {
+        let multiplier = 1;
+
+        this.activeSynergies.forEach(synergy => {
+            if (synergy.effect.type === 'spawn_bonus' && synergy.effect.readerType === readerType) {
+                multiplier *= synergy.effect.value;
+            }
+        });
+
+        return multiplier;
+    }
+
+    /**
+     * Get synergy browse time multiplier
+     */
+    getSynergyBrowseTime() {
+        let multiplier = 1;
+
+        this.activeSynergies.forEach(synergy => {
+            if (synergy.effect.type === 'browse_time') {
+                multiplier *= synergy.effect.value;
+            }
+        });
+
+        return multiplier;
+    }
+
+    /**
+     * Links between floors created by where they sit in the tower
+     * Returns [{ type, fromId, toId, positive, emoji, label }] - fromId is the floor causing the effect.
+     * Cached until the floors or synergies change (read-only - filter it, don't modify it).
      */
-    checkFloorSynergies() {
-        const floorTypes = this.floors
-            .filter(f => f.status === 'ready')
-            .map(f => f.type);
+    getPlacementLinks() {
+        const cache = this._placementLinks;
+        if (cache && cache.floors === this.floors && cache.synergies === this.activeSynergies) {
+            return cache.links;
+        }
 
-        const newSynergies = [];
-        const previousIds = this.activeSynergies.map(s => s.id);
+        const rules = this.placementRules;
+        const stacked = this.floors.filter(f => f.typeId !== 'basement');
+        const links = [];
 
-        this.floorSynergies.forEach(synergy => {
-            // Check if all required floors are present
-            const hasAll = synergy.requires.every(req => floorTypes.includes(req));
-            if (hasAll) {
-                newSynergies.push(synergy);
-
-                // Notify if newly activated
-                if (!previousIds.includes(synergy.id)) {
-                    this._newSynergy = synergy;
+        for (let i = 0; i < stacked.length - 1; i++) {
+            const upper = stacked[i];
+            const lower = stacked[i + 1];
+            if (upper.status !== 'ready' || lower.status !== 'ready') continue;
+
+            // Check the pair both ways round
+            [[upper, lower], [lower, upper]].forEach(([from, to]) => {
+                if (rules.cafes.includes(from.typeId) && rules.reading.includes(to.typeId)) {
+                    links.push({ type: 'cafe', fromId: from.id, toId: to.id, positive: true, emoji: '☕', label: 'Readers browse longer' });
                 }
+                if (rules.noisy.includes(from.typeId) && rules.quiet.includes(to.typeId)) {
+                    links.push({ type: 'noise', fromId: from.id, toId: to.id, positive: false, emoji: '🔊', label: `Noise: -${rules.noisePenalty} mood` });
+                }
+            });
+
+            if (upper.typeId === 'bathroom' && lower.typeId === 'bathroom') {
+                links.push({ type: 'stacked_bathrooms', fromId: upper.id, toId: lower.id, positive: false, emoji: '🚻', label: 'Restrooms too close together' });
             }
+
+            this.activeSynergies.forEach(synergy => {
+                if (!synergy.adjacent) return;
+                const [groupA, groupB] = synergy.adjacent;
+                if ((groupA.includes(upper.typeId) && groupB.includes(lower.typeId)) ||
+                    (groupB.includes(upper.typeId) && groupA.includes(lower.typeId))) {
+                    links.push({ type: 'synergy', fromId: upper.id, toId: lower.id, positive: true, emoji: '✨', label: synergy.name });
+                }
+            });
+        }
+
+        // Special rooms that boost the floors around them (Study Room, Event Hall)
+        stacked.forEach((floor, index) => {
+            const effect = this.getSpecialRoomEffect(floor);
+            if (!effect || !effect.range) return;
+
+            stacked.forEach((other, otherIndex) => {
+                const distance = Math.abs(otherIndex - index);
+                if (distance === 0 || distance > effect.range || other.status !== 'ready') return;
+                // Only floors readers visit (ones that sell something) are affected
+                if (!other.bookStock || other.bookStock.length === 0) return;
+                links.push({
+                    type: effect.type, fromId: floor.id, toId: other.id, positive: true,
+                    emoji: effect.emoji, label: `${effect.name}: ${effect.multiplier}x ${effect.unit}`,
+                    multiplier: effect.multiplier
+                });
+            });
         });
 
-        this.activeSynergies = newSynergies;
+        this._placementLinks = { floors: this.floors, synergies: this.activeSynergies, links: links };
+        return links;
     }
 
     /**
-     * Get synergy bonus for a floor type
+     * Drop the cached placement links after floors are added, removed, moved, finished or upgraded
+     * Replacing the floors or synergies array (load, import, reset) invalidates the cache by itself.
      */
-    getSynergyBonus(floorType) {
-        let bonus = 1;
+    invalidatePlacementLinks() {
+        this._placementLinks = null;
+    }
 
-        this.activeSynergies.forEach(synergy => {
-            if (synergy.effect.type === 'star_bonus' &&
-                synergy.effect.floors &&
-                synergy.effect.floors.includes(floorType)) {
-                bonus *= synergy.effect.value;
-            }
-        });
+    /**
+     * Browse time multiplier from a floor's neighbors (cafés next to reading floors, Study Rooms)
+     */
+    getPlacementBrowseTime(floor) {
+        const links = this.getPlacementLinks().filter(l => l.toId === floor.id);
+        const nearCafe = links.some(l => l.type === 'cafe');
 
-        return bonus;
+        return links
+            .filter(l => l.type === 'extended_visits')
+            .reduce((multiplier, l) => multiplier * l.multiplier, nearCafe ? this.placementRules.cafeBrowseTime : 1);
     }
 
     /**
-     * Get synergy browse time multiplier
+     * Star multiplier from special rooms next to a floor (Event Hall)
      */
-    getSynergyBrowseTime() {
-        let multiplier = 1;
+    getPlacementStarBonus(floor) {
+        return this.getPlacementLinks()
+            .filter(l => l.type === 'nearby_boost' && l.toId === floor.id)
+            .reduce((bonus, l) => bonus * l.multiplier, 1);
+    }
 
-        this.activeSynergies.forEach(synergy => {
-            if (synergy.effect.type === 'browse_time') {
-                multiplier *= synergy.effect.value;
-            }
-        });
+    /**
+     * Current effect of a ready special room at its upgrade level
+     * Returns { type, multiplier, range, unit, level, name, emoji } or null for other floors.
+     */
+    getSpecialRoomEffect(floor, level = floor.upgradeLevel || 1) {
+        const floorType = this.floorTypes.find(t => t.id === floor.typeId);
+        if (!floorType || !floorType.isSpecialRoom || floor.status !== 'ready') return null;
 
-        return multiplier;
+        const levels = floorType.bonus.levels;
+        const tier = levels[Math.min(level, levels.length) - 1];
+        return {
+            type: floorType.bonus.type,
+            multiplier: tier.multiplier,
+            range: tier.range,
+            unit: floorType.bonus.unit,
+            level: level,
+            name: floorType.name,
+            emoji: floorType.emoji
+        };
+    }
+
+    /**
+     * Spawn multiplier from Maker Spaces (stacks per room)
+     */
+    getSpecialRoomSpawnBonus() {
+        return this.floors.reduce((multiplier, floor) => {
+            const effect = this.getSpecialRoomEffect(floor);
+            return effect && effect.type === 'reader_magnet' ? multiplier * effect.multiplier : multiplier;
+        }, 1);
+    }
+
+    /**
+     * Library mood lost to noisy floors next to quiet ones
+     */
+    getNoisePenalty() {
+        return this.getPlacementLinks().filter(l => l.type === 'noise').length * this.placementRules.noisePenalty;
+    }
+
+    /**
+     * Ready restrooms, with ones stacked next to another restroom counting less
+     */
+    getEffectiveBathroomCount() {
+        const stacked = this.getPlacementLinks().filter(l => l.type === 'stacked_bathrooms');
+
+        return this.floors.filter(f => f.typeId === 'bathroom' && f.status === 'ready').reduce((count, floor) => {
+            const crowded = stacked.some(l => l.fromId === floor.id || l.toId === floor.id);
+            return count + (crowded ? this.placementRules.stackedBathroomValue : 1);
+        }, 0);
     }
 
     /**
@@ -4499,7 +6470,7 @@ class GameState {
      */
     triggerCozyEvent() {
         // Pick random event
-        const event = this.cozyEvents[Math.floor(Math.random() * this.cozyEvents.length)];
+        const event = this.cozyEvents[Math.floor(this.rng.next() * this.cozyEvents.length)];
 
         // Execute effect
         event.effect();
@@ -4508,7 +6479,7 @@ class GameState {
         this._cozyEvent = event;
 
         // Next cozy event in 2-5 minutes
-        this.nextCozyEventTime = Date.now() + (120000 + Math.random() * 180000);
+        this.nextCozyEventTime = this.clock.now() + (120000 + this.rng.next() * 180000);
     }
 
     /**
@@ -4519,10 +6490,10 @@ class GameState {
         if (readyFloors.length === 0) return;
 
         // Pick random quest type
-        const questType = this.miniQuestTypes[Math.floor(Math.random() * this.miniQuestTypes.length)];
+        const questType = this.miniQuestTypes[Math.floor(this.rng.next() * this.miniQuestTypes.length)];
 
         // Pick random floor
-        const floor = readyFloors[Math.floor(Math.random() * readyFloors.length)];
+        const floor = readyFloors[Math.floor(this.rng.next() * readyFloors.length)];
 
         this.currentMiniQuest = {
             id: this.generateId(),
@@ -4533,10 +6504,10 @@ class GameState {
             reward: questType.reward,
             rewardBucks: questType.rewardBucks,
             floorId: floor.id,
-            x: 0.2 + Math.random() * 0.6, // Position on floor
-            y: 0.3 + Math.random() * 0.4,
-            startTime: Date.now(),
-            expiryTime: Date.now() + 60000 // 60 seconds to complete
+            x: 0.2 + this.rng.next() * 0.6, // Position on floor
+            y: 0.3 + this.rng.next() * 0.4,
+            startTime: this.clock.now(),
+            expiryTime: this.clock.now() + 60000 // 60 seconds to complete
         };
     }
 
@@ -4562,7 +6533,7 @@ class GameState {
         this.currentMiniQuest = null;
 
         // Next mini-quest in 1-3 minutes
-        this.nextMiniQuestTime = Date.now() + (60000 + Math.random() * 120000);
+        this.nextMiniQuestTime = this.clock.now() + (60000 + this.rng.next() * 120000);
     }
 
     /**
@@ -4584,7 +6555,7 @@ class GameState {
             const newLevel = this.prestigeLevels.find(l => l.id === newPrestige);
             this.currentPrestige = newPrestige;
             this._prestigeUpgrade = { from: oldLevel, to: newLevel };
-            this.save();
+            this.markDirty();
         }
     }
 
@@ -4627,8 +6598,9 @@ class GameState {
         }
 
         this.stars -= decoration.cost;
+        this.recordExpense('shop', decoration.cost);
         this.ownedDecorations.push(decorationId);
-        this.save();
+        this.saveNow();
         return { success: true };
     }
 
@@ -4654,7 +6626,7 @@ class GameState {
         }
 
         this.lobbyDecorations.push(decorationId);
-        this.save();
+        this.markDirty();
         return { success: true };
     }
 
@@ -4666,7 +6638,7 @@ class GameState {
         if (index === -1) return { success: false, error: 'Not in lobby' };
 
         this.lobbyDecorations.splice(index, 1);
-        this.save();
+        this.markDirty();
         return { success: true };
     }
 
@@ -4696,9 +6668,10 @@ class GameState {
             return { success: false, error: 'Already on this floor' };
         }
 
-        // Check limit (2 per floor)
-        if (this.floorDecorations[floorId].length >= 2) {
-            return { success: false, error: 'Floor is full (max 2)' };
+        // Check limit (2 per floor, more with upgrades)
+        const slots = this.getDecorationSlots(floor);
+        if (this.floorDecorations[floorId].length >= slots) {
+            return { success: false, error: `Floor is full (max ${slots})` };
         }
 
         // Remove from lobby and other floors first
@@ -4710,7 +6683,7 @@ class GameState {
         }
 
         this.floorDecorations[floorId].push(decorationId);
-        this.save();
+        this.markDirty();
         return { success: true };
     }
 
@@ -4726,7 +6699,7 @@ class GameState {
         if (index === -1) return { success: false, error: 'Not on this floor' };
 
         this.floorDecorations[floorId].splice(index, 1);
-        this.save();
+        this.markDirty();
         return { success: true };
     }
 
@@ -4765,8 +6738,9 @@ class GameState {
         }
 
         this.stars -= theme.cost;
+        this.recordExpense('shop', theme.cost);
         this.unlockedThemes.push(themeId);
-        this.save();
+        this.saveNow();
         return { success: true };
     }
 
@@ -4778,7 +6752,7 @@ class GameState {
             return { success: false, error: 'Theme not unlocked' };
         }
         this.activeTheme = themeId;
-        this.save();
+        this.markDirty();
         return { success: true };
     }
 
@@ -4798,8 +6772,9 @@ class GameState {
         }
 
         this.stars -= perk.cost;
+        this.recordExpense('shop', perk.cost);
         this.unlockedPerks.push(perkId);
-        this.save();
+        this.saveNow();
         return { success: true };
     }
 
@@ -4816,7 +6791,7 @@ class GameState {
 
         this.towerBucks -= amount;
         this.stars += starsGained;
-        this.save();
+        this.saveNow();
 
         return { success: true, starsGained };
     }
@@ -4835,7 +6810,7 @@ class GameState {
 
         this.towerBucks -= totalCost;
         this.offlineTimeBonus = (this.offlineTimeBonus || 0) + hours;
-        this.save();
+        this.saveNow();
 
         const totalHours = 3 + this.offlineTimeBonus;
         return { success: true, hoursAdded: hours, totalHours };
@@ -4867,25 +6842,59 @@ class GameState {
         }
 
         this.stars -= upgrade.cost;
+        this.recordExpense('shop', upgrade.cost);
         this.purchasedUpgrades.push(upgradeId);
-        this.save();
+        this.saveNow();
         return { success: true };
     }
 
     /**
      * Get active perk effects
+     * Perks aimed at one reader type (spawn_bonus) only count when that type is asked for.
      */
-    getPerkEffect(effectType) {
+    getPerkEffect(effectType, readerType = null) {
         let totalEffect = 1;
         for (const perkId of this.unlockedPerks) {
             const perk = this.readerPerks.find(p => p.id === perkId);
-            if (perk && perk.effect.type === effectType) {
+            if (perk && perk.effect.type === effectType &&
+                (!perk.effect.readerType || perk.effect.readerType === readerType)) {
                 totalEffect *= perk.effect.value;
             }
         }
         return totalEffect;
     }
 
+    /**
+     * Spawn weight of a reader type, boosted by perks like Kid Magnet and synergies like Teen Hangout
+     */
+    getReaderTypeWeight(type) {
+        return type.weight * this.getPerkEffect('spawn_bonus', type.id) * this.getSynergySpawnBonus(type.id);
+    }
+
+    /**
+     * Pick a regular reader type by (perk-boosted) weight
+     */
+    pickReaderType() {
+        const totalWeight = this.readerTypes.reduce((sum, type) => sum + this.getReaderTypeWeight(type), 0);
+        const rand = this.rng.next() * totalWeight;
+        let cumulative = 0;
+        for (const type of this.readerTypes) {
+            cumulative += this.getReaderTypeWeight(type);
+            if (rand <= cumulative) {
+                return type;
+            }
+        }
+        // Fallback to first type if none selected
+        return this.readerTypes[0];
+    }
+
+    /**
+     * Chance a new reader is a VIP (VIP Lounge perk raises it)
+     */
+    getVIPChance() {
+        return 0.10 * this.getPerkEffect('vip_bonus');
+    }
+
     /**
      * Get active upgrade effects
      */
@@ -4900,6 +6909,20 @@ class GameState {
         return bestEffect;
     }
 
+    /**
+     * Best purchased flat bonus of a type (e.g. mood_bonus), or 0 if none
+     */
+    getUpgradeBonus(effectType) {
+        let bestBonus = 0;
+        for (const upgradeId of this.purchasedUpgrades) {
+            const upgrade = this.staffUpgrades.find(u => u.id === upgradeId);
+            if (upgrade && upgrade.effect.type === effectType) {
+                bestBonus = Math.max(bestBonus, upgrade.effect.value);
+            }
+        }
+        return bestBonus;
+    }
+
     /**
      * Check and unlock achievements
      */
@@ -4909,7 +6932,7 @@ class GameState {
         this.achievements.forEach(achievement => {
             if (!achievement.unlocked && this.stats[achievement.stat] >= achievement.requirement) {
                 achievement.unlocked = true;
-                achievement.unlockedAt = Date.now();
+                achievement.unlockedAt = this.clock.now();
 
                 // Award rewards
                 this.stars += achievement.reward;
@@ -4928,7 +6951,7 @@ class GameState {
     }
 
     /**
-     * Upgrade a floor (increases capacity and earning rate)
+     * Upgrade floor to next level
      */
     upgradeFloor(floorId) {
         const floor = this.getFloor(floorId);
@@ -4936,36 +6959,150 @@ class GameState {
             return { success: false, error: 'Floor not ready' };
         }
 
-        if (floor.upgradeLevel >= 3) {
+        const maxLevel = this.getMaxUpgradeLevel(floor);
+        if (maxLevel === 1) {
+            return { success: false, error: 'This floor can\'t be upgraded' };
+        }
+        if (floor.upgradeLevel >= maxLevel) {
             return { success: false, error: 'Floor already at max level' };
         }
 
-        // Calculate upgrade cost (exponential: 200, 500, 1000...)
-        const upgradeCosts = [0, 200, 500];
-        const cost = upgradeCosts[floor.upgradeLevel];
-
-        if (this.stars < cost) {
+        const tier = this.getUpgradeTier(floor, floor.upgradeLevel + 1);
+        if (this.stars < tier.cost) {
             return { success: false, error: 'Not enough stars' };
         }
 
         // Deduct cost
-        this.stars -= cost;
+        this.stars -= tier.cost;
+        this.recordExpense('building', tier.cost);
 
         // Upgrade floor
         floor.upgradeLevel += 1;
+        this.applyUpgradeTier(floor);
+        this.invalidatePlacementLinks();
 
-        // Increase stock capacity and earning rate
-        const multiplier = floor.upgradeLevel === 2 ? 1.25 : 1.5; // +25% or +50%
-        floor.bookStock.forEach(cat => {
-            const floorType = this.floorTypes.find(t => t.id === floor.typeId);
-            const originalCat = floorType.bookCategories.find(c => c.name === cat.name);
+        this.saveNow();
+        return { success: true, level: floor.upgradeLevel, unlock: tier.unlock || null };
+    }
+
+    /**
+     * Upgrade table for a floor (or floor type): books, special or utility
+     */
+    getUpgradeTiers(floor) {
+        const floorType = this.floorTypes.find(t => t.id === (floor.typeId || floor.id));
+        if (floorType && floorType.isSpecialRoom) return this.upgradeTiers.special;
+        // Nothing to improve on rooms without stock (restrooms, basement, Podcast Studio)
+        if (!floorType || floorType.isUtilityRoom || floorType.bookCategories.length === 0) return this.upgradeTiers.utility;
+        return this.upgradeTiers.books;
+    }
+
+    /**
+     * One upgrade tier for a floor, or null past the top of its table
+     */
+    getUpgradeTier(floor, level = floor.upgradeLevel || 1) {
+        return this.getUpgradeTiers(floor).find(t => t.level === level) || null;
+    }
+
+    /**
+     * Highest level a floor can reach (special rooms also stop at their last bonus level)
+     */
+    getMaxUpgradeLevel(floor) {
+        const floorType = this.floorTypes.find(t => t.id === floor.typeId);
+        const tiers = this.getUpgradeTiers(floor);
+        if (floorType && floorType.isSpecialRoom) {
+            return Math.min(tiers.length, floorType.bonus.levels.length);
+        }
+        return tiers.length;
+    }
+
+    /**
+     * Book categories a floor type has at an upgrade level: the catalog ones plus any unlocked by tiers
+     */
+    getFloorCategoryTemplates(floorType, level) {
+        const templates = [...floorType.bookCategories];
+        if (templates.length === 0) return templates;
+
+        const top = floorType.bookCategories[floorType.bookCategories.length - 1];
+        this.getUpgradeTiers(floorType)
+            .filter(tier => tier.level <= level && tier.unlock && tier.unlock.type === 'category')
+            .forEach(tier => {
+                const boost = tier.unlock.earningBoost;
+                templates.push({
+                    name: tier.unlock.name,
+                    stockCost: Math.round(top.stockCost * boost),
+                    stockTime: Math.round(top.stockTime * boost),
+                    stockAmount: top.stockAmount,
+                    earningRate: Math.round(top.earningRate * boost),
+                    unlockedAt: tier.level
+                });
+            });
+        return templates;
+    }
+
+    /**
+     * Fresh (empty) stock for a book category
+     */
+    createBookStock(category) {
+        return {
+            name: category.name,
+            currentStock: 0,
+            maxStock: category.stockAmount,
+            stockCost: category.stockCost,
+            stockTime: category.stockTime,
+            earningRate: category.earningRate,
+            restocking: false,
+            restockStartTime: null,
+            restockEndTime: null
+        };
+    }
 
-            cat.maxStock = Math.floor(originalCat.stockAmount * multiplier);
-            cat.earningRate = Math.floor(originalCat.earningRate * multiplier);
+    /**
+     * Set stock capacity and earning rates for a floor's level, adding any categories it unlocked
+     */
+    applyUpgradeTier(floor) {
+        const floorType = this.floorTypes.find(t => t.id === floor.typeId);
+        const tier = this.getUpgradeTier(floor);
+        if (!floorType || !tier || tier.multiplier === undefined) return;
+
+        this.getFloorCategoryTemplates(floorType, floor.upgradeLevel).forEach((template, index) => {
+            if (!floor.bookStock[index]) {
+                floor.bookStock.push(this.createBookStock(template));
+            }
+            Object.assign(floor.bookStock[index], this.scaleCategoryForTier(template, tier));
         });
+    }
 
-        this.save();
-        return { success: true, level: floor.upgradeLevel };
+    /**
+     * Shelf size, earning rate and full restock price of a book category at an upgrade tier
+     * A bigger shelf costs more to fill, so the price per book stays the same.
+     */
+    scaleCategoryForTier(template, tier) {
+        return {
+            maxStock: Math.floor(template.stockAmount * tier.multiplier),
+            earningRate: Math.floor(template.earningRate * tier.multiplier),
+            stockCost: Math.round(template.stockCost * tier.multiplier)
+        };
+    }
+
+    /**
+     * Categories past the catalog ones (unlocked by upgrades) need a full staff team
+     */
+    isCategoryUnlocked(floor, index) {
+        const floorType = this.floorTypes.find(t => t.id === floor.typeId);
+        const baseCount = floorType ? floorType.bookCategories.length : 3;
+        const staffCount = this.getFloorStaff(floor).length;
+        if (index < baseCount) return staffCount > index;
+        return staffCount >= baseCount;
+    }
+
+    /**
+     * Decorations a floor can hold (more unlock with upgrades)
+     */
+    getDecorationSlots(floor) {
+        const extra = this.getUpgradeTiers(floor)
+            .filter(tier => tier.level <= (floor.upgradeLevel || 1) && tier.unlock && tier.unlock.type === 'decoration')
+            .length;
+        return this.baseDecorationSlots + extra;
     }
 
     /**
@@ -5020,8 +7157,8 @@ class GameState {
             this.stats.totalTowerBucksEarned += reward.bucks;
         }
 
-        this.dailyLogin.lastRewardClaimed = Date.now();
-        this.save();
+        this.dailyLogin.lastRewardClaimed = this.clock.now();
+        this.saveNow();
 
         return {
             day: this.dailyLogin.streak,
@@ -5039,36 +7176,161 @@ class GameState {
         if (!this.readerCollection[typeId]) {
             this.readerCollection[typeId] = {
                 count: 0,
-                firstSeen: Date.now(),
-                lastSeen: Date.now()
+                firstSeen: this.clock.now(),
+                lastSeen: this.clock.now()
             };
         }
 
         this.readerCollection[typeId].count += 1;
-        this.readerCollection[typeId].lastSeen = Date.now();
+        this.readerCollection[typeId].lastSeen = this.clock.now();
+    }
+
+    /**
+     * Stars a reader pays when checking out, with an itemized breakdown
+     * Every multiplier is applied to the running total and rounded once at
+     * the end, so the order they're listed in doesn't change the result.
+     * Returns { amount, exact, base, breakdown: [{ id, label, multiplier, total }] }
+     * (exact is the total before rounding, for callers that add up fractions)
+     */
+    computeCheckoutEarnings(reader, floor) {
+        const books = reader.booksToCheckout || 1;
+        // Readers saved before bonuses were itemized only have the combined amount
+        const itemized = Array.isArray(reader.earningBonuses);
+        const perBook = itemized ? reader.earningBase : reader.earningAmount;
+
+        const base = perBook * books;
+        let total = base;
+        const breakdown = [{
+            id: 'base',
+            label: `${perBook} ⭐ × ${books} book${books === 1 ? '' : 's'}`,
+            multiplier: 1,
+            total: base
+        }];
+
+        const apply = (id, label, multiplier) => {
+            if (multiplier === 1) return;
+            total *= multiplier;
+            breakdown.push({ id, label, multiplier, total });
+        };
+
+        // Bonuses the reader arrived with (rush hour, VIP, regular customer)
+        if (itemized) {
+            reader.earningBonuses.forEach(bonus => apply(bonus.id, bonus.label, bonus.multiplier));
+        }
+
+        apply('event', 'Special event', this.getEventEffect('star_multiplier'));
+        apply('hall_event', 'Event Hall', this.getHallEventEffect('star_bonus'));
+        apply('synergy', 'Floor synergy', this.getSynergyBonus(floor));
+        apply('placement', 'Near Event Hall', this.getPlacementStarBonus(floor));
+
+        // All-dream-jobs bonus (2x when all 3 staff have dream job)
+        if (this.getFloorDreamMatchBonus(floor) === 3) {
+            apply('dream_team', 'All dream jobs', 2);
+        }
+
+        // VIP floor bonus (from dropping VIPs at floors)
+        const floorBonus = this.getFloorBonus(floor.id);
+        if (floorBonus && floorBonus.type === 'readers') {
+            apply('vip_floor', 'VIP visit', floorBonus.multiplier);
+        }
+
+        // High mood = bonus stars, low mood = reduced earnings
+        if (this.mood >= 70) {
+            apply('mood', 'Happy library', 1.25);
+        } else if (this.mood < 30) {
+            apply('mood', 'Unhappy library', 0.75);
+        }
+
+        // High trash = reduced earnings (up to 50% penalty at 100 trash)
+        if (floor.trash >= 50) {
+            apply('trash', 'Messy floor', 1 - (floor.trash - 50) / 100);
+        }
+
+        apply('perk', 'Perks', this.getPerkEffect('earning_bonus'));
+        apply('holiday', 'Holiday', this.getHolidayStarBonus());
+
+        if (this.bookSale && this.bookSale.isActive) {
+            apply('book_sale', 'Book sale', this.bookSale.starMultiplier);
+        }
+
+        if (reader.hasLibraryCard) {
+            apply('library_card', 'Library card', this.getLibraryCardBonus(reader.name).starBonus);
+        }
+
+        return { amount: Math.floor(total), exact: total, base, breakdown };
+    }
+
+    /**
+     * The most recent checkout on a floor and how its stars were worked out
+     */
+    getLastCheckout(floorId) {
+        return (this._lastCheckouts && this._lastCheckouts[floorId]) || null;
+    }
+
+    /**
+     * Chance a new reader arrives this tick (one game second)
+     */
+    getReaderSpawnChance() {
+        let spawnChance = 0.10; // Base 10% chance
+        if (this.transitSchedule.isRushHour) {
+            spawnChance = 0.40; // 40% during rush hour = 4x more readers!
+        }
+
+        // Book sale brings in massive crowds!
+        if (this.bookSale && this.bookSale.isActive) {
+            spawnChance *= this.bookSale.spawnMultiplier;
+        }
+
+        // Apply event spawn rate multiplier
+        spawnChance *= this.getEventEffect('spawn_rate');
+
+        // Apply Event Hall spawn bonus
+        spawnChance *= this.getHallEventEffect('spawn_bonus');
+
+        // Maker Spaces draw in more readers
+        spawnChance *= this.getSpecialRoomSpawnBonus();
+
+        // Apply mood effect on spawn rate
+        if (this.mood >= 70) {
+            spawnChance *= 1.25; // 25% more visitors when happy
+        } else if (this.mood < 30) {
+            spawnChance *= 0.5; // 50% fewer visitors when sad
+        }
+
+        // Apply weather effect on spawn rate
+        spawnChance *= this.getWeatherSpawnEffect();
+
+        // Apply holiday spawn bonus
+        spawnChance *= this.getHolidaySpawnBonus();
+
+        // Reader perks bring more of one reader type without turning the others away
+        const baseWeight = this.readerTypes.reduce((sum, type) => sum + type.weight, 0);
+        const boostedWeight = this.readerTypes.reduce((sum, type) => sum + this.getReaderTypeWeight(type), 0);
+        spawnChance *= boostedWeight / baseWeight;
+
+        return spawnChance;
     }
 
     /**
      * Game tick - called frequently to update timers, readers, etc.
      */
     tick() {
-        const now = Date.now();
+        // Paused - every timer is frozen, so nothing may happen
+        if (this.clock.paused) return;
+
+        const now = this.clock.now();
 
         // Check floor construction completion
         this.floors.forEach(floor => {
             if (floor.status === 'building' && now >= floor.buildEndTime) {
                 floor.status = 'ready';
+                this.invalidatePlacementLinks();
             }
         });
 
-        // Check restocking completion
+        // Finish restocks and start the next order in each floor's queue
         this.floors.forEach(floor => {
-            floor.bookStock.forEach(category => {
-                if (category.restocking && now >= category.restockEndTime) {
-                    category.currentStock = category.maxStock;
-                    category.restocking = false;
-                }
-            });
+            this.processRestockQueue(floor, now);
         });
 
         // Update elevator states
@@ -5087,6 +7349,7 @@ class GameState {
 
         // Process readers checking out
         if (!this._recentCheckouts) this._recentCheckouts = [];
+        if (!this._lastCheckouts) this._lastCheckouts = {};
 
         this.readers = this.readers.filter(reader => {
             if (now >= reader.checkoutTime) {
@@ -5096,63 +7359,19 @@ class GameState {
                     const booksCheckedOut = reader.booksToCheckout || 1;
                     floor.bookStock[reader.categoryIndex].currentStock -= booksCheckedOut;
 
-                    // Apply event star multiplier (multiply by books checked out)
-                    const starMultiplier = this.getEventEffect('star_multiplier');
-                    let finalEarnings = Math.floor(reader.earningAmount * booksCheckedOut * starMultiplier);
-
-                    // Apply Event Hall star bonus
-                    const hallBonus = this.getHallEventEffect('star_bonus');
-                    finalEarnings = Math.floor(finalEarnings * hallBonus);
-
-                    // Apply floor synergy bonus
-                    const synergyBonus = this.getSynergyBonus(floor.type);
-                    finalEarnings = Math.floor(finalEarnings * synergyBonus);
-
-                    // Apply all-dream-jobs bonus (2x when all 3 staff have dream job)
-                    const dreamMatchCount = this.getFloorDreamMatchBonus(floor);
-                    if (floor.staff && floor.staff.length === 3 && dreamMatchCount === 3) {
-                        finalEarnings = Math.floor(finalEarnings * 2);
-                    }
-
-                    // Apply VIP floor bonus (from dropping VIPs at floors)
-                    const floorBonus = this.getFloorBonus(floor.id);
-                    if (floorBonus && floorBonus.type === 'readers') {
-                        finalEarnings = Math.floor(finalEarnings * floorBonus.multiplier);
-                    }
-
-                    // Apply mood bonus (high mood = bonus stars)
-                    if (this.mood >= 70) {
-                        const moodBonus = Math.floor(finalEarnings * 0.25); // 25% bonus
-                        finalEarnings += moodBonus;
-                    } else if (this.mood < 30) {
-                        // Low mood = reduced earnings
-                        finalEarnings = Math.floor(finalEarnings * 0.75); // 25% penalty
-                    }
-
-                    // Apply trash penalty (high trash = reduced earnings)
-                    if (floor.trash >= 50) {
-                        const trashPenalty = 1 - (floor.trash - 50) / 100; // Up to 50% penalty at 100 trash
-                        finalEarnings = Math.floor(finalEarnings * trashPenalty);
-                    }
-
-                    // Apply perk earning bonus
-                    const perkBonus = this.getPerkEffect('earning_bonus');
-                    finalEarnings = Math.floor(finalEarnings * perkBonus);
+                    const earnings = this.computeCheckoutEarnings(reader, floor);
+                    const finalEarnings = earnings.amount;
 
-                    // Apply holiday star bonus
-                    const holidayBonus = this.getHolidayStarBonus();
-                    finalEarnings = Math.floor(finalEarnings * holidayBonus);
-
-                    // Apply book sale bonus (3x stars during book sale!)
-                    if (this.bookSale && this.bookSale.isActive) {
-                        finalEarnings = Math.floor(finalEarnings * this.bookSale.starMultiplier);
-                    }
+                    // Remembered so the floor detail modal can explain the payout
+                    this._lastCheckouts[floor.id] = {
+                        readerName: reader.name,
+                        readerEmoji: reader.emoji,
+                        books: booksCheckedOut,
+                        ...earnings
+                    };
 
-                    // Apply library card bonus
+                    // Update card holder stats
                     if (reader.hasLibraryCard) {
-                        const cardBonus = this.getLibraryCardBonus(reader.name);
-                        finalEarnings = Math.floor(finalEarnings * cardBonus.starBonus);
-                        // Update card holder stats
                         this.updateLibraryCardStars(reader.name, finalEarnings);
                     }
 
@@ -5163,13 +7382,13 @@ class GameState {
                     this.xp += finalEarnings;
 
                     // Award bonus Tower Bucks during reading challenge
-                    if (this.shouldAwardBonusBucks() && Math.random() < 0.2) { // 20% chance
+                    if (this.shouldAwardBonusBucks() && this.rng.next() < 0.2) { // 20% chance
                         this.towerBucks += 1;
                         this.stats.totalTowerBucksEarned += 1;
                     }
 
                     // High mood can trigger tips
-                    if (this.mood >= 80 && Math.random() < 0.05) { // 5% chance when very happy
+                    if (this.mood >= 80 && this.rng.next() < 0.05) { // 5% chance when very happy
                         this.towerBucks += 1;
                         this.stats.totalTowerBucksEarned += 1;
                         this._moodTip = true; // Flag for UI notification
@@ -5187,6 +7406,9 @@ class GameState {
                     this.stats.totalStarsEarned += finalEarnings;
                     this.stats.totalReadersServed += 1;
 
+                    // Staff on the floor learn from every book they check out
+                    this.awardStaffXP(floor, booksCheckedOut * this.staffProgression.xpPerBook);
+
                     // Track reader in collection
                     this.trackReaderInCollection(reader);
 
@@ -5195,9 +7417,7 @@ class GameState {
                         let trashAmount = 1; // Base trash per checkout
 
                         // Bathrooms reduce trash generation
-                        const bathroomCount = this.floors.filter(f =>
-                            f.typeId === 'bathroom' && f.status === 'ready'
-                        ).length;
+                        const bathroomCount = this.getEffectiveBathroomCount();
                         if (bathroomCount > 0) {
                             trashAmount *= Math.pow(0.7, bathroomCount); // 30% reduction per bathroom
                         }
@@ -5219,7 +7439,7 @@ class GameState {
                                     .map((cat, idx) => ({ cat, idx }))
                                     .filter(({ cat }) => cat.currentStock < cat.maxStock && !cat.restocking);
                                 if (emptyCategories.length > 0) {
-                                    const { idx } = emptyCategories[Math.floor(Math.random() * emptyCategories.length)];
+                                    const { idx } = emptyCategories[Math.floor(this.rng.next() * emptyCategories.length)];
                                     floor.bookStock[idx].currentStock = floor.bookStock[idx].maxStock;
                                 }
                                 break;
@@ -5260,43 +7480,15 @@ class GameState {
             this.towerBucks += 1;
         }
 
-        // Check rush hour status
-        this.checkRushHour();
-
-        // Check book sale status
-        this.checkBookSale();
-
-        // Spawn new readers with increased rate during rush hour and events
-        let spawnChance = 0.10; // Base 10% chance
-        if (this.transitSchedule.isRushHour) {
-            spawnChance = 0.40; // 40% during rush hour = 4x more readers!
-        }
-
-        // Book sale brings in massive crowds!
-        if (this.bookSale && this.bookSale.isActive) {
-            spawnChance *= this.bookSale.spawnMultiplier;
-        }
-
-        // Apply event spawn rate multiplier
-        spawnChance *= this.getEventEffect('spawn_rate');
-
-        // Apply Event Hall spawn bonus
-        spawnChance *= this.getHallEventEffect('spawn_bonus');
-
-        // Apply mood effect on spawn rate
-        if (this.mood >= 70) {
-            spawnChance *= 1.25; // 25% more visitors when happy
-        } else if (this.mood < 30) {
-            spawnChance *= 0.5; // 50% fewer visitors when sad
-        }
-
-        // Apply weather effect on spawn rate
-        spawnChance *= this.getWeatherSpawnEffect();
+        // Check rush hour status
+        this.checkRushHour();
 
-        // Apply holiday spawn bonus
-        spawnChance *= this.getHolidaySpawnBonus();
+        // Check book sale status
+        this.checkBookSale();
 
-        if (Math.random() < spawnChance) {
+        // Spawn new readers with increased rate during rush hour and events
+        const spawnChance = this.getReaderSpawnChance();
+        if (this.rng.next() < spawnChance) {
             this.spawnReader();
         }
 
@@ -5308,8 +7500,14 @@ class GameState {
         // Spawn applicants (5% chance per tick, if under limits)
         if (totalLobbyChars < maxTotalLobby &&
             this.lobbyApplicants.length < this.maxLobbyApplicants &&
-            Math.random() < 0.05) {
-            this.spawnApplicant();
+            this.rng.next() < 0.05) {
+            // Happy staff sometimes send a friend instead of a stranger
+            const referrer = this.rng.next() < this.staffMorale.referralChance ? this.pickReferrer() : null;
+            if (referrer) {
+                this.spawnReferralApplicant(referrer);
+            } else {
+                this.spawnApplicant();
+            }
         }
 
         // Update/expire old applicants
@@ -5320,7 +7518,7 @@ class GameState {
         if (updatedTotal < maxTotalLobby &&
             this.floors.length >= 1 &&
             this.arrivingVIPs.length < this.maxArrivingVIPs &&
-            Math.random() < 0.02) {
+            this.rng.next() < 0.02) {
             this.spawnVIP();
         }
 
@@ -5339,7 +7537,7 @@ class GameState {
             this.currentMission.status = 'expired';
             this.currentMission = null;
             // Next mission in 2-5 minutes
-            this.nextMissionTime = now + (120000 + Math.random() * 180000);
+            this.nextMissionTime = now + (120000 + this.rng.next() * 180000);
         }
 
         // Generate new special event if it's time and no active event
@@ -5351,7 +7549,7 @@ class GameState {
         if (this.currentEvent && now >= this.currentEvent.endTime) {
             this.currentEvent = null;
             // Next event in 3-8 minutes
-            this.nextEventTime = now + (180000 + Math.random() * 300000);
+            this.nextEventTime = now + (180000 + this.rng.next() * 300000);
         }
 
         // Generate find mission if it's time
@@ -5363,7 +7561,7 @@ class GameState {
         if (this.currentFindMission && now >= this.currentFindMission.expiryTime) {
             this.currentFindMission = null;
             // Next find mission in 2-4 minutes
-            this.nextFindMissionTime = now + (120000 + Math.random() * 120000);
+            this.nextFindMissionTime = now + (120000 + this.rng.next() * 120000);
         }
 
         // Spawn special visitor if it's time
@@ -5390,8 +7588,8 @@ class GameState {
 
             // Update visitor floor position occasionally
             if (now >= visitor.nextMoveTime) {
-                visitor.currentFloorIndex = Math.floor(Math.random() * this.floors.length);
-                visitor.nextMoveTime = now + 5000 + Math.random() * 10000; // Move every 5-15 seconds
+                visitor.currentFloorIndex = Math.floor(this.rng.next() * this.floors.length);
+                visitor.nextMoveTime = now + 5000 + this.rng.next() * 10000; // Move every 5-15 seconds
             }
 
             return true;
@@ -5403,6 +7601,10 @@ class GameState {
         // Update seasons and holidays
         this.updateSeasonAndHoliday();
 
+        // Staff shifts, fatigue, breaks and morale
+        this.updateStaffShifts();
+        this.updateStaffMorale();
+
         // Update mood meter
         this.updateMood();
 
@@ -5419,6 +7621,13 @@ class GameState {
             this.lastCleanedDay = currentDay;
         }
 
+        // Payday each morning - close yesterday's ledger first so wages land on the new day
+        if (currentDay > this.lastPayrollDay) {
+            this.getLedgerToday();
+            this.runPayroll();
+            this.lastPayrollDay = currentDay;
+        }
+
         // Check for Event Hall events
         this.checkEventHallEvent();
         this.updateHallEvent();
@@ -5446,7 +7655,7 @@ class GameState {
         // Check mini-quest expiry
         if (this.currentMiniQuest && now >= this.currentMiniQuest.expiryTime) {
             this.currentMiniQuest = null;
-            this.nextMiniQuestTime = now + (60000 + Math.random() * 120000);
+            this.nextMiniQuestTime = now + (60000 + this.rng.next() * 120000);
         }
 
         // Update time played stat (every tick = 1 second)
@@ -5459,7 +7668,9 @@ class GameState {
             this._newAchievements = newAchievements;
         }
 
-        this.save();
+        // Readers, timers and stats move every tick
+        this.markDirty();
+        this.autosave(now);
     }
 
     /**
@@ -5470,171 +7681,444 @@ class GameState {
     }
 
     /**
-     * Save to localStorage
+     * Flag that something worth saving changed - written by the next autosave
+     */
+    markDirty() {
+        this._dirty = true;
+    }
+
+    /**
+     * Save if anything changed and the last save is older than autosaveInterval
+     */
+    autosave(now = this.clock.now()) {
+        if (this._dirty && now - this._lastSaveTime >= this.autosaveInterval) {
+            this.save();
+            this.checkBackups(now);
+        }
+    }
+
+    /**
+     * Save immediately and push it to disk - for purchases and anything
+     * the player would be upset to lose
+     */
+    saveNow() {
+        this.save();
+        return this.storage.flush().catch(e => console.error('Failed to flush save:', e));
+    }
+
+    /**
+     * Save to the storage adapter
      */
     save() {
+        // Never overwrite a save we couldn't read (e.g. written by a newer version)
+        if (this._saveLocked) return;
+
         const saveData = {
-            stars: this.stars,
-            towerBucks: this.towerBucks,
-            level: this.level,
-            xp: this.xp,
-            xpToNextLevel: this.xpToNextLevel,
-            floors: this.floors,
-            nextFloorSlot: this.nextFloorSlot,
-            readers: this.readers,
-            currentMission: this.currentMission,
-            missionHistory: this.missionHistory,
-            nextMissionTime: this.nextMissionTime,
-            currentEvent: this.currentEvent,
-            nextEventTime: this.nextEventTime,
-            currentFindMission: this.currentFindMission,
-            nextFindMissionTime: this.nextFindMissionTime,
-            stats: this.stats,
-            achievements: this.achievements,
-            dailyLogin: this.dailyLogin,
-            readerCollection: this.readerCollection,
-            currentPrestige: this.currentPrestige,
-            ownedDecorations: this.ownedDecorations,
-            lobbyDecorations: this.lobbyDecorations,
-            floorDecorations: this.floorDecorations,
-            unlockedThemes: this.unlockedThemes,
-            activeTheme: this.activeTheme,
-            unlockedPerks: this.unlockedPerks,
-            purchasedUpgrades: this.purchasedUpgrades,
-            offlineTimeBonus: this.offlineTimeBonus,
-            totalStarsEarned: this.totalStarsEarned,
-            lastCleanedDay: this.lastCleanedDay,
-            lastEventHallDay: this.lastEventHallDay,
-            currentHallEvent: this.currentHallEvent,
-            weather: this.weather,
-            nextDonationTime: this.nextDonationTime,
-            libraryCards: this.libraryCards,
-            // Staff Lobby System
-            lobbyApplicants: this.lobbyApplicants,
-            // VIP Elevator System
-            arrivingVIPs: this.arrivingVIPs,
-            activeElevatorRide: this.activeElevatorRide,
-            floorBonuses: this.floorBonuses,
-            timestamp: Date.now()
+            saveVersion: SAVE_VERSION,
+            ...serializePersistedFields(this),
+            timestamp: this.clock.now(),
+            // How far game time is behind real time (from pausing)
+            clockOffset: this.clock.now() - Date.now()
         };
-        localStorage.setItem('simlibrary_save_v2', JSON.stringify(saveData));
+        this.storage.writeSave(this.saveKey, saveData);
+
+        this._dirty = false;
+        this._lastSaveTime = this.clock.now();
     }
 
     /**
-     * Load from localStorage
+     * Get the current save as a JSON string for exporting
      */
-    load() {
-        const saved = localStorage.getItem('simlibrary_save_v2');
+    exportSave() {
+        this.save();
+        return JSON.stringify(this.storage.readSave(this.saveKey));
+    }
 
-        if (saved) {
-            try {
-                const data = JSON.parse(saved);
-                this.stars = data.stars || 1000;
-                this.towerBucks = data.towerBucks || 5;
-                this.level = data.level || 1;
-                this.xp = data.xp || 0;
-                this.xpToNextLevel = data.xpToNextLevel || 100;
-                this.floors = data.floors || [];
-                this.nextFloorSlot = data.nextFloorSlot || 1;
-                this.readers = data.readers || [];
-                this.currentMission = data.currentMission || null;
-                this.missionHistory = data.missionHistory || [];
-                this.nextMissionTime = data.nextMissionTime || (Date.now() + 60000);
-                this.currentEvent = data.currentEvent || null;
-                this.nextEventTime = data.nextEventTime || (Date.now() + 300000);
-                this.currentFindMission = data.currentFindMission || null;
-                this.nextFindMissionTime = data.nextFindMissionTime || (Date.now() + 120000);
-
-                // Load stats with defaults for new stat types
-                if (data.stats) {
-                    this.stats = {
-                        totalBooksCheckedOut: data.stats.totalBooksCheckedOut || 0,
-                        totalStarsEarned: data.stats.totalStarsEarned || 0,
-                        totalReadersServed: data.stats.totalReadersServed || 0,
-                        totalVIPsServed: data.stats.totalVIPsServed || 0,
-                        totalMissionsCompleted: data.stats.totalMissionsCompleted || 0,
-                        totalTowerBucksEarned: data.stats.totalTowerBucksEarned || 0,
-                        totalFloorsBuilt: data.stats.totalFloorsBuilt || 0,
-                        totalStaffHired: data.stats.totalStaffHired || 0,
-                        timePlayed: data.stats.timePlayed || 0,
-                        gameStartTime: data.stats.gameStartTime || Date.now()
-                    };
-                }
+    /**
+     * Check the text of a save file against the save schema
+     * Returns { success, data, summary } with the migrated payload, or { success: false, error }
+     */
+    validateSaveFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { success: false, error: 'File is not valid JSON' };
+        }
+        return this.validateSaveData(data);
+    }
 
-                // Load achievements (merge with defaults to add new ones)
-                if (data.achievements) {
-                    this.achievements.forEach((defaultAchievement, index) => {
-                        const savedAchievement = data.achievements.find(a => a.id === defaultAchievement.id);
-                        if (savedAchievement) {
-                            this.achievements[index] = { ...defaultAchievement, ...savedAchievement };
-                        }
-                    });
-                }
+    /**
+     * Check a parsed save payload against the save schema (see validateSaveFile)
+     */
+    validateSaveData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { success: false, error: 'File is not a SimLibrary save' };
+        }
 
-                // Load daily login
-                if (data.dailyLogin) {
-                    this.dailyLogin = data.dailyLogin;
-                }
+        // Foreign JSON won't have the core fields every save has had since v1
+        if (!Array.isArray(data.floors) || typeof data.stars !== 'number' || typeof data.level !== 'number') {
+            return { success: false, error: 'File is not a SimLibrary save' };
+        }
 
-                // Load reader collection
-                if (data.readerCollection) {
-                    this.readerCollection = data.readerCollection;
-                }
+        try {
+            data = migrateSaveData(data);
+        } catch (e) {
+            if (e instanceof SaveVersionError) {
+                return { success: false, error: 'This save was made by a newer version of SimLibrary' };
+            }
+            return { success: false, error: 'Save file could not be upgraded' };
+        }
+
+        // Every persisted field must have the same shape as the live game's copy
+        const kindOf = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        for (const entry of PERSISTED_FIELDS) {
+            const key = typeof entry === 'string' ? entry : entry.key;
+            if (data[key] === undefined || this[key] === undefined) continue;
 
-                // Load progression system data
-                this.currentPrestige = data.currentPrestige || 'community';
-                this.ownedDecorations = data.ownedDecorations || [];
-                this.lobbyDecorations = data.lobbyDecorations || [];
-                this.floorDecorations = data.floorDecorations || {};
-                this.unlockedThemes = data.unlockedThemes || ['classic'];
-                this.activeTheme = data.activeTheme || 'classic';
-                this.unlockedPerks = data.unlockedPerks || [];
-                this.purchasedUpgrades = data.purchasedUpgrades || [];
-                this.offlineTimeBonus = data.offlineTimeBonus || 0;
-                this.totalStarsEarned = data.totalStarsEarned || this.stats.totalStarsEarned || 0;
-
-                // Load cleaning system state
-                this.lastCleanedDay = data.lastCleanedDay || 0;
-
-                // Load Event Hall system state
-                this.lastEventHallDay = data.lastEventHallDay || 0;
-                this.currentHallEvent = data.currentHallEvent || null;
-
-                // Load weather system state
-                if (data.weather) {
-                    this.weather.current = data.weather.current || 'sunny';
-                    this.weather.nextChange = data.weather.nextChange || (Date.now() + (5 * 60 * 1000));
+            const savedKind = kindOf(data[key]);
+            const liveKind = kindOf(this[key]);
+            if (savedKind === 'null' || liveKind === 'null') {
+                if (savedKind !== 'null' && savedKind !== 'object') {
+                    return { success: false, error: `Save field "${key}" is corrupt` };
                 }
+                continue;
+            }
+            if (savedKind !== liveKind || (savedKind === 'number' && !Number.isFinite(data[key]))) {
+                return { success: false, error: `Save field "${key}" is corrupt` };
+            }
+        }
+
+        if (data.rng && !(Number.isFinite(data.rng.seed) && Number.isFinite(data.rng.state))) {
+            return { success: false, error: 'Save field "rng" is corrupt' };
+        }
+
+        if (data.ledger && !Array.isArray(data.ledger.days)) {
+            return { success: false, error: 'Save field "ledger" is corrupt' };
+        }
+
+        for (const floor of data.floors) {
+            if (!floor || typeof floor !== 'object' || floor.id === undefined) {
+                return { success: false, error: 'Save contains a corrupt floor' };
+            }
+            if (!this.floorTypes.some(t => t.id === floor.typeId)) {
+                return { success: false, error: `Save contains an unknown floor type "${floor.typeId}"` };
+            }
+            if (!Array.isArray(floor.bookStock) || typeof floor.name !== 'string' || typeof floor.emoji !== 'string') {
+                return { success: false, error: 'Save contains a corrupt floor' };
+            }
+        }
+
+        for (const member of data.staff || []) {
+            if (!member || typeof member !== 'object' || member.id === undefined || typeof member.name !== 'string') {
+                return { success: false, error: 'Save contains a corrupt staff member' };
+            }
+            if (member.emoji !== undefined && typeof member.emoji !== 'string') {
+                return { success: false, error: 'Save contains a corrupt staff member' };
+            }
+        }
+
+        const unsafeText = findUnsafeSaveText(data);
+        if (unsafeText) {
+            return { success: false, error: `Save field "${unsafeText.replace(/^save\./, '')}" has invalid text` };
+        }
 
-                // Load donation time
-                this.nextDonationTime = data.nextDonationTime || (Date.now() + (2 * 60 * 1000));
+        return { success: true, data: data, summary: summarizeSaveData(data) };
+    }
 
-                // Load library cards
-                this.libraryCards = data.libraryCards || [];
+    /**
+     * Catalog values a freshly built floor of this type starts with
+     * Share codes leave these out and fill them back in on import
+     */
+    getFloorCatalogDefaults(floorType) {
+        return {
+            name: floorType.name,
+            emoji: floorType.emoji,
+            color: floorType.color,
+            bookStock: floorType.bookCategories.map(cat => ({
+                name: cat.name,
+                maxStock: cat.stockAmount,
+                stockCost: cat.stockCost,
+                stockTime: cat.stockTime,
+                earningRate: cat.earningRate,
+                restocking: false,
+                restockStartTime: null,
+                restockEndTime: null
+            }))
+        };
+    }
 
-                // Load Staff Lobby System - REBUILT
-                this.lobbyApplicants = data.lobbyApplicants || [];
+    /**
+     * Strip a save payload down to what can't be rebuilt from the catalogs
+     * Transient state (readers in the building, lobby visitors, active synergies) is
+     * dropped, zero/default values are left out and staff keep only their latest history.
+     */
+    compactSaveData(data) {
+        const compact = { ...data };
+        SHARE_CODE_TRANSIENT_FIELDS.forEach(key => delete compact[key]);
 
-                // Load VIP Elevator System - will rebuild next
-                this.arrivingVIPs = []; // Still cleared until VIP system rebuilt
-                this.activeElevatorRide = null;
-                this.floorBonuses = data.floorBonuses || {};
+        compact.floors = (data.floors || []).map(floor => {
+            const floorType = this.floorTypes.find(t => t.id === floor.typeId);
+            if (!floorType) return floor;
 
-                // Migrate old floors to have staff array, upgradeLevel, and trash if missing
-                this.floors.forEach(floor => {
-                    if (!floor.staff) {
-                        floor.staff = [];
-                    }
-                    if (!floor.upgradeLevel) {
-                        floor.upgradeLevel = 1;
-                    }
-                    if (floor.trash === undefined) {
-                        floor.trash = 0;
-                    }
+            const defaults = this.getFloorCatalogDefaults(floorType);
+            const slim = { ...floor };
+            ['name', 'emoji', 'color'].forEach(key => {
+                if (slim[key] === defaults[key]) delete slim[key];
+            });
+            Object.keys(SHARE_CODE_FLOOR_DEFAULTS).forEach(key => {
+                if (JSON.stringify(slim[key]) === JSON.stringify(SHARE_CODE_FLOOR_DEFAULTS[key])) delete slim[key];
+            });
+            slim.bookStock = (floor.bookStock || []).map((cat, i) => {
+                const catDefaults = defaults.bookStock[i] || {};
+                const slimCat = {};
+                Object.keys(cat).forEach(key => {
+                    if (cat[key] !== catDefaults[key]) slimCat[key] = cat[key];
                 });
+                return slimCat;
+            });
+            return slim;
+        });
+
+        compact.staff = (data.staff || []).map(member => {
+            const catalog = this.getUtilityStaffType(member.typeId) || this.staffTypes.find(t => t.id === member.typeId);
+            const slim = { ...member };
+            // Filled back in from the catalog when the tower loads; breaks and referrals just restart
+            delete slim.isUtilityStaff;
+            delete slim.breakUntil;
+            delete slim.lastReferralDay;
+            if (catalog) {
+                if (slim.typeName === catalog.name) delete slim.typeName;
+                if (slim.emoji === catalog.emoji) delete slim.emoji;
+                if (slim.color === catalog.color) delete slim.color;
+                if (slim.effect === (catalog.effect || null)) delete slim.effect;
+            }
+            Object.keys(SHARE_CODE_STAFF_DEFAULTS).forEach(key => {
+                if (slim[key] === SHARE_CODE_STAFF_DEFAULTS[key]) delete slim[key];
+            });
+            ['xp', 'fatigue', 'morale'].forEach(key => {
+                if (Number.isFinite(slim[key])) slim[key] = Math.round(slim[key]);
+            });
+            if (Array.isArray(slim.history)) {
+                slim.history = slim.history.slice(-SHARE_CODE_STAFF_HISTORY);
+            }
+            return slim;
+        });
+
+        // Catalog text for achievements is merged back in by load()
+        if (Array.isArray(data.achievements)) {
+            compact.achievements = data.achievements
+                .filter(a => a.unlocked)
+                .map(a => ({ id: a.id, unlocked: a.unlocked, unlockedAt: a.unlockedAt }));
+        }
+
+        return compact;
+    }
+
+    /**
+     * Refill catalog and default values removed by compactSaveData()
+     */
+    expandSaveData(compact) {
+        const data = { ...compact };
+        if (!Array.isArray(compact.floors)) return data;
+
+        data.floors = compact.floors.map(floor => {
+            const floorType = floor && this.floorTypes.find(t => t.id === floor.typeId);
+            if (!floorType || !Array.isArray(floor.bookStock)) return floor;
+
+            const defaults = this.getFloorCatalogDefaults(floorType);
+            return {
+                ...JSON.parse(JSON.stringify(SHARE_CODE_FLOOR_DEFAULTS)),
+                ...floor,
+                name: floor.name !== undefined ? floor.name : defaults.name,
+                emoji: floor.emoji !== undefined ? floor.emoji : defaults.emoji,
+                color: floor.color !== undefined ? floor.color : defaults.color,
+                bookStock: floor.bookStock.map((cat, i) => ({ ...defaults.bookStock[i], ...cat }))
+            };
+        });
+
+        if (Array.isArray(compact.staff)) {
+            data.staff = compact.staff.map(member => (
+                member && typeof member === 'object' ? { ...SHARE_CODE_STAFF_DEFAULTS, history: [], ...member } : member
+            ));
+        }
+
+        // Synergies come from the floor layout - rebuild them so they don't all announce themselves again
+        if (compact.activeSynergies === undefined) {
+            data.activeSynergies = this.findSynergies(data.floors.filter(floor => floor && floor.typeId));
+        }
+        return data;
+    }
+
+    /**
+     * Encode the current save as a compact, URL-safe share code
+     * Format: "SL1" + "z" (deflate-raw) or "j" (plain JSON) + base64url
+     */
+    async exportShareCode() {
+        this.save();
+        const json = JSON.stringify(this.compactSaveData(this.storage.readSave(this.saveKey)));
+        let bytes = new TextEncoder().encode(json);
+        let format = 'j';
+
+        if (typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+            format = 'z';
+        }
+
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        const base64url = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+        return `SL1${format}${base64url}`;
+    }
+
+    /**
+     * Decode a share code and validate it exactly like an imported save file
+     * Returns the same result shape as validateSaveFile()
+     */
+    async decodeShareCode(code) {
+        const trimmed = (code || '').replace(/\s+/g, '');
+        const match = trimmed.match(/^SL1([zj])([A-Za-z0-9_-]+)$/);
+        if (!match) {
+            return { success: false, error: 'That is not a SimLibrary share code' };
+        }
+
+        let json;
+        try {
+            const base64 = match[2].replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+            let bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+
+            if (match[1] === 'z') {
+                if (typeof DecompressionStream === 'undefined') {
+                    return { success: false, error: 'This browser cannot read compressed share codes' };
+                }
+                const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+            json = new TextDecoder().decode(bytes);
+        } catch (e) {
+            return { success: false, error: 'Share code is damaged or incomplete' };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            return { success: false, error: 'Share code is damaged or incomplete' };
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { success: false, error: 'That is not a SimLibrary share code' };
+        }
+
+        return this.validateSaveData(this.expandSaveData(data));
+    }
+
+    /**
+     * Replace the current save with a payload from validateSaveFile()
+     * The current tower is backed up first. The caller should reload the page
+     * afterwards to start the imported tower.
+     */
+    importSave(data, backupReason = 'import') {
+        this.createBackup(backupReason);
+        this.storage.writeSave(this.saveKey, data);
+
+        // Stop this session's tick from overwriting the import before the reload
+        this._saveLocked = true;
+
+        return { success: true };
+    }
+
+    /**
+     * Snapshot the current save into the backup ring for the given reason
+     */
+    createBackup(reason) {
+        // A locked save is never written, but what's on disk is still worth keeping
+        if (!this._saveLocked) {
+            this.save();
+        }
+        return SaveBackups.create(this.storage, this.saveKey, this.storage.readSave(this.saveKey), reason, this.clock.now());
+    }
+
+    /**
+     * Take the hourly/daily backups when they are due
+     */
+    checkBackups(now = this.clock.now()) {
+        if (this._saveLocked) return;
+
+        const backups = this.listBackups();
+        ['hourly', 'daily'].forEach(reason => {
+            const latest = backups.find(b => b.reason === reason);
+            if (!latest || now - latest.createdAt >= SaveBackups.policy[reason].interval) {
+                this.createBackup(reason);
+            }
+        });
+    }
+
+    /**
+     * Backups of this tower, newest first
+     */
+    listBackups() {
+        return SaveBackups.list(this.storage, this.saveKey);
+    }
+
+    /**
+     * Replace the current save with a backup (the current state is backed up first)
+     * The caller should reload the page afterwards, like importSave()
+     */
+    restoreBackup(backupId) {
+        const data = SaveBackups.read(this.storage, this.saveKey, backupId);
+        if (!data) {
+            return { success: false, error: 'Backup not found' };
+        }
+        return this.importSave(data, 'restore');
+    }
+
+    /**
+     * Save one last time and stop saving, so the page can reload into another slot
+     */
+    releaseSlot() {
+        this.save();
+        this._saveLocked = true;
+    }
+
+    /**
+     * Load from the storage adapter
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = this.storage.readSave(this.saveKey);
+        } catch (e) {
+            console.error('Failed to read save:', e);
+        }
+
+        if (saved) {
+            try {
+                // Bring older saves up to the current schema before hydrating
+                const data = migrateSaveData(saved);
+                restorePersistedFields(this, data);
+
+                // Older saves only tracked lifetime stars inside stats
+                if (data.totalStarsEarned === undefined) {
+                    this.totalStarsEarned = this.stats.totalStarsEarned || 0;
+                }
+
+                // Carry on from the saved game time - time away still counts,
+                // but time spent paused stays paused
+                if (Number.isFinite(data.clockOffset)) {
+                    this.clock.setTime(Date.now() + data.clockOffset);
+                }
 
                 // Ensure basement exists (auto-create or migrate)
                 this.ensureBasement();
+                this.normalizeStaffRoster();
+
+                // Shelves, payouts and restock prices follow the current tier table
+                this.floors.forEach(floor => this.applyUpgradeTier(floor));
 
                 // Process any time-based events that happened while offline
                 this.processOfflineProgress(data.timestamp);
@@ -5643,6 +8127,18 @@ class GameState {
                 this.updateSeasonAndHoliday();
             } catch (e) {
                 console.error('Failed to load save:', e);
+                // Keep the stored save intact - play a throwaway tower this session
+                this._saveLocked = true;
+                if (e instanceof SaveVersionError) {
+                    this._saveLoadError = {
+                        message: 'This save was made by a newer version of SimLibrary. Please update the app to continue that tower.',
+                        saveVersion: e.saveVersion
+                    };
+                } else {
+                    this._saveLoadError = {
+                        message: `This save couldn't be loaded (${e.message}). It has been left untouched - you can restore a backup from Save & Load.`
+                    };
+                }
                 this.initializeNewGame();
             }
         } else {
@@ -5660,28 +8156,11 @@ class GameState {
     processOfflineProgress(lastSaveTime) {
         if (!lastSaveTime) return;
 
-        const now = Date.now();
+        const now = this.clock.now();
         const offlineTime = now - lastSaveTime;
 
         if (offlineTime < 1000) return; // Less than 1 second offline
 
-        // Complete any constructions that finished while offline
-        this.floors.forEach(floor => {
-            if (floor.status === 'building' && floor.buildEndTime <= now) {
-                floor.status = 'ready';
-            }
-        });
-
-        // Complete any restocking that finished while offline
-        this.floors.forEach(floor => {
-            floor.bookStock.forEach(category => {
-                if (category.restocking && category.restockEndTime <= now) {
-                    category.currentStock = category.maxStock;
-                    category.restocking = false;
-                }
-            });
-        });
-
         // Clear any stale readers
         this.readers = [];
 
@@ -5691,50 +8170,177 @@ class GameState {
         const MAX_OFFLINE_TIME = totalOfflineHours * 60 * 60 * 1000;
         const cappedOfflineTime = Math.min(offlineTime, MAX_OFFLINE_TIME);
 
-        // Calculate offline earnings (very conservative)
-        // Assume 1 reader every 30 seconds while offline (much slower than active play)
-        const offlineSeconds = Math.floor(cappedOfflineTime / 1000);
-        const offlineReaderCount = Math.floor(offlineSeconds / 30);
+        const offline = this.simulateOfflinePeriod(now - cappedOfflineTime, now);
+        const offlineEarnings = offline.stars;
+
+        // Show the welcome back summary if significant time passed
+        if (offlineTime > 60000 && offlineEarnings > 0) { // More than 1 minute
+            const hours = Math.floor(cappedOfflineTime / 3600000);
+            const minutes = Math.floor((cappedOfflineTime % 3600000) / 60000);
+            let timeString = '';
+            if (hours > 0) timeString += `${hours}h `;
+            if (minutes > 0) timeString += `${minutes}m`;
+
+            // Store offline earnings message to show on next UI render
+            this._offlineEarningsMessage = {
+                time: timeString,
+                stars: offlineEarnings,
+                capped: offlineTime > MAX_OFFLINE_TIME,
+                capHours: totalOfflineHours,
+                floors: offline.floors.filter(f => f.stars > 0 || f.restocksFinished > 0 || f.ranOut)
+            };
+        }
+
+        this.markDirty();
+    }
 
-        // Get average earning rate across all stocked categories
-        let totalEarningRate = 0;
-        let stockedCategoryCount = 0;
+    /**
+     * Coarse catch-up of the tick() rules between two times, a minute at a time
+     * Builds and restocks finish, readers arrive at the normal spawn rate and
+     * drain stock, trash builds up and custodians clean. The game clock moves on
+     * too, so staff work their own shifts. Nobody restocks an empty shelf while
+     * the player is away, so a tower earns what it had stocked.
+     * Returns { stars, floors: [{ floorId, name, emoji, stars, books, restocksFinished, ranOut }] }
+     */
+    simulateOfflinePeriod(startTime, endTime) {
+        const stepSeconds = 60;
+        // Average books per reader from spawnReader's 4-12s browse at 1.5s per book
+        const booksPerReader = 4.8;
 
+        const results = new Map();
         this.floors.forEach(floor => {
-            if (floor.status === 'ready') {
-                floor.bookStock.forEach(category => {
-                    if (category.currentStock > 0) {
-                        totalEarningRate += category.earningRate;
-                        stockedCategoryCount++;
-                    }
-                });
-            }
+            results.set(floor.id, {
+                floorId: floor.id,
+                name: floor.name,
+                emoji: floor.emoji,
+                stars: 0,
+                books: 0,
+                restocksFinished: 0,
+                ranOut: false
+            });
         });
 
-        if (stockedCategoryCount > 0) {
-            const avgEarningRate = totalEarningRate / stockedCategoryCount;
-            const offlineEarnings = Math.floor(offlineReaderCount * avgEarningRate * 0.5); // 50% of active earning rate
-
-            this.stars += offlineEarnings;
-
-            // Show notification on next load if significant time passed
-            if (offlineTime > 60000 && offlineEarnings > 0) { // More than 1 minute
-                const hours = Math.floor(cappedOfflineTime / 3600000);
-                const minutes = Math.floor((cappedOfflineTime % 3600000) / 60000);
-                let timeString = '';
-                if (hours > 0) timeString += `${hours}h `;
-                if (minutes > 0) timeString += `${minutes}m`;
-
-                // Store offline earnings message to show on next UI render
-                this._offlineEarningsMessage = {
-                    time: timeString,
-                    stars: offlineEarnings,
-                    capped: offlineTime > MAX_OFFLINE_TIME
-                };
+        // Fractional stars and books carried between steps, rounded at the end
+        let exactStars = 0;
+        let totalBooks = 0;
+        const soldBooks = new Map(); // category -> books sold, not yet taken off the shelf
+
+        const finishTimers = time => {
+            this.floors.forEach(floor => {
+                if (floor.status === 'building' && floor.buildEndTime <= time) {
+                    floor.status = 'ready';
+                    this.invalidatePlacementLinks();
+                }
+                // Shelves that get refilled start from full again
+                const refilling = floor.bookStock.filter(category =>
+                    category.restocking || this.isRestockQueued(floor, floor.bookStock.indexOf(category))
+                );
+                const finished = this.processRestockQueue(floor, time);
+                if (finished > 0) {
+                    refilling.forEach(category => {
+                        if (!category.restocking && category.currentStock >= category.maxStock) {
+                            soldBooks.delete(category);
+                        }
+                    });
+                    results.get(floor.id).restocksFinished += finished;
+                }
+            });
+        };
+
+        // Anything that finished before the capped window still finishes
+        finishTimers(startTime);
+
+        for (let time = startTime; time < endTime; time += stepSeconds * 1000) {
+            const seconds = Math.min(stepSeconds, (endTime - time) / 1000);
+            finishTimers(time);
+
+            // Same floor rules as spawnReader(): full trash or an incident keeps readers away
+            const openFloors = this.floors.filter(f =>
+                f.status === 'ready' &&
+                (f.trash === undefined || f.trash < 100) &&
+                (!f.incidents || Object.keys(f.incidents).length === 0)
+            );
+            if (openFloors.length === 0) continue;
+
+            // Missing bathrooms turn away 30% of readers
+            const regularFloors = this.floors.filter(f =>
+                f.status === 'ready' && f.typeId !== 'bathroom' && f.typeId !== 'basement'
+            ).length;
+            const bathroomCount = this.floors.filter(f => f.typeId === 'bathroom' && f.status === 'ready').length;
+            const bathroomFactor = bathroomCount < Math.floor(regularFloors / 10) ? 0.7 : 1;
+
+            const readersPerFloor = this.getReaderSpawnChance() * seconds * bathroomFactor / openFloors.length;
+            const trashPerReader = Math.pow(0.7, this.getEffectiveBathroomCount());
+
+            openFloors.forEach(floor => {
+                const result = results.get(floor.id);
+                // Readers only pick stocked categories unlocked by staff
+                const available = floor.bookStock.filter((category, idx) =>
+                    this.isCategoryUnlocked(floor, idx) && category.currentStock - (soldBooks.get(category) || 0) > 0
+                );
+                if (available.length === 0) return;
+
+                const readersPerCategory = readersPerFloor / available.length;
+                available.forEach(category => {
+                    const sold = soldBooks.get(category) || 0;
+                    const books = Math.min(readersPerCategory * booksPerReader, category.currentStock - sold);
+                    soldBooks.set(category, sold + books);
+                    if (sold + books >= category.currentStock) result.ranOut = true;
+
+                    const earnings = this.computeCheckoutEarnings({
+                        earningAmount: Math.max(1, Math.floor(category.earningRate * 0.3)),
+                        booksToCheckout: books
+                    }, floor);
+                    exactStars += earnings.exact;
+                    result.stars += earnings.exact;
+                    result.books += books;
+                    totalBooks += books;
+                });
+
+                if (floor.trash !== undefined) {
+                    floor.trash = Math.min(100, floor.trash + readersPerFloor * trashPerReader);
+                }
+            });
+
+            // Game time moves a second at a time like in tick(), so staff come on and off
+            // shift, tire and rest, and custodians clean on their own schedule
+            for (let i = 0; i < seconds; i++) {
+                this.updateStaffShifts();
+                this.runContinuousCleaning();
+                this.stats.timePlayed += 1;
             }
         }
+        finishTimers(endTime);
 
-        this.save();
+        // Take the sold books off the shelves
+        this.floors.forEach(floor => {
+            floor.bookStock.forEach(category => {
+                const sold = soldBooks.get(category);
+                if (sold) {
+                    category.currentStock = Math.max(0, Math.floor(category.currentStock - sold));
+                }
+            });
+        });
+
+        // Staff learn from the books they checked out while you were away
+        this.floors.forEach(floor => {
+            this.awardStaffXP(floor, Math.floor(results.get(floor.id).books) * this.staffProgression.xpPerBook);
+        });
+
+        const earned = Math.floor(exactStars);
+        this.stars += earned;
+        this.xp += earned;
+        this.stats.totalStarsEarned += earned;
+        this.stats.totalBooksCheckedOut += Math.floor(totalBooks);
+
+        return {
+            stars: earned,
+            floors: [...results.values()].map(result => ({
+                ...result,
+                stars: Math.floor(result.stars),
+                books: Math.floor(result.books)
+            }))
+        };
     }
 
     /**
@@ -5761,10 +8367,9 @@ class GameState {
             emoji: basementType.emoji,
             color: basementType.color,
             status: 'ready', // Basement starts ready
-            buildStartTime: Date.now(),
-            buildEndTime: Date.now(),
+            buildStartTime: this.clock.now(),
+            buildEndTime: this.clock.now(),
             upgradeLevel: 1,
-            staff: [], // No staff initially - need to hire
             bookStock: [],
             trash: 0
         };
@@ -5784,6 +8389,7 @@ class GameState {
         this.floors = [];
         this.nextFloorSlot = 1;
         this.readers = [];
+        this.staff = [];
 
         // Auto-create basement
         this.ensureBasement();
@@ -5794,10 +8400,12 @@ class GameState {
         const starterFloor = this.floors.find(f => f.typeId === 'board_books');
         if (starterFloor) {
             starterFloor.status = 'ready';
-            starterFloor.buildEndTime = Date.now();
+            starterFloor.buildEndTime = this.clock.now();
+            this.invalidatePlacementLinks();
         }
         // Give back the cost so player starts with 1000 stars + one free floor
         this.stars = 1000;
+        this.ledger = { today: null, days: [] };
 
         this.save();
     }
@@ -5806,7 +8414,12 @@ class GameState {
      * Reset game (debug)
      */
     reset() {
-        localStorage.removeItem('simlibrary_save_v2');
+        // Keep a way back in case the restart was a mis-tap
+        this.createBackup('reset');
+        this.storage.removeSave(this.saveKey);
+        // Restarting is an explicit choice, so saving is allowed again
+        this._saveLocked = false;
+        this._saveLoadError = null;
         this.initializeNewGame();
     }
 
@@ -5833,8 +8446,9 @@ class GameState {
                 const floor = this.floors.find(f => f.typeId === type);
                 if (floor) {
                     floor.status = 'ready';
-                    floor.buildEndTime = Date.now();
+                    floor.buildEndTime = this.clock.now();
                     floor.upgradeLevel = 2;
+                    this.invalidatePlacementLinks();
                     // Stock books
                     floor.bookStock.forEach(cat => {
                         cat.currentStock = Math.floor(cat.maxStock * 0.7);
@@ -5851,18 +8465,15 @@ class GameState {
                 const emojis = ['👩‍💼', '👨‍💼', '👩‍🏫', '👨‍🏫', '📚', '🎓'];
 
                 for (let i = 0; i < 2; i++) {
-                    floor.staff.push({
-                        id: this.generateId(),
+                    this.addStaffMember({
                         typeId: staffTypes[i % 3],
                         name: names[(index * 2 + i) % names.length],
                         typeName: staffTypes[i % 3].charAt(0).toUpperCase() + staffTypes[i % 3].slice(1),
                         emoji: emojis[(index * 2 + i) % emojis.length],
                         color: '#4A90D9',
                         skill: 3 + (i % 3),
-                        dreamGenre: floor.typeId,
-                        isDreamMatch: true,
-                        hiredAt: Date.now()
-                    });
+                        dreamGenre: floor.typeId
+                    }, floor, i);
                 }
             }
         });
@@ -5885,10 +8496,32 @@ class GameState {
         this.spawnVIP();
 
         // Set a nice time of day
-        this.lastTickTime = Date.now();
+        this.lastTickTime = this.clock.now();
 
         this.save();
 
         return { success: true, message: 'Screenshot state ready! Reload the app.' };
     }
 }
+
+// Node (tools/) - browsers load this file with a <script> tag and use the globals
+if (typeof module !== 'undefined' && module.exports) {
+    // In the browser storage.js is loaded first; in Node pull it in ourselves
+    if (typeof GameStorage === 'undefined') {
+        global.GameStorage = require('./storage.js').GameStorage;
+    }
+
+    module.exports = {
+        SAVE_VERSION,
+        SAVE_MIGRATIONS,
+        PERSISTED_FIELDS,
+        SeededRandom,
+        SimClock,
+        SaveVersionError,
+        SaveSlots,
+        SaveBackups,
+        migrateSaveData,
+        summarizeSaveData,
+        GameState
+    };
+}
@@ -0,0 +1,424 @@
+/**
+ * SimLibrary - QR code generator
+ * Minimal byte-mode encoder (versions 1-40) used to show share codes,
+ * so moving a tower between devices needs no network or extra library.
+ */
+
+/*
+ * Adapted from the QR Code generator library by Project Nayuki:
+ *
+ * QR Code generator library (TypeScript)
+ * Copyright (c) Project Nayuki. (MIT License)
+ * https://www.nayuki.io/page/qr-code-generator-library
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ * - The above copyright notice and this permission notice shall be included in
+ *   all copies or substantial portions of the Software.
+ * - The Software is provided "as is", without warranty of any kind, express or
+ *   implied, including but not limited to the warranties of merchantability,
+ *   fitness for a particular purpose and noninfringement. In no event shall the
+ *   authors or copyright holders be liable for any claim, damages or other
+ *   liability, whether in an action of contract, tort or otherwise, arising from,
+ *   out of or in connection with the Software or the use or other dealings in the
+ *   Software.
+ */
+
+const QRCode = {
+    // Error correction levels: format bits and table row
+    levels: {
+        L: { formatBits: 1, index: 0 },
+        M: { formatBits: 0, index: 1 },
+        Q: { formatBits: 3, index: 2 },
+        H: { formatBits: 2, index: 3 }
+    },
+
+    // ECC codewords per block, by level then version (index 0 unused)
+    eccCodewordsPerBlock: [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ],
+
+    // Number of error correction blocks, by level then version (index 0 unused)
+    numErrorCorrectionBlocks: [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ],
+
+    /**
+     * Most bytes of text a QR code can hold at a level (version 40, byte mode)
+     */
+    getMaxBytes(level = 'L') {
+        return Math.floor((this.getNumDataCodewords(40, this.levels[level]) * 8 - 4 - 16) / 8);
+    },
+
+    /**
+     * Encode text as a QR code
+     * Returns { size, modules } (modules[y][x] true = dark), or null if the text doesn't fit
+     */
+    encode(text, level = 'L') {
+        const ecl = this.levels[level];
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        // Smallest version that holds the data
+        let version = 1;
+        for (; version <= 40; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (bytes.length < (1 << countBits) &&
+                4 + countBits + bytes.length * 8 <= this.getNumDataCodewords(version, ecl) * 8) {
+                break;
+            }
+        }
+        if (version > 40) return null;
+
+        // Byte mode segment, terminator and padding
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        const capacityBits = this.getNumDataCodewords(version, ecl) * 8;
+        appendBits(0x4, 4);
+        appendBits(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(b => appendBits(b, 8));
+        appendBits(0, Math.min(4, capacityBits - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const dataCodewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            dataCodewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+
+        const qr = this.createGrid(version);
+        this.drawFunctionPatterns(qr, version);
+        this.drawCodewords(qr, this.addEccAndInterleave(dataCodewords, version, ecl));
+
+        // Pick the mask with the lowest penalty
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(qr, mask);
+            this.drawFormatBits(qr, ecl, mask);
+            const penalty = this.getPenaltyScore(qr);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(qr, mask); // XOR again to undo
+        }
+        this.applyMask(qr, bestMask);
+        this.drawFormatBits(qr, ecl, bestMask);
+
+        return { size: qr.size, modules: qr.modules };
+    },
+
+    /**
+     * Draw a QR code onto a canvas with a quiet zone around it
+     */
+    drawToCanvas(canvas, qr, scale = 4, border = 4) {
+        const size = (qr.size + border * 2) * scale;
+        canvas.width = size;
+        canvas.height = size;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, size, size);
+        ctx.fillStyle = '#000000';
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (qr.modules[y][x]) {
+                    ctx.fillRect((x + border) * scale, (y + border) * scale, scale, scale);
+                }
+            }
+        }
+    },
+
+    createGrid(version) {
+        const size = version * 4 + 17;
+        return {
+            size: size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+    },
+
+    setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    },
+
+    /**
+     * Finder, timing, alignment, version and (placeholder) format patterns
+     */
+    drawFunctionPatterns(qr, version) {
+        const size = qr.size;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(qr, x, y, dist !== 2 && dist !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = this.getAlignmentPatternPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                // Skip the three corners that hold finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas now; the real bits are drawn once the mask is chosen
+        this.drawFormatBits(qr, this.levels.L, 0);
+
+        if (version >= 7) {
+            let rem = version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (version << 12) | rem;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(qr, a, b, dark);
+                this.setFunctionModule(qr, b, a, dark);
+            }
+        }
+    },
+
+    drawFormatBits(qr, ecl, mask) {
+        const data = (ecl.formatBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+        const size = qr.size;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(qr, 8, i, bit(i));
+        this.setFunctionModule(qr, 8, 7, bit(6));
+        this.setFunctionModule(qr, 8, 8, bit(7));
+        this.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(qr, 14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(qr, 8, size - 8, true); // Always-dark module
+    },
+
+    getAlignmentPatternPositions(version) {
+        if (version === 1) return [];
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    },
+
+    getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    },
+
+    getNumDataCodewords(version, ecl) {
+        return Math.floor(this.getNumRawDataModules(version) / 8) -
+            this.eccCodewordsPerBlock[ecl.index][version] * this.numErrorCorrectionBlocks[ecl.index][version];
+    },
+
+    /**
+     * Split data into blocks, add Reed-Solomon ECC to each, and interleave
+     */
+    addEccAndInterleave(data, version, ecl) {
+        const numBlocks = this.numErrorCorrectionBlocks[ecl.index][version];
+        const blockEccLen = this.eccCodewordsPerBlock[ecl.index][version];
+        const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = this.reedSolomonComputeDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = this.reedSolomonComputeRemainder(dat, divisor);
+            if (i < numShortBlocks) dat.push(0);
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte in short blocks
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    },
+
+    reedSolomonComputeDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.reedSolomonMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.reedSolomonMultiply(root, 0x02);
+        }
+        return result;
+    },
+
+    reedSolomonComputeRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= this.reedSolomonMultiply(coef, factor);
+            });
+        });
+        return result;
+    },
+
+    reedSolomonMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    /**
+     * Place data bits in the zigzag order, skipping function modules
+     */
+    drawCodewords(qr, data) {
+        const size = qr.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!qr.isFunction[y][x] && i < data.length * 8) {
+                        qr.modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    },
+
+    applyMask(qr, mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        const invert = patterns[mask];
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && invert(x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    },
+
+    /**
+     * Standard mask penalty: long runs, 2x2 blocks, finder look-alikes, dark balance
+     */
+    getPenaltyScore(qr) {
+        const size = qr.size;
+        const m = qr.modules;
+        let penalty = 0;
+
+        const scoreLine = (get) => {
+            let runColor = get(0);
+            let runLength = 1;
+            let line = '';
+            for (let i = 0; i < size; i++) {
+                const dark = get(i);
+                line += dark ? '1' : '0';
+                if (i === 0) continue;
+                if (dark === runColor) {
+                    runLength++;
+                    if (runLength === 5) penalty += 3;
+                    else if (runLength > 5) penalty += 1;
+                } else {
+                    runColor = dark;
+                    runLength = 1;
+                }
+            }
+            // Finder-like 1:1:3:1:1 with four light modules on either side
+            const padded = '0000' + line + '0000';
+            for (let i = 0; (i = padded.indexOf('1011101', i)) !== -1; i++) {
+                if (padded.substr(i - 4, 4) === '0000' || padded.substr(i + 7, 4) === '0000') {
+                    penalty += 40;
+                }
+            }
+        };
+
+        for (let y = 0; y < size; y++) scoreLine(x => m[y][x]);
+        for (let x = 0; x < size; x++) scoreLine(y => m[y][x]);
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (m[y][x]) dark++;
+                if (x < size - 1 && y < size - 1 &&
+                    m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        penalty += Math.max(0, k) * 10;
+
+        return penalty;
+    }
+};
@@ -0,0 +1,409 @@
+/**
+ * SimLibrary - Storage adapters
+ * Everything GameState persists goes through one of these, so the game
+ * doesn't care whether saves live in IndexedDB, localStorage or memory.
+ *
+ * All adapters share one synchronous interface (reads come from memory):
+ *   getItem/setItem/removeItem - small string values (e.g. the save slot list)
+ *   readSave/writeSave/removeSave - whole save payloads as plain objects
+ *   ready() - resolves once the adapter can be used
+ *   flush() - resolves once pending writes have reached disk
+ */
+
+/**
+ * True if an error means the browser refused to store more data
+ */
+function isQuotaExceededError(error) {
+    return !!error && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22
+    );
+}
+
+/**
+ * Shared save handling for adapters that store saves as single JSON strings
+ */
+class StorageAdapter {
+    constructor() {
+        this.name = 'base';
+    }
+
+    ready() {
+        return Promise.resolve(this);
+    }
+
+    flush() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Read a save as a fresh object (never shared with the live game)
+     */
+    readSave(key) {
+        const saved = this.getItem(key);
+        return saved ? JSON.parse(saved) : null;
+    }
+
+    writeSave(key, data) {
+        return this.setItem(key, JSON.stringify(data));
+    }
+
+    removeSave(key) {
+        this.removeItem(key);
+    }
+
+    /**
+     * Tell the player storage is full (wired up by GameStorage)
+     */
+    reportQuotaExceeded(error) {
+        console.error(`[Storage] ${this.name} is full:`, error);
+        GameStorage.handleQuotaExceeded(error);
+    }
+}
+
+/**
+ * Saves as synchronous localStorage strings - the original behaviour, used
+ * when IndexedDB isn't available (e.g. some private browsing modes)
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.name = 'localStorage';
+    }
+
+    getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    /**
+     * Returns false if the write was refused because storage is full
+     */
+    setItem(key, value) {
+        try {
+            localStorage.setItem(key, value);
+            return true;
+        } catch (e) {
+            if (isQuotaExceededError(e)) {
+                this.reportQuotaExceeded(e);
+                return false;
+            }
+            throw e;
+        }
+    }
+
+    removeItem(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * Keeps everything in memory - nothing survives a reload
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.name = 'memory';
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+        return true;
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * IndexedDB storage with an in-memory cache
+ * Everything is preloaded by ready() so reads stay synchronous. Saves are
+ * written at most once per flushDelay, and only the top-level fields whose
+ * JSON changed since the last write are put, so a tick that only moves
+ * readers doesn't rewrite the achievements or floor list.
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor(dbName = 'simlibrary', flushDelay = 2000) {
+        super();
+        this.name = 'IndexedDB';
+        this.dbName = dbName;
+        this.flushDelay = flushDelay;
+        this.db = null;
+
+        this.items = new Map(); // key -> string
+        this.saves = new Map(); // save key -> payload snapshot
+        this.writtenFields = new Map(); // save key -> Map(field -> JSON last written)
+        this.dirtySaves = new Set();
+        this.pendingItems = new Map(); // key -> string, or null to delete
+        this.flushTimer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Open the database and preload every record into memory
+     */
+    async ready() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('items');
+                db.createObjectStore('saveFields'); // keyed by [saveKey, field]
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const tx = this.db.transaction(['items', 'saveFields'], 'readonly');
+        const [itemKeys, itemValues, fieldKeys, fieldValues] = await Promise.all([
+            this.request(tx.objectStore('items').getAllKeys()),
+            this.request(tx.objectStore('items').getAll()),
+            this.request(tx.objectStore('saveFields').getAllKeys()),
+            this.request(tx.objectStore('saveFields').getAll())
+        ]);
+
+        itemKeys.forEach((key, i) => this.items.set(key, itemValues[i]));
+
+        const fieldsBySave = new Map();
+        fieldKeys.forEach(([saveKey, field], i) => {
+            if (!fieldsBySave.has(saveKey)) fieldsBySave.set(saveKey, new Map());
+            fieldsBySave.get(saveKey).set(field, fieldValues[i]);
+        });
+        fieldsBySave.forEach((fields, saveKey) => {
+            const data = {};
+            fields.forEach((json, field) => {
+                data[field] = JSON.parse(json);
+            });
+            this.saves.set(saveKey, data);
+            this.writtenFields.set(saveKey, fields);
+        });
+
+        // First run on IndexedDB - bring over saves made with localStorage
+        if (!this.items.has('migratedFromLocalStorage')) {
+            this.importFromLocalStorage();
+            this.setItem('migratedFromLocalStorage', String(Date.now()));
+            await this.flush();
+        }
+
+        return this;
+    }
+
+    /**
+     * Copy slot registry, backup lists and saves from localStorage (left in place as a fallback)
+     */
+    importFromLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            try {
+                if (key === SaveSlots.registryKey || key.startsWith('simlibrary_backups_')) {
+                    this.setItem(key, localStorage.getItem(key));
+                } else if (key.startsWith('simlibrary_save_v2')) {
+                    this.writeSave(key, JSON.parse(localStorage.getItem(key)));
+                }
+            } catch (e) {
+                console.error(`[Storage] Could not import ${key}:`, e);
+            }
+        }
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+        this.pendingItems.set(key, String(value));
+        this.scheduleFlush();
+        return true;
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+        this.pendingItems.set(key, null);
+        this.scheduleFlush();
+    }
+
+    readSave(key) {
+        const data = this.saves.get(key);
+        return data ? JSON.parse(JSON.stringify(data)) : null;
+    }
+
+    /**
+     * Remember a snapshot of the payload and write it on the next flush
+     * The payload shares objects with live game state, so it's copied now rather than at flush time.
+     */
+    writeSave(key, data) {
+        this.saves.set(key, JSON.parse(JSON.stringify(data)));
+        this.dirtySaves.add(key);
+        this.scheduleFlush();
+        return true;
+    }
+
+    removeSave(key) {
+        this.saves.delete(key);
+        this.dirtySaves.add(key);
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+    }
+
+    /**
+     * Write everything pending in one transaction
+     */
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        // Let an in-progress flush finish first so writes land in order
+        if (this.flushing) {
+            await this.flushing;
+        }
+        if (!this.db || (this.dirtySaves.size === 0 && this.pendingItems.size === 0)) {
+            return;
+        }
+
+        const tx = this.db.transaction(['items', 'saveFields'], 'readwrite');
+        const itemStore = tx.objectStore('items');
+        const fieldStore = tx.objectStore('saveFields');
+
+        const items = this.pendingItems;
+        this.pendingItems = new Map();
+        items.forEach((value, key) => {
+            if (value === null) itemStore.delete(key);
+            else itemStore.put(value, key);
+        });
+
+        // Work out changed fields now, but only record them as written once committed
+        const written = new Map();
+        const dirty = this.dirtySaves;
+        this.dirtySaves = new Set();
+        dirty.forEach(saveKey => {
+            const data = this.saves.get(saveKey);
+            const previous = this.writtenFields.get(saveKey) || new Map();
+            if (!data) {
+                fieldStore.delete(IDBKeyRange.bound([saveKey], [saveKey, []]));
+                written.set(saveKey, null);
+                return;
+            }
+
+            const fields = new Map();
+            Object.keys(data).forEach(field => {
+                if (data[field] === undefined) return;
+                const json = JSON.stringify(data[field]);
+                fields.set(field, json);
+                if (previous.get(field) !== json) {
+                    fieldStore.put(json, [saveKey, field]);
+                }
+            });
+            previous.forEach((json, field) => {
+                if (!fields.has(field)) fieldStore.delete([saveKey, field]);
+            });
+            written.set(saveKey, fields);
+        });
+
+        this.flushing = new Promise(resolve => {
+            tx.oncomplete = () => {
+                written.forEach((fields, saveKey) => {
+                    if (fields) this.writtenFields.set(saveKey, fields);
+                    else this.writtenFields.delete(saveKey);
+                });
+                resolve();
+            };
+            tx.onabort = () => {
+                // Put everything back so the next flush retries it
+                dirty.forEach(saveKey => this.dirtySaves.add(saveKey));
+                items.forEach((value, key) => {
+                    if (!this.pendingItems.has(key)) this.pendingItems.set(key, value);
+                });
+                if (isQuotaExceededError(tx.error)) {
+                    this.reportQuotaExceeded(tx.error);
+                } else {
+                    console.error('[Storage] IndexedDB write failed:', tx.error);
+                }
+                resolve();
+            };
+        });
+
+        await this.flushing;
+        this.flushing = null;
+    }
+}
+
+/**
+ * Holds the storage adapter the game is using
+ * Starts on localStorage so everything works synchronously; init() upgrades to
+ * IndexedDB when the browser supports it.
+ */
+const GameStorage = {
+    adapter: typeof localStorage !== 'undefined' ? new LocalStorageAdapter() : new MemoryStorageAdapter(),
+
+    // Set by the UI to tell the player their device is out of space
+    onQuotaExceeded: null,
+
+    /**
+     * Pick the best available adapter and wait for it to load
+     */
+    async init() {
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                this.adapter = await new IndexedDBStorageAdapter().ready();
+            } catch (e) {
+                console.error('[Storage] IndexedDB unavailable, using localStorage:', e);
+            }
+        }
+
+        // Don't lose the last couple of seconds when the tab closes
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', () => this.flush());
+        }
+
+        return this.adapter;
+    },
+
+    flush() {
+        return this.adapter.flush();
+    },
+
+    handleQuotaExceeded(error) {
+        if (this.onQuotaExceeded) {
+            this.onQuotaExceeded(error);
+        }
+    }
+};
+
+// Node (tools/) - browsers load this file with a <script> tag and use the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isQuotaExceededError,
+        StorageAdapter,
+        LocalStorageAdapter,
+        MemoryStorageAdapter,
+        IndexedDBStorageAdapter,
+        GameStorage
+    };
+}
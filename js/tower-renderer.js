@@ -76,6 +76,9 @@ class TowerRenderer {
         // VIP Escort mode
         this.isVIPEscortMode = false;
 
+        // Placement overlay (links between neighboring floors)
+        this.showPlacementLinks = false;
+
         // Animation frame
         this.animationFrame = null;
 
@@ -941,6 +944,11 @@ class TowerRenderer {
         // Draw elevator car(s) with readers
         this.drawElevators();
 
+        // Draw placement links between floors
+        if (this.showPlacementLinks && !this.isReorderMode) {
+            this.drawPlacementLinks(baseY);
+        }
+
         // Draw "Build Floor" button at top
         if (this.game.floors.length < this.game.maxFloors) {
             const buildY = baseY - (floorsReversed.length + 2) * this.floorHeight; // +2 for lobby
@@ -1565,7 +1573,7 @@ class TowerRenderer {
      * Draw elevator car(s) with readers
      */
     drawElevators() {
-        const now = Date.now();
+        const now = this.game.clock.now();
 
         // Group readers by elevator (for now, one reader per elevator)
         const readersInElevator = this.game.readers.filter(r =>
@@ -1623,7 +1631,7 @@ class TowerRenderer {
      * Draw a floor under construction
      */
     drawConstructionFloor(floor, x, y, colors) {
-        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - Date.now()) / 1000));
+        const remaining = Math.max(0, Math.ceil((floor.buildEndTime - this.game.clock.now()) / 1000));
         const progress = 1 - (remaining / (floor.buildEndTime - floor.buildStartTime) * 1000);
 
         // Construction scaffolding (simple lines)
@@ -1702,6 +1710,12 @@ class TowerRenderer {
 
         this.ctx.restore();
 
+        // Upgrade tier badge next to the name banner
+        const tierStyle = this.getTierStyle(floor.upgradeLevel || 1);
+        if (tierStyle) {
+            this.drawTierBadge(floor.upgradeLevel, bannerX + textWidth + padding * 2 + 6, bannerY, bannerHeight, tierStyle);
+        }
+
         // Check if this is a special room or utility room
         const floorType = this.game.floorTypes.find(ft => ft.id === floor.typeId);
         if (floorType && floorType.isSpecialRoom) {
@@ -1715,12 +1729,15 @@ class TowerRenderer {
             const floorsWithoutShelves = ['podcast_studio'];
 
             if (!floorsWithoutShelves.includes(floor.typeId)) {
-                // Draw book shelves (3 categories) - scale with floor size
+                // Draw book shelves (3 categories, up to 5 with upgrades) - scale with floor size
                 const scale = this.getScale();
                 const shelfY = y + this.floorHeight - 65; // Position from bottom to stay consistent regardless of floor height
-                const shelfWidth = 120 * scale;
+                const shelfCount = Math.max(3, floor.bookStock.length);
+                const shelfRoom = this.floorWidth - 60 * scale;
+                // Extra shelves squeeze in narrower with a small gap
+                const shelfWidth = shelfCount > 3 ? (shelfRoom - (shelfCount - 1) * 8 * scale) / shelfCount : 120 * scale;
                 const shelfHeight = 60 * scale;
-                const shelfSpacing = (this.floorWidth - 60 * scale - shelfWidth * 3) / 2;
+                const shelfSpacing = (shelfRoom - shelfWidth * shelfCount) / (shelfCount - 1);
 
                 // Initialize shelf bounds array
                 floor._shelfBounds = [];
@@ -1729,6 +1746,9 @@ class TowerRenderer {
                     let shelfX = x + 40 * scale + index * (shelfWidth + shelfSpacing); // Moved right from 30 to 40
 
                     this.drawBookshelf(category, shelfX, shelfY, shelfWidth, shelfHeight, colors, floor.typeId, scale, index);
+                    if (tierStyle) {
+                        this.drawShelfTrim(shelfX, shelfY, shelfWidth, shelfHeight, scale, tierStyle);
+                    }
 
                     // Store shelf bounds for click detection
                     floor._shelfBounds.push({
@@ -1839,7 +1859,7 @@ class TowerRenderer {
         // Get happiness based on trash (100 - trash = happiness)
         // Check if all 3 staff are working their dream job
         const dreamMatchCount = this.game.getFloorDreamMatchBonus(floor);
-        const allDreamJobs = floor.staff && floor.staff.length === 3 && dreamMatchCount === 3;
+        const allDreamJobs = dreamMatchCount === 3;
 
         let emoji;
         if (allDreamJobs) {
@@ -1901,10 +1921,12 @@ class TowerRenderer {
 
         // Draw player-placed decorations
         if (decorations && decorations.length > 0) {
-            // Position decorations on the floor (left and right corners)
+            // Position decorations on the floor (left and right corners, then up on the wall for upgrade slots)
             const positions = [
-                { x: x + 15, y: y + this.floorHeight - 25 },  // Left corner
-                { x: x + this.floorWidth - 15, y: y + this.floorHeight - 25 }, // Right corner
+                { x: x + 15, y: y + this.floorHeight - 25, size: 48 },  // Left corner
+                { x: x + this.floorWidth - 15, y: y + this.floorHeight - 25, size: 48 }, // Right corner
+                { x: x + this.floorWidth * 0.4, y: y + 42, size: 30 }, // Wall, left of center
+                { x: x + this.floorWidth * 0.6, y: y + 42, size: 30 }  // Wall, right of center
             ];
 
             decorations.forEach((decorId, index) => {
@@ -1913,9 +1935,9 @@ class TowerRenderer {
 
                 const pos = positions[index];
 
-                // Draw decoration emoji (3x larger)
+                // Draw decoration emoji (3x larger, smaller on the wall)
                 this.ctx.save();
-                this.ctx.font = `${this.getEmojiFontSize(48)}px Arial`;
+                this.ctx.font = `${this.getEmojiFontSize(pos.size)}px Arial`;
                 this.ctx.textAlign = 'center';
                 this.ctx.textBaseline = 'middle';
                 this.ctx.fillText(decoration.emoji, pos.x, pos.y);
@@ -2114,6 +2136,67 @@ class TowerRenderer {
         }
     }
 
+    /**
+     * Badge and shelf trim colors for an upgrade level (null at level 1)
+     */
+    getTierStyle(level) {
+        if (level >= 10) return { fill: '#7E57C2', trim: '#B388FF', text: '#FFF', sparkle: true };
+        if (level >= 7) return { fill: '#FFC107', trim: '#FFD54F', text: '#3D2817', sparkle: true };
+        if (level >= 4) return { fill: '#B0BEC5', trim: '#CFD8DC', text: '#263238', sparkle: false };
+        if (level >= 2) return { fill: '#A1887F', trim: '#BCAAA4', text: '#FFF', sparkle: false };
+        return null;
+    }
+
+    /**
+     * Draw a small "Lv N" badge
+     */
+    drawTierBadge(level, x, y, height, style) {
+        const label = `Lv ${level}`;
+
+        this.ctx.save();
+        this.ctx.font = 'bold 11px Arial';
+        const width = this.ctx.measureText(label).width + 12;
+
+        this.ctx.fillStyle = style.fill;
+        this.ctx.beginPath();
+        this.ctx.roundRect(x, y + 2, width, height - 4, (height - 4) / 2);
+        this.ctx.fill();
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = style.text;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(label, x + width / 2, y + height / 2 + 1);
+        this.ctx.restore();
+    }
+
+    /**
+     * Richer shelves on upgraded floors: a colored frame and crown molding, with sparkles at high tiers
+     */
+    drawShelfTrim(x, y, width, height, scale, style) {
+        this.ctx.save();
+        this.ctx.strokeStyle = style.trim;
+        this.ctx.lineWidth = 3 * scale;
+        this.ctx.strokeRect(x - 1 * scale, y - 1 * scale, width + 2 * scale, height + 2 * scale);
+
+        // Crown molding along the top
+        this.ctx.fillStyle = style.fill;
+        this.ctx.fillRect(x - 3 * scale, y - 5 * scale, width + 6 * scale, 4 * scale);
+
+        if (style.sparkle) {
+            // Twinkle gently so the top tiers stand out
+            const twinkle = 0.5 + 0.5 * Math.sin(Date.now() / 400 + x);
+            this.ctx.globalAlpha = twinkle;
+            this.ctx.font = `${this.getEmojiFontSize(10)}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText('✨', x + width - 6 * scale, y - 8 * scale);
+        }
+        this.ctx.restore();
+    }
+
     /**
      * Draw characters on a specific floor
      */
@@ -2167,10 +2250,52 @@ class TowerRenderer {
             this.drawCharacter(char, floorY, reader);
         });
 
+        // Draw the floor's staff on shift
+        this.drawFloorStaff(floor, floorX, floorY);
+
         // Draw wandering bitizen for this floor
         this.drawWanderer(floor, floorX, floorY);
     }
 
+    /**
+     * Draw staff who are on shift at the right of the floor (a coffee cup for those on break)
+     * Off-duty staff aren't drawn, so an understaffed floor looks empty.
+     */
+    drawFloorStaff(floor, floorX, floorY) {
+        const scale = this.getScale();
+
+        this.game.getFloorStaff(floor).forEach((member, i) => {
+            const status = this.game.getStaffDutyStatus(member);
+            if (status === 'off') return;
+
+            const x = floorX + this.floorWidth - (30 + i * 24) * scale;
+            if (status === 'break') {
+                this.ctx.font = `${Math.round(14 * scale)}px Arial`;
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText('☕', x, floorY + this.floorHeight - 12 * scale);
+                return;
+            }
+
+            const appearance = member.appearance || {};
+            const char = {
+                x: x,
+                state: 'working',
+                animationFrame: 0,
+                style: {
+                    skinColor: appearance.skinColor || '#E8B89A',
+                    hairColor: appearance.hairColor || '#4A3728',
+                    hairStyle: 'short',
+                    shirtColor: appearance.shirtColor || member.color || '#4CAF50',
+                    pantsColor: appearance.pantsColor || '#37474F',
+                    hasPattern: false,
+                    patternColor: '#FFF',
+                    hasGlasses: member.typeId === 'librarian'
+                }
+            };
+            this.drawCharacter(char, floorY, { type: 'staff', isRegular: false });
+        });
+    }
+
     /**
      * Draw wandering ambient bitizen on a floor
      */
@@ -2656,7 +2781,7 @@ class TowerRenderer {
 
             // Time remaining indicator (skip for cat - already has cute cat drawing)
             if (visitor.id !== 'cat') {
-                const timeLeft = visitor.endTime - Date.now();
+                const timeLeft = visitor.endTime - this.game.clock.now();
                 const progress = timeLeft / (visitor.endTime - visitor.startTime);
 
                 this.ctx.strokeStyle = '#FFD700';
@@ -2912,6 +3037,74 @@ class TowerRenderer {
         this._buildSlotBounds = { x, y, width: this.floorWidth, height: this.floorHeight };
     }
 
+    /**
+     * Draw placement links as connectors down the right side of the tower
+     * Green links help, red links hurt.
+     */
+    drawPlacementLinks(baseY) {
+        const regularFloors = this.game.floors.filter(f => f.typeId !== 'basement');
+        const links = this.game.getPlacementLinks();
+        if (links.length === 0) return;
+
+        // Floors are drawn bottom to top, with the lobby in the bottom slot
+        const centerY = floorId => {
+            const index = regularFloors.findIndex(f => f.id === floorId);
+            const visualIndex = regularFloors.length - 1 - index;
+            return baseY - (visualIndex + 2) * this.floorHeight + this.floorHeight / 2;
+        };
+
+        // Links that overlap vertically go in side by side columns
+        const placed = [];
+
+        this.ctx.save();
+        links.forEach(link => {
+            const fromY = centerY(link.fromId);
+            const toY = centerY(link.toId);
+            const top = Math.min(fromY, toY);
+            const bottom = Math.max(fromY, toY);
+            let column = 0;
+            while (placed.some(p => p.column === column && p.top < bottom && top < p.bottom)) column++;
+            placed.push({ top, bottom, column });
+
+            const x = this.floorX + this.floorWidth - 40 - column * 30;
+            const color = link.positive ? '#4CAF50' : '#F44336';
+            const midY = (fromY + toY) / 2;
+
+            // Connector
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 4;
+            this.ctx.setLineDash(link.positive ? [] : [8, 5]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, fromY);
+            this.ctx.lineTo(x, toY);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            // End dots
+            this.ctx.fillStyle = color;
+            [fromY, toY].forEach(y => {
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, 5, 0, Math.PI * 2);
+                this.ctx.fill();
+            });
+
+            // Badge on the join between the floors
+            this.ctx.fillStyle = 'white';
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(x, midY, 13, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+
+            this.ctx.font = `${this.getEmojiFontSize(14)}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(link.emoji, x, midY + 1);
+        });
+        this.ctx.restore();
+    }
+
     /**
      * Draw arrow buttons for reordering floors
      */
@@ -3252,7 +3445,7 @@ class TowerRenderer {
                         const cleaned = Math.min(floor.trash, 20);
                         floor.trash -= cleaned;
                         this.spawnTextParticle(clickX, clickY + this.scrollY, `🧹 -${cleaned} trash`, '#4CAF50');
-                        this.game.save();
+                        this.game.markDirty();
                         return;
                     }
                 }
@@ -3263,15 +3456,19 @@ class TowerRenderer {
                         if (clickX >= shelf.x && clickX <= shelf.x + shelf.width &&
                             clickY >= shelf.y && clickY <= shelf.y + shelf.height) {
                             const category = floor.bookStock[shelf.categoryIndex];
-                            // Check if needs restocking and not already restocking
-                            if (category && category.currentStock < category.maxStock && !category.restocking) {
+                            // Check if needs restocking and not already restocking or ordered
+                            if (category && category.currentStock < category.maxStock && !category.restocking &&
+                                !this.game.isRestockQueued(floor, shelf.categoryIndex)) {
                                 // Check if player has enough stars
                                 if (this.game.stars >= category.stockCost) {
                                     if (window.haptic) window.haptic('medium');
                                     // Quick restock
-                                    const result = this.game.restockCategory(floor.id, shelf.categoryIndex);
+                                    const result = this.game.restockBooks(floor.id, shelf.categoryIndex);
                                     if (result.success) {
-                                        this.spawnTextParticle(clickX, clickY + this.scrollY, `📦 Restocking!`, '#FF9800');
+                                        const text = result.queued ? `🕒 Queued #${result.position}` : `📦 Restocking!`;
+                                        this.spawnTextParticle(clickX, clickY + this.scrollY, text, '#FF9800');
+                                    } else {
+                                        this.spawnTextParticle(clickX, clickY + this.scrollY, result.error, '#F44336');
                                     }
                                 } else {
                                     this.spawnTextParticle(clickX, clickY + this.scrollY, `Need ${category.stockCost}⭐`, '#F44336');
@@ -3280,6 +3477,9 @@ class TowerRenderer {
                             } else if (category && category.restocking) {
                                 this.spawnTextParticle(clickX, clickY + this.scrollY, `Already restocking`, '#888');
                                 return;
+                            } else if (category && this.game.isRestockQueued(floor, shelf.categoryIndex)) {
+                                this.spawnTextParticle(clickX, clickY + this.scrollY, `Already ordered`, '#888');
+                                return;
                             }
                         }
                     }
@@ -3293,11 +3493,11 @@ class TowerRenderer {
                             clickY >= b.y && clickY <= b.y + b.height) {
                             if (window.haptic) window.haptic('light');
                             // Give a small tip
-                            const tip = Math.floor(1 + Math.random() * 3);
+                            const tip = Math.floor(1 + this.game.rng.next() * 3);
                             this.game.stars += tip;
                             this.spawnTextParticle(clickX, clickY + this.scrollY, `+${tip}⭐ tip!`, '#FFD700');
                             this.spawnSparkle(clickX, clickY + this.scrollY);
-                            this.game.save();
+                            this.game.markDirty();
                             return;
                         }
                     }
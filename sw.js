@@ -3,12 +3,15 @@
  * Enables offline play and caching
  */
 
-const CACHE_NAME = 'simlibrary-v105';
+const CACHE_NAME = 'simlibrary-v108';
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
   './css/style.css',
+  './js/storage.js',
   './js/gamestate.js',
+  './js/balance.js',
+  './js/qrcode.js',
   './js/tower-renderer.js',
   './js/app.js',
   './manifest.json',
@@ -0,0 +1,38 @@
+/**
+ * Rolling save backups - taken on the game clock, so they rotate in paused,
+ * sped-up and headless games too
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SaveBackups } = require('../js/gamestate.js');
+const { createGame } = require('./helpers.js');
+
+const HOUR = 60 * 60 * 1000;
+
+test('backups are stamped with the game clock', () => {
+    const { game, clock } = createGame(1);
+    game.createBackup('reset');
+    assert.equal(game.listBackups()[0].createdAt, clock.now());
+});
+
+test('hourly and daily backups rotate as game time passes', () => {
+    const { game, clock } = createGame(1);
+    const count = reason => game.listBackups().filter(b => b.reason === reason).length;
+
+    game.checkBackups();
+    assert.equal(count('hourly'), 1);
+    assert.equal(count('daily'), 1);
+
+    for (let hour = 0; hour < 3; hour++) {
+        clock.advance(HOUR);
+        game.checkBackups();
+    }
+    assert.equal(count('hourly'), 4);
+    assert.equal(count('daily'), 1);
+
+    clock.advance(24 * HOUR);
+    game.checkBackups();
+    assert.equal(count('hourly'), SaveBackups.policy.hourly.keep);
+    assert.equal(count('daily'), 2);
+});
@@ -0,0 +1,41 @@
+/**
+ * Balance report - per-category columns add up and restocks cost what the game charges
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BalanceReport } = require('../js/balance.js');
+const { createGame, staffStarterFloor } = require('./helpers.js');
+
+test('every category gets a column and they add up to the total', () => {
+    const { game } = createGame(1);
+    const rows = BalanceReport.analyze(game);
+    const keys = BalanceReport.getColumns(rows).map(([key]) => key);
+
+    rows.forEach(row => {
+        const perCategory = keys.filter(key => /^cat\d+PerMin$/.test(key))
+            .reduce((sum, key) => sum + (row[key] || 0), 0);
+        assert.ok(Math.abs(perCategory - row.starsPerMin) < 1e-9, `${row.floor} level ${row.level}`);
+    });
+    assert.ok(keys.includes('cat5PerMin'));
+});
+
+test('a full restock costs the tier-scaled price in game and in the report', () => {
+    const { game } = createGame(1);
+    game.stars = 1000000;
+    const floor = staffStarterFloor(game);
+    for (let level = 2; level <= 10; level++) {
+        assert.equal(game.upgradeFloor(floor.id).success, true);
+    }
+
+    const tier = game.getUpgradeTier(floor);
+    const floorType = game.floorTypes.find(t => t.id === floor.typeId);
+    const template = game.getFloorCategoryTemplates(floorType, 10)[0];
+    const { stockCost } = game.scaleCategoryForTier(template, tier);
+
+    floor.bookStock[0].currentStock = 0;
+    const before = game.stars;
+    assert.equal(game.restockBooks(floor.id, 0).success, true);
+    assert.equal(before - game.stars, stockCost);
+    assert.equal(stockCost, Math.round(template.stockCost * 3.5));
+});
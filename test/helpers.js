@@ -0,0 +1,59 @@
+/**
+ * SimLibrary - Shared setup for the node:test suites
+ * Every game runs on a manual clock, a seeded RNG and in-memory storage,
+ * so two games built with the same seed make the same decisions.
+ */
+
+const { MemoryStorageAdapter } = require('../js/storage.js');
+const { GameState, SaveSlots, SeededRandom, SimClock } = require('../js/gamestate.js');
+
+/**
+ * A fresh tower (starter floor and basement) on a manual clock
+ */
+function createGame(seed = 1) {
+    const clock = new SimClock({ source: () => 0, start: Date.UTC(2025, 0, 1) });
+    const game = new GameState('default', new MemoryStorageAdapter(), { clock: clock, rng: new SeededRandom(seed) });
+    return { game, clock };
+}
+
+/**
+ * A tower loaded from a save payload, as if it had been played on this device
+ */
+function loadSave(data, seed = 1) {
+    const storage = new MemoryStorageAdapter();
+    storage.writeSave(SaveSlots.keyFor('default'), data);
+    const clock = new SimClock({ source: () => 0, start: data.timestamp || Date.UTC(2025, 0, 1) });
+    const game = new GameState('default', storage, { clock: clock, rng: new SeededRandom(seed) });
+    return { game, clock };
+}
+
+/**
+ * The starter floor with all three staff hired and every shelf full
+ */
+function staffStarterFloor(game) {
+    const floor = game.floors.find(f => f.typeId === 'board_books');
+    for (let i = 0; i < 3; i++) {
+        game.hireStaff(floor.id);
+    }
+    fillShelves(floor);
+    return floor;
+}
+
+function fillShelves(floor) {
+    floor.bookStock.forEach(category => {
+        category.currentStock = category.maxStock;
+        category.restocking = false;
+    });
+}
+
+/**
+ * Advance the clock and tick once per game second
+ */
+function runTicks(game, clock, ticks) {
+    for (let i = 0; i < ticks; i++) {
+        clock.advance(1000);
+        game.tick();
+    }
+}
+
+module.exports = { createGame, loadSave, staffStarterFloor, fillShelves, runTicks };
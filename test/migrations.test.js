@@ -0,0 +1,160 @@
+/**
+ * Save migrations - every step run on a fixture save from the version before it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { SAVE_VERSION, SAVE_MIGRATIONS, SaveVersionError, migrateSaveData } = require('../js/gamestate.js');
+const { loadSave } = require('./helpers.js');
+
+function readFixture(version) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `save-v${version}.json`), 'utf8'));
+}
+
+/**
+ * Run just the migration out of a version on its fixture
+ */
+function migrateStep(version) {
+    const migration = SAVE_MIGRATIONS.find(m => m.from === version);
+    return migration.migrate(readFixture(version));
+}
+
+test('v2 -> v3 backfills floor staff, upgradeLevel and trash', () => {
+    const data = migrateStep(2);
+    data.floors.forEach(floor => {
+        assert.equal(floor.upgradeLevel, 1);
+        assert.equal(floor.trash, 0);
+        assert.ok(Array.isArray(floor.staff));
+    });
+});
+
+test('v3 -> v4 adds an empty restock queue to every floor', () => {
+    const data = migrateStep(3);
+    data.floors.forEach(floor => assert.deepEqual(floor.restockQueue, []));
+});
+
+test('v4 -> v5 moves floor staff into one roster', () => {
+    const data = migrateStep(4);
+    data.floors.forEach(floor => assert.equal(floor.staff, undefined));
+    assert.equal(data.staff.length, 3);
+
+    const [ana, clerk, custodian] = data.staff;
+    assert.equal(ana.id, 'staff_ana');
+    assert.equal(ana.floorId, 'floor_1');
+    assert.equal(ana.slotIndex, 0);
+    assert.equal(ana.isDreamMatch, undefined);
+
+    // Hires from before staff had ids get one from their slot
+    assert.equal(clerk.id, 'staff_floor_1_1');
+    assert.equal(clerk.slotIndex, 1);
+    assert.equal(clerk.skill, 3);
+    assert.equal(clerk.dreamGenre, null);
+    assert.equal(clerk.hiredAt, data.timestamp);
+
+    // Basement staff were stored as a bare role name
+    assert.equal(custodian.typeId, 'custodian');
+    assert.equal(custodian.isUtilityStaff, true);
+    assert.equal(custodian.floorId, 'floor_b');
+});
+
+test('v4 -> v5 puts bare-name utility staff in their role\'s slot, not their hiring order', () => {
+    const migration = SAVE_MIGRATIONS.find(m => m.from === 4);
+    const data = migration.migrate(readFixture('4-electrician'));
+    const electrician = data.staff.find(member => member.typeId === 'electrician');
+    assert.equal(electrician.slotIndex, 2);
+
+    const { game } = loadSave(readFixture('4-electrician'));
+    const basement = game.floors.find(floor => floor.id === 'floor_b');
+    assert.equal(game.findOpenStaffSlot(basement, 'custodian'), 0);
+    assert.equal(game.findOpenStaffSlot(basement, 'electrician'), -1);
+});
+
+test('v5 -> v6 adds XP and a career history starting at the hire', () => {
+    const data = migrateStep(5);
+    data.staff.forEach(member => {
+        assert.equal(member.xp, 0);
+        assert.deepEqual(member.history, [{ event: 'hired', at: member.hiredAt }]);
+    });
+});
+
+test('v6 -> v7 spreads each floor\'s staff across shifts', () => {
+    const data = migrateStep(6);
+    const shiftsOn = floorId => data.staff.filter(m => m.floorId === floorId).map(m => m.shift);
+    assert.deepEqual(shiftsOn('floor_1'), ['morning', 'evening']);
+    assert.deepEqual(shiftsOn('floor_b'), ['morning']);
+    data.staff.forEach(member => {
+        assert.equal(member.fatigue, 0);
+        assert.equal(member.breakUntil, 0);
+    });
+});
+
+test('v7 -> v8 gives staff full morale and starts payroll on the current day', () => {
+    const data = migrateStep(7);
+    data.staff.forEach(member => assert.equal(member.morale, 100));
+    assert.equal(data.lastPayrollDay, data.lastCleanedDay);
+});
+
+test('v8 -> v9 adds missed paydays, notice and referral tracking', () => {
+    const data = migrateStep(8);
+    data.staff.forEach(member => {
+        assert.equal(member.missedPaydays, 0);
+        assert.equal(member.noticeUntil, 0);
+        assert.equal(member.lastReferralDay, 0);
+        assert.equal(member.morale, 70);
+    });
+});
+
+test('every fixture migrates to the current version and loads', () => {
+    for (let version = 2; version < SAVE_VERSION; version++) {
+        const fixture = readFixture(version);
+        const data = migrateSaveData(fixture);
+        assert.equal(data.saveVersion, SAVE_VERSION, `v${version}`);
+        assert.deepEqual(fixture, readFixture(version), `v${version} fixture was changed in place`);
+
+        const { game } = loadSave(fixture);
+        assert.equal(game.stars, fixture.stars, `v${version} did not load`);
+        assert.equal(game.staff.length, 3, `v${version}`);
+        assert.ok(game.staff.every(member => game.getFloor(member.floorId)), `v${version}`);
+    }
+});
+
+test('a save from a newer version throws SaveVersionError', () => {
+    const data = { ...readFixture(8), saveVersion: SAVE_VERSION + 1 };
+    assert.throws(() => migrateSaveData(data), SaveVersionError);
+});
+
+test('a failed migration leaves the save untouched', () => {
+    const migration = SAVE_MIGRATIONS.find(m => m.from === 6);
+    const original = migration.migrate;
+    migration.migrate = () => {
+        throw new Error('boom');
+    };
+    try {
+        const fixture = readFixture(5);
+        assert.throws(() => migrateSaveData(fixture), /boom/);
+        assert.deepEqual(fixture, readFixture(5));
+    } finally {
+        migration.migrate = original;
+    }
+});
+
+test('a save that fails to load is locked, not replaced with a new tower', () => {
+    const migration = SAVE_MIGRATIONS.find(m => m.from === 6);
+    const original = migration.migrate;
+    migration.migrate = () => {
+        throw new Error('boom');
+    };
+    try {
+        const { game } = loadSave(readFixture(5));
+        game.save();
+        game.saveNow();
+
+        assert.equal(game._saveLocked, true);
+        assert.match(game._saveLoadError.message, /boom/);
+        assert.deepEqual(game.storage.readSave(game.saveKey), readFixture(5));
+    } finally {
+        migration.migrate = original;
+    }
+});
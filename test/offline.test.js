@@ -0,0 +1,48 @@
+/**
+ * Offline progress - the game clock keeps running, so staff work their own shifts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./helpers.js');
+
+const SECOND = 1000;
+
+/**
+ * A tower at 6 AM with a night-shift custodian, a messy floor and no stock (so no new trash)
+ */
+function nightCustodianGame() {
+    const { game, clock } = createGame(1);
+    const basement = game.floors.find(f => f.typeId === 'basement');
+    game.staff.push({
+        id: 'staff_night', name: 'Nell', typeId: 'custodian', floorId: basement.id, slotIndex: 0,
+        skill: 3, shift: 'night', fatigue: 0, breakUntil: 0, morale: 60, missedPaydays: 0, noticeUntil: 0
+    });
+    game.normalizeStaffRoster();
+
+    const floor = game.floors.find(f => f.typeId === 'board_books');
+    floor.bookStock.forEach(category => { category.currentStock = 0; });
+    floor.trash = 80;
+    game.stats.timePlayed = 0;
+    return { game, clock, floor };
+}
+
+test('offline time advances the game clock', () => {
+    const { game, clock } = nightCustodianGame();
+    const now = clock.now();
+    game.simulateOfflinePeriod(now, now + 3000 * SECOND);
+    assert.equal(game.stats.timePlayed, 3000);
+    assert.equal(game.getCurrentShift().id, 'night');
+});
+
+test('staff only work offline once their shift starts', () => {
+    // The night shift starts at 10 PM, 2400 ticks after 6 AM
+    const before = nightCustodianGame();
+    const start = before.clock.now();
+    before.game.simulateOfflinePeriod(start, start + 2000 * SECOND);
+    assert.equal(before.floor.trash, 80);
+
+    const after = nightCustodianGame();
+    after.game.simulateOfflinePeriod(start, start + 3000 * SECOND);
+    assert.ok(after.floor.trash < 80, `trash ${after.floor.trash}`);
+});
@@ -0,0 +1,61 @@
+/**
+ * Payroll and morale - payroll only counts missed paydays, morale decides who leaves
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, staffStarterFloor } = require('./helpers.js');
+
+test('an unpaid payday is counted without touching morale', () => {
+    const { game } = createGame(1);
+    staffStarterFloor(game);
+    game.stars = 0;
+    const morale = game.staff.map(member => member.morale);
+
+    const result = game.runPayroll();
+    assert.equal(result.unpaid.length, 3);
+    assert.equal(result.owed, game.getDailyPayroll());
+    assert.deepEqual(game.staff.map(member => member.missedPaydays), [1, 1, 1]);
+    assert.deepEqual(game.staff.map(member => member.morale), morale);
+});
+
+test('missed paydays lower the morale target', () => {
+    const { game } = createGame(1);
+    staffStarterFloor(game);
+    const member = game.staff[0];
+    const paid = game.getStaffMoraleTarget(member);
+    member.missedPaydays = 1;
+    assert.equal(game.getStaffMoraleTarget(member), paid - game.staffMorale.paidOnTime + game.staffMorale.missedPayday);
+});
+
+test('staff walk out into the lobby after too many missed paydays', () => {
+    const { game } = createGame(1);
+    staffStarterFloor(game);
+    game.stars = 0;
+    game.lobbyApplicants = [];
+    game.stats.timePlayed = game.staffMorale.updateTicks;
+
+    game.runPayroll();
+    game.updateStaffMorale();
+    assert.equal(game.staff.length, 3);
+
+    game.runPayroll();
+    game.updateStaffMorale();
+    assert.equal(game.staff.length, 0);
+    assert.equal(game._staffWalkedOut.length, 3);
+    assert.equal(game.lobbyApplicants.filter(applicant => applicant.formerStaff).length, 3);
+});
+
+test('staff who walk out with the lobby full are reported as gone', () => {
+    const { game } = createGame(1);
+    staffStarterFloor(game);
+    game.stars = 0;
+    game.stats.timePlayed = game.staffMorale.updateTicks;
+    while (game.lobbyApplicants.length < game.maxLobbyApplicants) game.spawnApplicant();
+
+    game.runPayroll();
+    game.runPayroll();
+    game.updateStaffMorale();
+    assert.equal(game.staff.length, 0);
+    assert.deepEqual(game._staffWalkedOut.map(member => member.inLobby), [false, false, false]);
+});
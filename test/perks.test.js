@@ -0,0 +1,85 @@
+/**
+ * Reader perks and staff upgrades - each one changes the outcome of an
+ * otherwise identical seeded run
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, staffStarterFloor, fillShelves, runTicks } = require('./helpers.js');
+
+/**
+ * Spawn readers one at a time onto full shelves and return them
+ */
+function spawnReaders(game, floor, count) {
+    const readers = [];
+    for (let i = 0; i < count; i++) {
+        fillShelves(floor);
+        game.readers = [];
+        const reader = game.spawnReader();
+        if (reader) readers.push(reader);
+    }
+    return readers;
+}
+
+/**
+ * Two games on the same seed, the second with a perk or upgrade bought
+ */
+function seededPair(seed, { perk = null, upgrade = null } = {}) {
+    const base = createGame(seed);
+    const boosted = createGame(seed);
+    if (perk) boosted.game.unlockedPerks.push(perk);
+    if (upgrade) boosted.game.purchasedUpgrades.push(upgrade);
+    return [base, boosted];
+}
+
+test('spawn_bonus (Kid Magnet) brings in more kids', () => {
+    const [base, boosted] = seededPair(1, { perk: 'kid_magnet' });
+    const countKids = ({ game }) => spawnReaders(game, staffStarterFloor(game), 2000).filter(r => r.type === 'kid').length;
+
+    assert.ok(countKids(boosted) > countKids(base));
+});
+
+test('vip_bonus (VIP Lounge) brings in more VIPs', () => {
+    const [base, boosted] = seededPair(2, { perk: 'vip_lounge' });
+    const countVIPs = ({ game }) => spawnReaders(game, staffStarterFloor(game), 2000).filter(r => r.type === 'vip').length;
+
+    assert.ok(countVIPs(boosted) > countVIPs(base));
+});
+
+test('checkout_speed (Speed Service) shortens visits', () => {
+    const [base, boosted] = seededPair(3, { perk: 'speed_service' });
+    const totalVisitTime = ({ game, clock }) => spawnReaders(game, staffStarterFloor(game), 500)
+        .reduce((sum, reader) => sum + (reader.checkoutTime - clock.now()), 0);
+
+    assert.ok(totalVisitTime(boosted) < totalVisitTime(base));
+});
+
+test('staff_speed (Basic Training) restocks faster', () => {
+    const [base, boosted] = seededPair(4, { upgrade: 'training_1' });
+    const secondsToRestock = ({ game, clock }) => {
+        const floor = staffStarterFloor(game);
+        floor.bookStock[0].currentStock = 0;
+        game.stars = 10000;
+        assert.equal(game.restockBooks(floor.id, 0).success, true);
+
+        let seconds = 0;
+        while (floor.bookStock[0].restocking && seconds < 3600) {
+            runTicks(game, clock, 1);
+            seconds++;
+        }
+        return seconds;
+    };
+
+    assert.ok(secondsToRestock(boosted) < secondsToRestock(base));
+});
+
+test('mood_bonus (Break Room) lifts library mood', () => {
+    const [base, boosted] = seededPair(5, { upgrade: 'morale_1' });
+    const moodAfter = ({ game, clock }) => {
+        staffStarterFloor(game);
+        runTicks(game, clock, 300);
+        return game.mood;
+    };
+
+    assert.ok(moodAfter(boosted) > moodAfter(base));
+});
@@ -0,0 +1,48 @@
+/**
+ * Placement links - cached between ticks, rebuilt when the tower changes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, runTicks } = require('./helpers.js');
+
+function buildReady(game, typeId) {
+    const result = game.buildFloor(typeId);
+    assert.equal(result.success, true, result.error);
+    const floor = game.floors.find(f => f.typeId === typeId);
+    game.towerBucks += 1;
+    game.rushConstruction(floor.id);
+    return floor;
+}
+
+const cafeTargets = game => game.getPlacementLinks().filter(l => l.type === 'cafe').map(l => game.getFloor(l.toId).typeId).sort();
+
+test('links are reused while the tower is unchanged', () => {
+    const { game, clock } = createGame(1);
+    game.stars = 100000;
+    buildReady(game, 'coffee_shop');
+    const links = game.getPlacementLinks();
+    runTicks(game, clock, 30);
+    assert.equal(game.getPlacementLinks(), links);
+});
+
+test('links follow floors being built, moved and deleted', () => {
+    const { game } = createGame(1);
+    game.stars = 100000;
+    assert.deepEqual(cafeTargets(game), []);
+
+    const cafe = buildReady(game, 'coffee_shop');
+    assert.deepEqual(cafeTargets(game), ['board_books']);
+
+    const fiction = buildReady(game, 'fiction');
+    assert.deepEqual(cafeTargets(game), ['board_books', 'fiction']);
+
+    assert.equal(game.moveFloorUp(fiction.id).success, true);
+    assert.deepEqual(cafeTargets(game), ['fiction']);
+
+    game.deleteFloor(fiction.id);
+    assert.deepEqual(cafeTargets(game), ['board_books']);
+
+    game.deleteFloor(cafe.id);
+    assert.deepEqual(cafeTargets(game), []);
+});
@@ -0,0 +1,83 @@
+/**
+ * Share codes - compact enough to move a tower by QR, and nothing lost that matters
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, runTicks } = require('./helpers.js');
+const { defaultPolicy } = require('../tools/simulate.js');
+
+// Byte-mode capacity of the largest QR code at level L
+const QR_MAX_BYTES = 2953;
+
+/**
+ * A tower the scripted player has run for a while
+ */
+function playedGame(seconds) {
+    const { game, clock } = createGame(1);
+    for (let i = 0; i < seconds; i++) {
+        runTicks(game, clock, 1);
+        defaultPolicy.act(game);
+    }
+    game.save();
+    return game;
+}
+
+test('a new tower fits in a QR code', async () => {
+    const { game } = createGame(1);
+    const code = await game.exportShareCode();
+    assert.ok(code.length <= QR_MAX_BYTES, `${code.length} bytes`);
+});
+
+test('compact saves drop transient state and trim staff history', () => {
+    const game = playedGame(900);
+    const compact = game.compactSaveData(game.storage.readSave(game.saveKey));
+
+    ['readers', 'activeSynergies', 'lobbyApplicants', 'missionHistory'].forEach(key => {
+        assert.equal(compact[key], undefined, key);
+    });
+    compact.staff.forEach(member => {
+        assert.ok(member.history.length <= 2);
+        assert.equal(member.isUtilityStaff, undefined);
+        assert.equal(member.breakUntil, undefined);
+    });
+});
+
+test('a share code round-trips floors and staff', async () => {
+    const game = playedGame(900);
+    const saved = game.storage.readSave(game.saveKey);
+    const result = await game.decodeShareCode(await game.exportShareCode());
+    assert.equal(result.success, true, result.error);
+
+    const { data } = result;
+    assert.equal(data.stars, saved.stars);
+    assert.deepEqual(data.floors.map(f => [f.id, f.typeId, f.upgradeLevel, f.trash]),
+        saved.floors.map(f => [f.id, f.typeId, f.upgradeLevel, f.trash]));
+    assert.deepEqual(data.floors.map(f => f.bookStock), saved.floors.map(f => f.bookStock));
+    assert.deepEqual(data.staff.map(m => [m.id, m.typeId, m.floorId, m.skill, m.shift]),
+        saved.staff.map(m => [m.id, m.typeId, m.floorId, m.skill, m.shift]));
+    assert.deepEqual(data.activeSynergies.map(s => s.id), saved.activeSynergies.map(s => s.id));
+});
+
+test('saves with markup or overlong text are rejected', async () => {
+    const game = playedGame(300);
+    const saved = () => game.storage.readSave(game.saveKey);
+    assert.equal(game.validateSaveData(saved()).success, true);
+
+    const markup = saved();
+    markup.floors[0].name = '<img src=x onerror=alert(1)>';
+    assert.equal(game.validateSaveData(markup).success, false);
+
+    const long = saved();
+    long.staff[0].name = 'A'.repeat(1000);
+    assert.equal(game.validateSaveData(long).success, false);
+
+    const notText = saved();
+    notText.floors[0].emoji = { html: '<b>' };
+    assert.equal(game.validateSaveData(notText).success, false);
+
+    const compact = game.compactSaveData(saved());
+    compact.floors[0].emoji = '"><script>';
+    const code = 'SL1j' + Buffer.from(JSON.stringify(compact)).toString('base64url');
+    assert.equal((await game.decodeShareCode(code)).success, false);
+});
@@ -0,0 +1,18 @@
+/**
+ * Storage adapters - a written save is a snapshot, not a view of live game state
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IndexedDBStorageAdapter } = require('../js/storage.js');
+
+test('IndexedDB saves keep what was written, not later changes', () => {
+    const storage = new IndexedDBStorageAdapter('test', 2000);
+    const data = { stars: 1234, floors: [{ id: 'floor_1', trash: 0 }] };
+    storage.writeSave('save', data);
+    clearTimeout(storage.flushTimer);
+
+    data.stars = 0;
+    data.floors[0].trash = 50;
+    assert.deepEqual(storage.readSave('save'), { stars: 1234, floors: [{ id: 'floor_1', trash: 0 }] });
+});
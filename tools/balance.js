@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * SimLibrary - Balance report CLI
+ * Prints the economy balance report for the floor catalog as CSV.
+ *
+ * Usage: node tools/balance.js [--sort paybackMin] [--desc] [--level 1] [--readers 6] [--flagged]
+ *   --sort     column to sort by (floor, level, investment, cat1PerMin, starsPerMin, paybackMin, roiPerHour, ...)
+ *   --desc     sort descending
+ *   --level    only show one upgrade level
+ *   --readers  readers per minute a floor sees (demand model)
+ *   --flagged  only show rows with at least one flag
+ */
+
+const { MemoryStorageAdapter } = require('../js/storage.js');
+const { GameState } = require('../js/gamestate.js');
+const { BalanceReport } = require('../js/balance.js');
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+    const options = { sort: null, desc: false, level: null, readers: null, flagged: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--desc' || arg === '--flagged') {
+            options[arg.slice(2)] = true;
+        } else if (arg === '--sort') {
+            options.sort = argv[++i];
+        } else if (arg === '--level' || arg === '--readers') {
+            const value = Number(argv[++i]);
+            if (!Number.isFinite(value) || value <= 0) {
+                throw new Error(`${arg} needs a positive number`);
+            }
+            options[arg.slice(2)] = value;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    const game = new GameState('default', new MemoryStorageAdapter());
+    const assumptions = options.readers ? { readersPerMinute: options.readers } : {};
+    let rows = BalanceReport.analyze(game, assumptions);
+
+    // Category columns depend on the catalog, so --sort is checked once the rows exist
+    const columnKeys = BalanceReport.getColumns(rows).map(([key]) => key);
+    if (options.sort && !columnKeys.includes(options.sort)) {
+        console.error(`--sort must be one of: ${columnKeys.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (options.level) rows = rows.filter(r => r.level === options.level);
+    if (options.flagged) rows = rows.filter(r => r.flags.length > 0);
+    if (options.sort) rows = BalanceReport.sortRows(rows, options.sort, options.desc);
+
+    console.log(BalanceReport.toCSV(rows));
+}
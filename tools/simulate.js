@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * SimLibrary - Headless simulation
+ * Runs GameState in plain Node (no DOM, in-memory storage) with a scripted
+ * player and prints how the tower grows.
+ *
+ * Usage: node tools/simulate.js [--hours 8] [--seed 1] [--every 1] [--json]
+ *   --hours  game hours to simulate (one tick = one game second)
+ *   --seed   RNG seed - the same seed always gives the same run
+ *   --every  report interval in game hours
+ *   --json   print the report as JSON instead of a table
+ */
+
+const { MemoryStorageAdapter } = require('../js/storage.js');
+const { GameState, SimClock } = require('../js/gamestate.js');
+
+/**
+ * Parse --name value flags into an options object
+ */
+function parseArgs(argv) {
+    const options = { hours: 8, seed: 1, every: 1, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg.startsWith('--') && (arg.slice(2) in options)) {
+            const value = Number(argv[++i]);
+            if (!Number.isFinite(value) || value <= 0) {
+                throw new Error(`${arg} needs a positive number`);
+            }
+            options[arg.slice(2)] = value;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Create a fresh tower on a manual clock and in-memory storage
+ */
+function createSimulation(seed) {
+    const clock = new SimClock({ source: () => 0, start: Date.UTC(2025, 0, 1) });
+    const game = new GameState('default', new MemoryStorageAdapter(), { clock: clock, seed: seed });
+    return { game, clock };
+}
+
+/**
+ * Scripted player, run once per game second:
+ * hire every applicant, restock anything empty, then build the cheapest new floor
+ */
+const defaultPolicy = {
+    // Stars kept back for restocking before spending on a new floor
+    buildReserve: 150,
+
+    act(game) {
+        this.hireApplicants(game);
+        this.restockEmptyShelves(game);
+        this.buildCheapestFloor(game);
+    },
+
+    hireApplicants(game) {
+        [...game.lobbyApplicants].forEach(applicant => {
+            if (game.stars < applicant.hireCost) return;
+
+            const candidates = game.floors.filter(floor => {
+                if (floor.status !== 'ready') return false;
+                const floorType = game.floorTypes.find(t => t.id === floor.typeId);
+                if (applicant.isUtilityStaff) return floor.typeId === applicant.utilityFloorType;
+                if (!floorType || floorType.staffSlots || floorType.isSpecialRoom) return false;
+                return game.getFloorStaff(floor).length < 3;
+            });
+
+            // Dream floor first, otherwise the floor with the fewest staff
+            candidates.sort((a, b) =>
+                (b.typeId === applicant.dreamGenre) - (a.typeId === applicant.dreamGenre) ||
+                game.getFloorStaff(a).length - game.getFloorStaff(b).length
+            );
+            if (candidates.length > 0) {
+                game.hireApplicant(applicant.id, candidates[0].id);
+            }
+        });
+    },
+
+    restockEmptyShelves(game) {
+        game.floors.forEach(floor => {
+            if (floor.status !== 'ready') return;
+            floor.bookStock.forEach((category, index) => {
+                if (category.currentStock === 0 && !category.restocking && !game.isRestockQueued(floor, index)) {
+                    game.restockBooks(floor.id, index);
+                }
+            });
+        });
+    },
+
+    buildCheapestFloor(game) {
+        const builtTypes = new Set(game.floors.map(f => f.typeId));
+        if (game.floors.some(f => f.status === 'building')) return;
+
+        const options = game.floorTypes
+            .filter(t => !t.isUtilityRoom && !t.isSpecialRoom && t.id !== 'basement' && !builtTypes.has(t.id))
+            .sort((a, b) => a.buildCost - b.buildCost);
+
+        const cheapest = options[0];
+        if (cheapest && game.stars >= cheapest.buildCost + this.buildReserve) {
+            game.buildFloor(cheapest.id);
+        }
+    }
+};
+
+/**
+ * One report row
+ */
+function snapshot(game, hour) {
+    return {
+        hour: hour,
+        stars: Math.floor(game.stars),
+        level: game.level,
+        floors: game.floors.filter(f => f.status === 'ready' && f.typeId !== 'basement').length,
+        staff: game.staff.length,
+        mood: Math.round(game.mood),
+        readersServed: game.stats.totalReadersServed,
+        starsEarned: game.stats.totalStarsEarned
+    };
+}
+
+/**
+ * Simulate a number of game hours and return report rows
+ */
+function runSimulation({ hours, seed, every }, policy = defaultPolicy) {
+    const { game, clock } = createSimulation(seed);
+    const rows = [snapshot(game, 0)];
+    const totalTicks = Math.round(hours * 3600);
+    const reportTicks = Math.max(1, Math.round(every * 3600));
+
+    for (let t = 1; t <= totalTicks; t++) {
+        clock.advance(1000);
+        game.tick();
+        policy.act(game);
+
+        if (t % reportTicks === 0 || t === totalTicks) {
+            rows.push(snapshot(game, +(t / 3600).toFixed(2)));
+        }
+    }
+    return rows;
+}
+
+/**
+ * Format report rows as an aligned text table
+ */
+function formatTable(rows) {
+    const columns = Object.keys(rows[0]);
+    const widths = columns.map(col => Math.max(col.length, ...rows.map(r => String(r[col]).length)));
+    const line = values => values.map((v, i) => String(v).padStart(widths[i])).join('  ');
+    return [line(columns), line(widths.map(w => '-'.repeat(w))), ...rows.map(r => line(columns.map(c => r[c])))].join('\n');
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    const rows = runSimulation(options);
+    if (options.json) {
+        console.log(JSON.stringify({ options, rows }, null, 2));
+    } else {
+        console.log(`SimLibrary simulation - ${options.hours}h, seed ${options.seed}\n`);
+        console.log(formatTable(rows));
+    }
+}
+
+module.exports = { createSimulation, defaultPolicy, runSimulation, snapshot, formatTable };